@@ -7,6 +7,12 @@
  * - Form handling (create/edit)
  * - Delete operations
  * - Dropdown population for foreign keys
+ * - Importing flat data files with a preview step
+ * - JSON snapshot import/export
+ * - CSV import (with column mapping) and export per table
+ * - Excel workbook import (sheet and column mapping)
+ * - Custom fields settings; their inputs, card lines and filters are built from DB.describe()
+ * - Module models and the pack → module → cell breakdown of battery packs
  */
 
 (function() {
@@ -15,13 +21,18 @@
     // State
     let currentTab = 'cars';
     let editingItem = null;
+    let pendingImportPlan = null;
+    let pendingSnapshot = null;
+    let pendingCsvImport = null;
+    let pendingWorkbook = null;
+    let pendingDelete = null;
 
     /**
      * Validation Functions - Check if records have complete data
      */
     function validateCellModel(cell) {
         const issues = [];
-        if (!cell.chemistry) issues.push('Missing chemistry');
+        if (!cell.chemistryId) issues.push('Missing chemistry');
         if (!cell.nominalVoltage) issues.push('Missing voltage');
         if (!cell.nominalCapacityMah) issues.push('Missing capacity');
         return {
@@ -67,67 +78,143 @@
     }
 
     /**
-     * Car brand logo mapping and helper
-     */
-    const carBrandLogos = {
-        'BMW': 'assets/logos/cars/bmw.png',
-        'Tesla': 'assets/logos/cars/tesla.png',
-        'Toyota': 'assets/logos/cars/toyota.png',
-        'Nissan': 'assets/logos/cars/nissan.png',
-        'Hyundai': 'assets/logos/cars/hyundai.png',
-        'Mitsubishi': 'assets/logos/cars/mitsubishi.png',
-        'Peugeot': 'assets/logos/cars/peugeot.png',
-        'Citroën': 'assets/logos/cars/citroen.png',
-        'Citroen': 'assets/logos/cars/citroen.png',
-        'Renault': 'assets/logos/cars/renault.png',
-        'Volkswagen': 'assets/logos/cars/volkswagen.png',
-        'Audi': 'assets/logos/cars/audi.png',
-        'Mercedes-Benz': 'assets/logos/cars/mercedes-benz.png',
-        'Ford': 'assets/logos/cars/ford.png',
-        'Chevrolet': 'assets/logos/cars/chevrolet.png',
-        'Honda': 'assets/logos/cars/honda.png',
-        'Kia': 'assets/logos/cars/kia.png',
-        'Mazda': 'assets/logos/cars/mazda.png',
-        'Porsche': 'assets/logos/cars/porsche.png',
-        'Volvo': 'assets/logos/cars/volvo.png'
+     * Helper function to escape text coming from imported files
+     */
+    function escapeHTML(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Helper: Number typed in a form input or chosen in a select, null when empty
+    // (0 is kept; out-of-range and fractional values are reported by the DB validation)
+    function readNumber(id) {
+        const value = document.getElementById(id).value.trim();
+        return value === '' ? null : Number(value);
+    }
+
+    /**
+     * Form inputs describe the field they edit with data-schema="table.field":
+     * required, min and max are taken from the DB schema (DB.describe()), so the
+     * browser checks what the database would refuse. Inputs may still be stricter
+     * (e.g. a required select of the pack form).
+     */
+    function setupSchemaForms() {
+        document.querySelectorAll('[data-schema]').forEach(input => {
+            const [tableName, fieldName] = input.dataset.schema.split('.');
+            const field = DB.describe(tableName).fields.find(f => f.name === fieldName);
+            if (!field) return;
+            if (field.required) input.required = true;
+            if (input.type === 'number') {
+                if (field.min !== null) input.min = field.min;
+                if (field.max !== null) input.max = field.max;
+                if (field.type === 'integer') input.step = 1;
+            }
+            input.addEventListener('input', () => clearInvalidField(input));
+        });
+        document.querySelectorAll('form').forEach(form => {
+            form.addEventListener('reset', () => {
+                form.querySelectorAll('.field-invalid').forEach(clearInvalidField);
+            });
+        });
+    }
+
+    function clearInvalidField(input) {
+        input.classList.remove('field-invalid');
+        input.removeAttribute('title');
+    }
+
+    // Helper: Highlight the inputs of the fields listed in a DB validation error (error.fieldErrors)
+    function markInvalidFields(formId, error) {
+        const form = document.getElementById(formId);
+        (error.fieldErrors || []).forEach(({ field, message }) => {
+            form.querySelectorAll(`[data-schema$=".${field}"]`).forEach(input => {
+                input.classList.add('field-invalid');
+                input.title = `${field} ${message}`;
+            });
+        });
+    }
+
+    /**
+     * Custom fields (see the Custom Fields modal) are not in index.html: their inputs are
+     * built from DB.describe() each time a form opens, in the .custom-field-inputs container
+     * of the form, and read back by readCustomFields() when it is saved.
+     */
+    const CUSTOM_FIELD_INPUT_TYPES = {
+        number: 'number',
+        date: 'date',
+        url: 'url'
     };
 
-    function getCarLogoHTML(brand) {
-        const logoUrl = carBrandLogos[brand];
-        const initials = brand.substring(0, 2).toUpperCase();
+    function customFieldsOf(tableName) {
+        return DB.describe(tableName).fields.filter(field => field.custom);
+    }
 
-        if (logoUrl) {
+    function renderCustomFieldInputs(tableName, record = null) {
+        const container = document.querySelector(`.custom-field-inputs[data-table="${tableName}"]`);
+        container.innerHTML = customFieldsOf(tableName).map(field => {
+            const id = `custom-${tableName}-${field.name}`;
+            const attributes = `id="${id}" data-custom-field="${field.name}" data-schema="${tableName}.${field.name}"`;
+            const input = field.values
+                ? `<select ${attributes}>
+                       <option value="">—</option>
+                       ${field.values.map(value => `<option value="${escapeHTML(value)}">${escapeHTML(value)}</option>`).join('')}
+                   </select>`
+                : `<input type="${CUSTOM_FIELD_INPUT_TYPES[field.type] || 'text'}" ${attributes}${field.type === 'number' ? ' step="any"' : ''}>`;
             return `
-                <img src="${logoUrl}"
-                     alt="${brand}"
-                     class="car-logo"
-                     onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
-                <div class="car-logo-placeholder" style="display: none;">${initials}</div>
+                <div class="form-group">
+                    <label for="${id}">${escapeHTML(field.label)}</label>
+                    ${input}
+                </div>
             `;
-        } else {
-            return `<div class="car-logo-placeholder">${initials}</div>`;
-        }
+        }).join('');
+
+        container.querySelectorAll('[data-custom-field]').forEach(input => {
+            const value = record ? record[input.dataset.customField] : null;
+            input.value = value === null || value === undefined ? '' : value;
+            input.addEventListener('input', () => clearInvalidField(input));
+        });
+    }
+
+    // Helper: Values of the custom field inputs of a form, null when empty
+    function readCustomFields(tableName) {
+        const data = {};
+        const fields = customFieldsOf(tableName);
+        document.querySelectorAll(`.custom-field-inputs[data-table="${tableName}"] [data-custom-field]`).forEach(input => {
+            const field = fields.find(f => f.name === input.dataset.customField);
+            const value = input.value.trim();
+            if (!field) return;
+            data[field.name] = value === '' ? null : field.type === 'number' ? Number(value) : value;
+        });
+        return data;
+    }
+
+    // Helper: Card line with the custom fields that have a value ('' when none)
+    function customFieldsHTML(tableName, record) {
+        const parts = customFieldsOf(tableName)
+            .filter(field => record[field.name] !== null && record[field.name] !== undefined)
+            .map(field => {
+                const value = escapeHTML(record[field.name]);
+                const html = field.type === 'url' ? `<a href="${value}" target="_blank" rel="noopener">${value}</a>` : value;
+                return `<strong>${escapeHTML(field.label)}:</strong> ${html}`;
+            });
+        return parts.length > 0 ? `<p class="custom-field-values">${parts.join(' | ')}</p>` : '';
     }
 
     /**
-     * Cell manufacturer logo mapping and helper
+     * Logo of a manufacturer (car brand or cell maker), or its initials when it has
+     * no logo or the image cannot be loaded
      */
-    const cellManufacturerLogos = {
-        'LG': 'assets/logos/cells/lg.png',
-        'Panasonic': 'assets/logos/cells/panasonic.png',
-        'Samsung SDI': 'assets/logos/cells/samsung.png',
-        'Toyota': 'assets/logos/cells/toyota.png',
-        'GS Yuasa': 'assets/logos/cells/gs-yuasa.png'
-    };
-
-    function getCellManufacturerLogoHTML(manufacturer) {
-        const logoUrl = cellManufacturerLogos[manufacturer];
-        const initials = manufacturer.substring(0, 2).toUpperCase();
+    function getManufacturerLogoHTML(manufacturer) {
+        const name = manufacturer ? manufacturer.name : '?';
+        const initials = escapeHTML(manufacturerInitials(name));
 
-        if (logoUrl) {
+        if (manufacturer && manufacturer.logo) {
             return `
-                <img src="${logoUrl}"
-                     alt="${manufacturer}"
+                <img src="${escapeHTML(manufacturer.logo)}"
+                     alt="${escapeHTML(name)}"
                      class="car-logo"
                      onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
                 <div class="car-logo-placeholder" style="display: none;">${initials}</div>
@@ -137,6 +224,16 @@
         }
     }
 
+    // Helper: Placeholder text shown instead of a missing logo
+    function manufacturerInitials(name) {
+        return name.substring(0, 2).toUpperCase();
+    }
+
+    // Helper: Name of an expanded manufacturer relation (null when missing)
+    function manufacturerName(record) {
+        return record && record.manufacturer ? record.manufacturer.name : null;
+    }
+
     /**
      * Helper function to create visual stats summary HTML
      */
@@ -178,22 +275,19 @@
     }
 
     /**
-     * Calculate statistics for each table
+     * Calculate statistics for each table (or for the given subset of its items)
      */
-    function calculateStats(tableName) {
-        let items, validateFn;
+    function calculateStats(tableName, items = DB[tableName].list()) {
+        let validateFn;
 
         switch(tableName) {
             case 'cellModels':
-                items = DB.cellModels.list();
                 validateFn = validateCellModel;
                 break;
             case 'batteryPacks':
-                items = DB.batteryPacks.list();
                 validateFn = validateBatteryPack;
                 break;
             case 'cars':
-                items = DB.cars.list();
                 validateFn = validateCar;
                 break;
             default:
@@ -215,18 +309,533 @@
         document.getElementById('cars-counter').textContent = DB.cars.list().length;
         document.getElementById('batteryPacks-counter').textContent = DB.batteryPacks.list().length;
         document.getElementById('cellModels-counter').textContent = DB.cellModels.list().length;
+        document.getElementById('moduleModels-counter').textContent = DB.moduleModels.list().length;
+        document.getElementById('chemistries-counter').textContent = DB.chemistries.list().length;
+        document.getElementById('manufacturers-counter').textContent = DB.manufacturers.list().length;
+        document.getElementById('logos-counter').textContent = DB.manufacturers.list().filter(manufacturer => manufacturer.logo).length;
         document.getElementById('carBatteryPacks-counter').textContent = DB.carBatteryPacks.list().length;
+        document.getElementById('issues-counter').textContent = Rules.run().length;
+
+        // Every change goes through here: keep the issue list current while it is shown
+        if (currentTab === 'issues') {
+            renderIssues();
+        }
+        updateUndoButtons();
+    }
+
+    /**
+     * Faceted Filters
+     * Each tab has a filter panel built from FACETS. 'values' facets list the distinct
+     * values with checkboxes, 'range' facets have min/max inputs matched against the
+     * [low, high] interval of each record. Counts of a facet apply every other active facet.
+     */
+    const CURRENT_YEAR = new Date().getFullYear();
+
+    // Helper: Facet on the completeness computed by the validate functions
+    function qualityFacet(validateFn) {
+        return {
+            key: 'quality',
+            label: 'Data quality',
+            type: 'values',
+            value: item => validateFn(item).isComplete ? 'Complete' : 'Incomplete'
+        };
+    }
+
+    // Helper: Range facet on a single numeric field
+    function numberRange(field) {
+        return item => item[field] === null || item[field] === undefined ? null : [item[field], item[field]];
+    }
+
+    // Helper: Range facet on a value computed by DB.cellModels.specs() (energyWh, whPerKg, whPerL)
+    function cellSpecRange(field) {
+        return cell => {
+            const value = DB.cellModels.specs(cell)[field];
+            return value === null ? null : [value, value];
+        };
+    }
+
+    // Cell form factors (cellModels.formFactor) as shown in the form, the cards and the filters
+    const CELL_FORM_FACTOR_LABELS = {
+        18650: 'Cylindrical 18650',
+        21700: 'Cylindrical 21700',
+        4680: 'Cylindrical 4680',
+        cylindrical: 'Cylindrical',
+        prismatic: 'Prismatic',
+        pouch: 'Pouch'
+    };
+
+    const FACETS = {
+        cars: [
+            { key: 'brand', label: 'Brand', type: 'values', value: car => manufacturerName(car) },
+            {
+                key: 'years',
+                label: 'Production years',
+                type: 'range',
+                step: 1,
+                // A car matches when its production period overlaps the range; no end year = still produced
+                range: car => {
+                    if (!car.yearStart && !car.yearEnd) return null;
+                    return [car.yearStart || car.yearEnd, car.yearEnd || CURRENT_YEAR];
+                }
+            },
+            qualityFacet(validateCar)
+        ],
+        batteryPacks: [
+            { key: 'capacity', label: 'Capacity (kWh)', type: 'range', step: 'any', range: numberRange('totalCapacityKwh') },
+            {
+                key: 'cellModel',
+                label: 'Cell model',
+                type: 'values',
+                value: pack => pack.cellModel ? `${manufacturerName(pack.cellModel)} ${pack.cellModel.model}` : null
+            },
+            qualityFacet(validateBatteryPack)
+        ],
+        cellModels: [
+            { key: 'manufacturer', label: 'Manufacturer', type: 'values', value: cell => manufacturerName(cell) },
+            { key: 'chemistry', label: 'Chemistry', type: 'values', value: cell => cell.chemistry ? cell.chemistry.name : null },
+            { key: 'voltage', label: 'Nominal voltage (V)', type: 'range', step: 'any', range: numberRange('nominalVoltage') },
+            { key: 'capacity', label: 'Capacity (mAh)', type: 'range', step: 'any', range: numberRange('nominalCapacityMah') },
+            { key: 'formFactor', label: 'Form factor', type: 'values', value: cell => CELL_FORM_FACTOR_LABELS[cell.formFactor] || null },
+            { key: 'energy', label: 'Energy (Wh)', type: 'range', step: 'any', range: cellSpecRange('energyWh') },
+            { key: 'whPerKg', label: 'Specific energy (Wh/kg)', type: 'range', step: 'any', range: cellSpecRange('whPerKg') },
+            { key: 'whPerL', label: 'Energy density (Wh/L)', type: 'range', step: 'any', range: cellSpecRange('whPerL') },
+            { key: 'dischargeRate', label: 'Max discharge (C)', type: 'range', step: 'any', range: numberRange('maxDischargeCRate') },
+            { key: 'cycleLife', label: 'Cycle life', type: 'range', step: 1, range: numberRange('cycleLife') },
+            qualityFacet(validateCellModel)
+        ]
+    };
+
+    // Helper: Facet of a custom field: a range for numbers and dates (by year), values otherwise
+    function customFieldFacet(field) {
+        const key = `custom:${field.name}`;
+        if (field.type === 'number') {
+            return { key, label: field.label, type: 'range', step: 'any', range: numberRange(field.name) };
+        }
+        if (field.type === 'date') {
+            return {
+                key,
+                label: `${field.label} (year)`,
+                type: 'range',
+                step: 1,
+                range: item => {
+                    if (!item[field.name]) return null;
+                    const year = parseInt(item[field.name].slice(0, 4));
+                    return [year, year];
+                }
+            };
+        }
+        return { key, label: field.label, type: 'values', value: item => item[field.name] };
+    }
+
+    // Facets of a tab: FACETS followed by those of its custom fields
+    function facetsOf(tableName) {
+        return [...FACETS[tableName], ...customFieldsOf(tableName).map(customFieldFacet)];
+    }
+
+    // Active filters: { tableName: { facetKey: [value keys] or { min, max } } }
+    const activeFilters = { cars: {}, batteryPacks: {}, cellModels: {} };
+
+    // Helper: Values are grouped case-insensitively ("Li-ION" and "Li-iON"); '' = no value
+    function facetValueKey(facet, item) {
+        const value = facet.value(item);
+        return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+    }
+
+    function isFacetActive(facet, filter) {
+        if (!filter) return false;
+        return facet.type === 'values' ? filter.length > 0 : filter.min !== null || filter.max !== null;
+    }
+
+    function matchesFacet(facet, filter, item) {
+        if (!isFacetActive(facet, filter)) return true;
+        if (facet.type === 'values') return filter.includes(facetValueKey(facet, item));
+
+        const interval = facet.range(item);
+        if (!interval) return false;
+        return (filter.min === null || interval[1] >= filter.min) &&
+            (filter.max === null || interval[0] <= filter.max);
+    }
+
+    /**
+     * Keep the items matching every active facet of a tab (except the facet exceptKey)
+     */
+    function applyFilters(tableName, items, exceptKey = null) {
+        const filters = activeFilters[tableName];
+        return items.filter(item => facetsOf(tableName).every(facet =>
+            facet.key === exceptKey || matchesFacet(facet, filters[facet.key], item)
+        ));
+    }
+
+    function hasActiveFilters(tableName) {
+        return facetsOf(tableName).some(facet => isFacetActive(facet, activeFilters[tableName][facet.key]));
+    }
+
+    function clearFilters(tableName) {
+        activeFilters[tableName] = {};
+    }
+
+    // Helper: HTML of a 'values' facet: one checkbox per value with its live count
+    function createValuesFacetHTML(tableName, facet, items, candidates) {
+        const selected = activeFilters[tableName][facet.key] || [];
+        const options = new Map();
+        items.forEach(item => {
+            const key = facetValueKey(facet, item);
+            if (!options.has(key)) {
+                options.set(key, { key, label: key === '' ? '(none)' : String(facet.value(item)).trim(), count: 0 });
+            }
+        });
+        candidates.forEach(item => {
+            options.get(facetValueKey(facet, item)).count++;
+        });
+
+        const sorted = Array.from(options.values()).sort((a, b) => {
+            if (a.key === '' || b.key === '') return a.key === '' ? 1 : -1;
+            return a.label.localeCompare(b.label);
+        });
+
+        return sorted.map(option => `
+            <label class="facet-option ${option.count === 0 ? 'empty' : ''}">
+                <input type="checkbox" data-facet="${facet.key}" value="${escapeHTML(option.key)}" ${selected.includes(option.key) ? 'checked' : ''}>
+                <span class="facet-label">${escapeHTML(option.label)}</span>
+                <span class="facet-count">${option.count}</span>
+            </label>
+        `).join('');
+    }
+
+    // Helper: HTML of a 'range' facet: min/max inputs, placeholders show the available bounds
+    function createRangeFacetHTML(tableName, facet, candidates) {
+        const filter = activeFilters[tableName][facet.key] || { min: null, max: null };
+        const intervals = candidates.map(facet.range).filter(Boolean);
+        const low = intervals.length > 0 ? Math.min(...intervals.map(interval => interval[0])) : '';
+        const high = intervals.length > 0 ? Math.max(...intervals.map(interval => interval[1])) : '';
+
+        return `
+            <div class="facet-range">
+                <input type="number" step="${facet.step}" data-facet="${facet.key}" data-bound="min"
+                       placeholder="${low}" value="${filter.min === null ? '' : filter.min}" aria-label="${escapeHTML(facet.label)} minimum">
+                <span>–</span>
+                <input type="number" step="${facet.step}" data-facet="${facet.key}" data-bound="max"
+                       placeholder="${high}" value="${filter.max === null ? '' : filter.max}" aria-label="${escapeHTML(facet.label)} maximum">
+            </div>
+            <p class="facet-count">${candidates.length - intervals.length > 0 ? `${candidates.length - intervals.length} without value` : ''}</p>
+        `;
+    }
+
+    /**
+     * Render the filter panel of a tab from all its items
+     */
+    function renderFilterPanel(tableName, items) {
+        const panel = document.getElementById(`${tableName}-filters`);
+        const shown = applyFilters(tableName, items).length;
+
+        panel.innerHTML = `
+            <div class="filter-header">
+                <strong>Filters</strong>
+                ${hasActiveFilters(tableName) ? '<button type="button" class="filter-clear">Clear</button>' : ''}
+            </div>
+            <p class="filter-summary">Showing ${shown} of ${items.length}</p>
+            ${facetsOf(tableName).map(facet => {
+                const candidates = applyFilters(tableName, items, facet.key);
+                return `
+                    <div class="facet">
+                        <h4>${escapeHTML(facet.label)}</h4>
+                        ${facet.type === 'values'
+                            ? createValuesFacetHTML(tableName, facet, items, candidates)
+                            : createRangeFacetHTML(tableName, facet, candidates)}
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    function setupFilters() {
+        Object.keys(FACETS).forEach(tableName => {
+            const panel = document.getElementById(`${tableName}-filters`);
+
+            panel.addEventListener('change', (e) => {
+                const input = e.target;
+                const facet = facetsOf(tableName).find(f => f.key === input.dataset.facet);
+                if (!facet) return;
+                const filters = activeFilters[tableName];
+
+                if (facet.type === 'values') {
+                    const selected = filters[facet.key] || [];
+                    filters[facet.key] = input.checked
+                        ? [...selected, input.value]
+                        : selected.filter(value => value !== input.value);
+                } else {
+                    const value = input.value === '' ? null : parseFloat(input.value);
+                    filters[facet.key] = {
+                        ...(filters[facet.key] || { min: null, max: null }),
+                        [input.dataset.bound]: isNaN(value) ? null : value
+                    };
+                }
+                switchTab(tableName);
+            });
+
+            panel.addEventListener('click', (e) => {
+                if (e.target.closest('.filter-clear')) {
+                    clearFilters(tableName);
+                    switchTab(tableName);
+                }
+            });
+        });
+    }
+
+    /**
+     * Sortable Lists
+     * Each tab can be sorted on several keys; the sort of each tab is saved in localStorage.
+     */
+    const SORT_STORAGE_KEY = 'sortOrders';
+
+    // Sortable fields per tab: { key: { label, value(item) } }
+    const SORT_FIELDS = {
+        cars: {
+            brand: { label: 'Brand', value: car => manufacturerName(car) },
+            model: { label: 'Model', value: car => car.model },
+            trim: { label: 'Trim', value: car => car.trim },
+            yearStart: { label: 'Start year', value: car => car.yearStart },
+            yearEnd: { label: 'End year', value: car => car.yearEnd },
+            completeness: { label: 'Completeness', value: car => validateCar(car).completeness }
+        },
+        batteryPacks: {
+            name: { label: 'Name', value: pack => pack.name },
+            totalCapacityKwh: { label: 'Capacity', value: pack => pack.totalCapacityKwh },
+            cellCount: { label: 'Cell count', value: pack => pack.cellCount },
+            seriesCount: { label: 'Series', value: pack => pack.seriesCount },
+            parallelCount: { label: 'Parallel', value: pack => pack.parallelCount },
+            completeness: { label: 'Completeness', value: pack => validateBatteryPack(pack).completeness }
+        },
+        cellModels: {
+            manufacturer: { label: 'Manufacturer', value: cell => manufacturerName(cell) },
+            model: { label: 'Model', value: cell => cell.model },
+            chemistry: { label: 'Chemistry', value: cell => cell.chemistry ? cell.chemistry.name : null },
+            nominalVoltage: { label: 'Voltage', value: cell => cell.nominalVoltage },
+            nominalCapacityMah: { label: 'Capacity', value: cell => cell.nominalCapacityMah },
+            energyWh: { label: 'Energy', value: cell => DB.cellModels.specs(cell).energyWh },
+            whPerKg: { label: 'Wh/kg', value: cell => DB.cellModels.specs(cell).whPerKg },
+            whPerL: { label: 'Wh/L', value: cell => DB.cellModels.specs(cell).whPerL },
+            cycleLife: { label: 'Cycle life', value: cell => cell.cycleLife },
+            completeness: { label: 'Completeness', value: cell => validateCellModel(cell).completeness }
+        }
+    };
+
+    // Sort keys per tab: { tableName: [{ field, direction: 'asc' | 'desc' }] }, empty = insertion order
+    const sortOrders = loadSortOrders();
+
+    function loadSortOrders() {
+        const orders = { cars: [], batteryPacks: [], cellModels: [] };
+        try {
+            const saved = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY) || '{}');
+            Object.keys(orders).forEach(tableName => {
+                orders[tableName] = (saved[tableName] || []).filter(sort =>
+                    SORT_FIELDS[tableName][sort.field] && ['asc', 'desc'].includes(sort.direction)
+                );
+            });
+        } catch (error) {
+            console.error('Ignoring saved sort orders:', error.message);
+        }
+        return orders;
+    }
+
+    function saveSortOrders() {
+        localStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(sortOrders));
+    }
+
+    /**
+     * Sort items of a tab by its sort keys. Empty values always come last.
+     */
+    function applySort(tableName, items) {
+        const sorts = sortOrders[tableName];
+        if (sorts.length === 0) return items;
+
+        return items.slice().sort((a, b) => {
+            for (const { field, direction } of sorts) {
+                const value = SORT_FIELDS[tableName][field].value;
+                const x = value(a);
+                const y = value(b);
+                const xEmpty = x === null || x === undefined || x === '';
+                const yEmpty = y === null || y === undefined || y === '';
+                if (xEmpty || yEmpty) {
+                    if (xEmpty !== yEmpty) return xEmpty ? 1 : -1;
+                    continue;
+                }
+                const result = typeof x === 'string' && typeof y === 'string'
+                    ? x.localeCompare(y, undefined, { sensitivity: 'base', numeric: true })
+                    : x - y;
+                if (result !== 0) return direction === 'desc' ? -result : result;
+            }
+            return 0;
+        });
+    }
+
+    function renderSortBar(tableName) {
+        const bar = document.getElementById(`${tableName}-sort`);
+        const fields = SORT_FIELDS[tableName];
+        const sorts = sortOrders[tableName];
+        const unused = Object.keys(fields).filter(field => !sorts.some(sort => sort.field === field));
+
+        bar.innerHTML = `
+            <span class="sort-label">Sort by</span>
+            ${sorts.length === 0 ? '<span class="sort-default">insertion order</span>' : ''}
+            ${sorts.map((sort, index) => `
+                <span class="sort-key">
+                    <select data-index="${index}" aria-label="Sort field ${index + 1}">
+                        ${Object.entries(fields).map(([field, { label }]) => `
+                            <option value="${field}" ${field === sort.field ? 'selected' : ''}
+                                ${field !== sort.field && !unused.includes(field) ? 'disabled' : ''}>${escapeHTML(label)}</option>
+                        `).join('')}
+                    </select>
+                    <button type="button" class="sort-direction" data-index="${index}"
+                            title="${sort.direction === 'asc' ? 'Ascending' : 'Descending'}">${sort.direction === 'asc' ? '↑' : '↓'}</button>
+                    <button type="button" class="sort-remove" data-index="${index}" title="Remove">×</button>
+                </span>
+            `).join('')}
+            ${unused.length > 0 ? '<button type="button" class="sort-add">+ Add sort</button>' : ''}
+        `;
+    }
+
+    function setupSorting() {
+        Object.keys(SORT_FIELDS).forEach(tableName => {
+            const bar = document.getElementById(`${tableName}-sort`);
+            const sorts = () => sortOrders[tableName];
+
+            // Helper: Save and re-render the tab
+            const update = () => {
+                saveSortOrders();
+                switchTab(tableName);
+            };
+
+            bar.addEventListener('change', (e) => {
+                const index = parseInt(e.target.dataset.index);
+                sorts()[index].field = e.target.value;
+                update();
+            });
+
+            bar.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (!button) return;
+                const index = parseInt(button.dataset.index);
+
+                if (button.classList.contains('sort-add')) {
+                    const field = Object.keys(SORT_FIELDS[tableName]).find(f => !sorts().some(sort => sort.field === f));
+                    sorts().push({ field, direction: 'asc' });
+                } else if (button.classList.contains('sort-direction')) {
+                    sorts()[index].direction = sorts()[index].direction === 'asc' ? 'desc' : 'asc';
+                } else if (button.classList.contains('sort-remove')) {
+                    sorts().splice(index, 1);
+                } else {
+                    return;
+                }
+                update();
+            });
+        });
+    }
+
+    /**
+     * Data Issues View (rules.js)
+     */
+    const EDIT_HANDLERS = {
+        manufacturers: 'editManufacturer',
+        chemistries: 'editChemistry',
+        cars: 'editCar',
+        batteryPacks: 'editBatteryPack',
+        cellModels: 'editCellModel',
+        moduleModels: 'editModuleModel',
+        batteryPackModules: 'editPackModule',
+        carBatteryPacks: 'editRelation',
+        customFields: 'editCustomField'
+    };
+
+    function renderIssues() {
+        const issues = Rules.run();
+        const container = document.getElementById('issue-list');
+
+        if (issues.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No data issues found.</p></div>';
+            return;
+        }
+
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        const warnings = issues.length - errors;
+        const summary = `
+            <p class="issues-summary">
+                <span class="badge badge-error">${errors} error${errors === 1 ? '' : 's'}</span>
+                <span class="badge badge-warning">${warnings} warning${warnings === 1 ? '' : 's'}</span>
+            </p>
+        `;
+
+        const groupsHTML = Rules.list().map(rule => {
+            const ruleIssues = issues.filter(issue => issue.rule === rule.id);
+            if (ruleIssues.length === 0) return '';
+
+            return `
+                <div class="issue-group">
+                    <h3>
+                        <span class="badge badge-${rule.severity}">${rule.severity}</span>
+                        ${escapeHTML(rule.title)} <span class="tab-counter">${ruleIssues.length}</span>
+                    </h3>
+                    ${ruleIssues.map(issue => `
+                        <div class="data-item issue-item ${issue.severity}">
+                            <div class="data-item-content">
+                                <h4>${escapeHTML(issue.label)}</h4>
+                                <p>${escapeHTML(issue.message)}</p>
+                            </div>
+                            <div class="data-item-actions">
+                                ${document.getElementById(`${issue.table}-section`) ? `<button class="btn btn-secondary" data-show-table="${issue.table}" data-id="${issue.recordId}">Show</button>` : ''}
+                                <button class="btn btn-edit" onclick="${EDIT_HANDLERS[issue.table]}(${issue.recordId})">Edit</button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = summary + groupsHTML;
+    }
+
+    function setupIssues() {
+        document.getElementById('issue-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-show-table]');
+            if (button) {
+                jumpToRecord(button.dataset.showTable, parseInt(button.dataset.id));
+            }
+        });
     }
 
     /**
      * Initialize the application
      */
     function init() {
+        // A failed schema migration leaves the old data untouched; tell the user why it looks stale
+        if (DB.initError) {
+            const banner = document.getElementById('db-error');
+            banner.textContent = 'Database error: ' + DB.initError.message;
+            banner.hidden = false;
+        }
+
         setupTabs();
+        setupSchemaForms();
         setupCellModels();
+        setupModuleModels();
+        setupChemistries();
+        setupManufacturers();
+        setupLogos();
         setupBatteryPacks();
         setupCars();
         setupCarBatteryPacks();
+        setupDeleteConfirmation();
+        setupImport();
+        setupSnapshotImportExport();
+        setupCsv();
+        setupXlsxImport();
+        setupStorageSelect();
+        setupSearch();
+        setupFilters();
+        setupSorting();
+        setupIssues();
+        setupHistory();
+        setupCustomFields();
 
         // Update counters and render initial view
         updateTabCounters();
@@ -264,6 +873,18 @@
             case 'cellModels':
                 renderCellModels();
                 break;
+            case 'moduleModels':
+                renderModuleModels();
+                break;
+            case 'chemistries':
+                renderChemistries();
+                break;
+            case 'manufacturers':
+                renderManufacturers();
+                break;
+            case 'logos':
+                renderLogos();
+                break;
             case 'batteryPacks':
                 renderBatteryPacks();
                 break;
@@ -273,6 +894,9 @@
             case 'carBatteryPacks':
                 renderCarBatteryPacks();
                 break;
+            case 'issues':
+                renderIssues();
+                break;
         }
     }
 
@@ -312,6 +936,14 @@
             }
         });
 
+        document.getElementById('cell-chemistry').addEventListener('change', () => {
+            applyChemistryDefaults();
+        });
+
+        document.getElementById('cell-form-factor').addEventListener('change', () => {
+            updateCellDimensionInputs();
+        });
+
         form.addEventListener('submit', (e) => {
             e.preventDefault();
             saveCellModel();
@@ -319,31 +951,42 @@
     }
 
     function renderCellModels() {
-        const cells = DB.cellModels.list();
+        const allCells = DB.cellModels.query({ include: ['manufacturer', 'chemistry'] });
+        const cells = applySort('cellModels', applyFilters('cellModels', allCells));
         const container = document.getElementById('cell-list');
-        const stats = calculateStats('cellModels');
+        const stats = calculateStats('cellModels', cells);
 
-        if (cells.length === 0) {
+        renderFilterPanel('cellModels', allCells);
+        renderSortBar('cellModels');
+
+        if (allCells.length === 0) {
             container.innerHTML = '<div class="empty-state"><p>No cell models yet. Add one to get started!</p></div>';
             return;
         }
+        if (cells.length === 0) {
+            container.innerHTML = createStatsHTML(stats) + '<div class="empty-state"><p>No cell models match the current filters.</p></div>';
+            return;
+        }
 
         container.innerHTML = createStatsHTML(stats) + cells.map(cell => {
             const validation = validateCellModel(cell);
             const badgeHTML = createValidationBadge(validation);
-            const logoHTML = getCellManufacturerLogoHTML(cell.manufacturer);
+            const logoHTML = getManufacturerLogoHTML(cell.manufacturer);
 
             return `
-                <div class="data-item car-item ${validation.isComplete ? '' : 'incomplete'}">
+                <div class="data-item car-item ${validation.isComplete ? '' : 'incomplete'}" data-record-id="${cell.id}">
                     ${logoHTML}
                     <div class="data-item-content">
-                        <h3>${cell.manufacturer} ${cell.model} ${badgeHTML}</h3>
-                        <p><strong>Chemistry:</strong> ${cell.chemistry || '<span class="missing">N/A</span>'}</p>
+                        <h3>${escapeHTML(manufacturerName(cell))} ${escapeHTML(cell.model)} ${badgeHTML}</h3>
+                        <p><strong>Chemistry:</strong> ${cell.chemistry ? escapeHTML(cell.chemistry.name) : '<span class="missing">N/A</span>'}</p>
                         <p><strong>Voltage:</strong> ${cell.nominalVoltage ? cell.nominalVoltage + 'V' : '<span class="missing">N/A</span>'} |
                            <strong>Capacity:</strong> ${cell.nominalCapacityMah ? cell.nominalCapacityMah + 'mAh' : '<span class="missing">N/A</span>'}</p>
+                        ${createCellDatasheetHTML(cell)}
+                        ${customFieldsHTML('cellModels', cell)}
                     </div>
                     <div class="data-item-actions">
                         <button class="btn btn-edit" onclick="editCellModel(${cell.id})">Edit</button>
+                        <button class="btn btn-secondary" onclick="showHistory('cellModels', ${cell.id})">History</button>
                         <button class="btn btn-danger" onclick="deleteCellModel(${cell.id})">Delete</button>
                     </div>
                 </div>
@@ -351,7 +994,51 @@
         }).join('');
     }
 
+    /**
+     * Datasheet lines of a cell card: form factor, size and mass, then the electrical limits
+     * (only the values that are set), and the computed energy and energy densities
+     */
+    function createCellDatasheetHTML(cell) {
+        const specs = DB.cellModels.specs(cell);
+        const na = '<span class="missing">N/A</span>';
+
+        let size = null;
+        const cylindrical = DB.cellModels.isCylindrical(cell.formFactor) || (!cell.formFactor && cell.diameterMm);
+        if (cylindrical && (cell.diameterMm || cell.heightMm)) {
+            size = `Ø${cell.diameterMm || '?'} × ${cell.heightMm || '?'}mm`;
+        } else if (!cylindrical && (cell.heightMm || cell.widthMm || cell.thicknessMm)) {
+            size = `${cell.heightMm || '?'} × ${cell.widthMm || '?'} × ${cell.thicknessMm || '?'}mm`;
+        }
+        const physical = [
+            cell.formFactor ? `<strong>Form factor:</strong> ${CELL_FORM_FACTOR_LABELS[cell.formFactor]}` : null,
+            size ? `<strong>Size:</strong> ${size}` : null,
+            cell.massG ? `<strong>Mass:</strong> ${cell.massG}g` : null
+        ].filter(Boolean);
+
+        const rates = [
+            cell.maxChargeCRate ? `${cell.maxChargeCRate}C charge` : null,
+            cell.maxDischargeCRate ? `${cell.maxDischargeCRate}C discharge` : null
+        ].filter(Boolean);
+        const electrical = [
+            cell.minVoltage || cell.maxVoltage ? `<strong>Voltage window:</strong> ${cell.minVoltage || '?'} - ${cell.maxVoltage || '?'}V` : null,
+            rates.length > 0 ? `<strong>Max C-rate:</strong> ${rates.join(' · ')}` : null,
+            cell.internalResistanceMOhm ? `<strong>Resistance:</strong> ${cell.internalResistanceMOhm}mΩ` : null,
+            cell.cycleLife ? `<strong>Cycle life:</strong> ${cell.cycleLife} cycles` : null
+        ].filter(Boolean);
+
+        return [physical, electrical]
+            .filter(parts => parts.length > 0)
+            .map(parts => `<p>${parts.join(' | ')}</p>`)
+            .join('') + `
+            <p><strong>Energy:</strong> ${specs.energyWh !== null ? specs.energyWh + 'Wh' : na} |
+               <strong>Density:</strong> ${specs.whPerKg !== null ? specs.whPerKg + 'Wh/kg' : na} ·
+               ${specs.whPerL !== null ? specs.whPerL + 'Wh/L' : na}</p>
+        `;
+    }
+
     function showCellForm(cell = null) {
+        populateChemistryDropdown();
+        populateManufacturerOptions('cell-manufacturers', 'cell');
         editingItem = cell;
         const modal = document.getElementById('cell-modal');
         const title = document.getElementById('cell-form-title');
@@ -359,16 +1046,24 @@
         if (cell) {
             title.textContent = 'Edit Cell Model';
             document.getElementById('cell-id').value = cell.id;
-            document.getElementById('cell-manufacturer').value = cell.manufacturer;
+            const manufacturer = DB.manufacturers.get(cell.manufacturerId);
+            document.getElementById('cell-manufacturer').value = manufacturer ? manufacturer.name : '';
             document.getElementById('cell-model').value = cell.model;
-            document.getElementById('cell-chemistry').value = cell.chemistry || '';
+            document.getElementById('cell-chemistry').value = cell.chemistryId || '';
             document.getElementById('cell-voltage').value = cell.nominalVoltage || '';
             document.getElementById('cell-capacity').value = cell.nominalCapacityMah || '';
+            document.getElementById('cell-form-factor').value = cell.formFactor || '';
+            Object.entries(CELL_DATASHEET_INPUTS).forEach(([field, inputId]) => {
+                document.getElementById(inputId).value = cell[field] || '';
+            });
         } else {
             title.textContent = 'Add Cell Model';
             document.getElementById('cell-form-element').reset();
             document.getElementById('cell-id').value = '';
         }
+        renderCustomFieldInputs('cellModels', cell);
+        applyChemistryDefaults();
+        updateCellDimensionInputs();
 
         modal.classList.add('active');
         document.body.style.overflow = 'hidden'; // Prevent background scrolling
@@ -382,22 +1077,71 @@
         editingItem = null;
     }
 
+    // Numeric datasheet fields of the cell form and their inputs
+    const CELL_DATASHEET_INPUTS = {
+        diameterMm: 'cell-diameter',
+        heightMm: 'cell-height',
+        widthMm: 'cell-width',
+        thicknessMm: 'cell-thickness',
+        massG: 'cell-mass',
+        minVoltage: 'cell-min-voltage',
+        maxVoltage: 'cell-max-voltage',
+        maxChargeCRate: 'cell-charge-rate',
+        maxDischargeCRate: 'cell-discharge-rate',
+        internalResistanceMOhm: 'cell-resistance',
+        cycleLife: 'cell-cycle-life'
+    };
+
+    // Cell form: cylindrical cells have a diameter, prismatic and pouch cells a width and thickness
+    // (all are shown until a form factor is picked); the named formats show their standard size
+    function updateCellDimensionInputs() {
+        const formFactor = document.getElementById('cell-form-factor').value;
+        const cylindrical = DB.cellModels.isCylindrical(formFactor);
+        document.getElementById('cell-diameter-group').hidden = formFactor !== '' && !cylindrical;
+        document.getElementById('cell-width-group').hidden = cylindrical;
+        document.getElementById('cell-thickness-group').hidden = cylindrical;
+
+        const standard = DB.cellModels.standardSize(formFactor);
+        document.getElementById('cell-diameter').placeholder = standard ? `Standard: ${standard.diameterMm}` : '';
+        document.getElementById('cell-height').placeholder = standard ? `Standard: ${standard.heightMm}` : '';
+    }
+
     function saveCellModel() {
         const id = document.getElementById('cell-id').value;
+        const formFactor = document.getElementById('cell-form-factor').value;
+        const cylindrical = DB.cellModels.isCylindrical(formFactor);
         const data = {
-            manufacturer: document.getElementById('cell-manufacturer').value,
             model: document.getElementById('cell-model').value,
-            chemistry: document.getElementById('cell-chemistry').value,
-            nominalVoltage: parseFloat(document.getElementById('cell-voltage').value) || null,
-            nominalCapacityMah: parseInt(document.getElementById('cell-capacity').value) || null
+            chemistryId: readNumber('cell-chemistry'),
+            nominalVoltage: readNumber('cell-voltage'),
+            nominalCapacityMah: readNumber('cell-capacity'),
+            formFactor: formFactor || null
         };
+        Object.entries(CELL_DATASHEET_INPUTS).forEach(([field, inputId]) => {
+            data[field] = readNumber(inputId);
+        });
+        // Dimensions hidden for the chosen form factor are not kept
+        if (cylindrical) {
+            data.widthMm = null;
+            data.thicknessMm = null;
+        } else if (formFactor) {
+            data.diameterMm = null;
+        }
+        Object.assign(data, readCustomFields('cellModels'));
 
         try {
-            if (id) {
-                DB.cellModels.update(parseInt(id), data);
-            } else {
-                DB.cellModels.create(data);
-            }
+            // A new manufacturer is only kept if the record is saved too
+            const saved = DB.transaction(() => {
+                data.manufacturerId = manufacturerIdFromInput('cell-manufacturer', 'cell');
+                if (data.manufacturerId === null) return false;
+                if (id) {
+                    DB.cellModels.update(parseInt(id), data);
+                } else {
+                    DB.cellModels.create(data);
+                }
+                return true;
+            });
+            if (!saved) return;
             hideCellForm();
             updateTabCounters();
             renderCellModels();
@@ -406,6 +1150,7 @@
                 populateCellModelDropdown();
             }
         } catch (error) {
+            markInvalidFields('cell-form-element', error);
             alert('Error: ' + error.message);
         }
     }
@@ -416,510 +1161,2888 @@
     };
 
     window.deleteCellModel = function(id) {
-        if (confirm('Are you sure you want to delete this cell model?')) {
-            try {
-                DB.cellModels.remove(id);
-                updateTabCounters();
-                renderCellModels();
-            } catch (error) {
-                alert('Error: ' + error.message);
-            }
-        }
+        confirmDelete('cellModels', id);
     };
 
     /**
-     * BATTERY PACKS SECTION
+     * CHEMISTRIES SECTION
      */
-    function setupBatteryPacks() {
-        const addBtn = document.getElementById('add-pack-btn');
-        const cancelBtn = document.getElementById('cancel-pack-btn');
-        const closeBtn = document.getElementById('close-pack-modal');
-        const modal = document.getElementById('pack-modal');
-        const form = document.getElementById('pack-form-element');
+    function setupChemistries() {
+        const addBtn = document.getElementById('add-chemistry-btn');
+        const cancelBtn = document.getElementById('cancel-chemistry-btn');
+        const closeBtn = document.getElementById('close-chemistry-modal');
+        const modal = document.getElementById('chemistry-modal');
+        const form = document.getElementById('chemistry-form-element');
 
         addBtn.addEventListener('click', () => {
-            showPackForm();
+            showChemistryForm();
         });
 
         cancelBtn.addEventListener('click', () => {
-            hidePackForm();
+            hideChemistryForm();
         });
 
         closeBtn.addEventListener('click', () => {
-            hidePackForm();
+            hideChemistryForm();
         });
 
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
-                hidePackForm();
+                hideChemistryForm();
             }
         });
 
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && modal.classList.contains('active')) {
-                hidePackForm();
+                hideChemistryForm();
             }
         });
 
         form.addEventListener('submit', (e) => {
             e.preventDefault();
-            saveBatteryPack();
+            saveChemistry();
         });
     }
 
-    function renderBatteryPacks() {
-        const packs = DB.batteryPacks.list();
-        const container = document.getElementById('pack-list');
-        const stats = calculateStats('batteryPacks');
+    function renderChemistries() {
+        const chemistries = DB.chemistries.query({ orderBy: ['family', 'name'] });
+        const cells = DB.cellModels.list();
+        const container = document.getElementById('chemistry-list');
 
-        if (packs.length === 0) {
-            container.innerHTML = '<div class="empty-state"><p>No battery packs yet. Add one to get started!</p></div>';
+        if (chemistries.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No chemistries yet. Add one to get started!</p></div>';
             return;
         }
 
-        container.innerHTML = createStatsHTML(stats) + packs.map(pack => {
-            const cellModel = DB.cellModels.get(pack.cellModelId);
-            const cellName = cellModel ? `${cellModel.manufacturer} ${cellModel.model}` : '<span class="missing">Unknown</span>';
-            const validation = validateBatteryPack(pack);
-            const badgeHTML = createValidationBadge(validation);
-
+        container.innerHTML = chemistries.map(chemistry => {
+            const cellCount = cells.filter(cell => cell.chemistryId === chemistry.id).length;
             return `
-                <div class="data-item ${validation.isComplete ? '' : 'incomplete'}">
+                <div class="data-item" data-record-id="${chemistry.id}">
                     <div class="data-item-content">
-                        <h3>${pack.name} ${badgeHTML}</h3>
-                        <p><strong>Capacity:</strong> ${pack.totalCapacityKwh}kWh | <strong>Cell:</strong> ${cellName}</p>
-                        <p><strong>Config:</strong> ${pack.seriesCount || '<span class="missing">?</span>'}S ${pack.parallelCount || '<span class="missing">?</span>'}P |
-                           <strong>Cells:</strong> ${pack.cellCount || '<span class="missing">N/A</span>'}</p>
+                        <h3>${escapeHTML(chemistry.name)}</h3>
+                        <p><strong>Family:</strong> ${escapeHTML(chemistry.family)} |
+                           <strong>Cathode:</strong> ${chemistry.cathode ? escapeHTML(chemistry.cathode) : '<span class="missing">N/A</span>'} |
+                           <strong>Typical voltage:</strong> ${chemistry.nominalVoltage ? chemistry.nominalVoltage + 'V' : '<span class="missing">N/A</span>'}</p>
+                        <p><strong>Used by:</strong> ${cellCount} cell model${cellCount === 1 ? '' : 's'}</p>
                     </div>
                     <div class="data-item-actions">
-                        <button class="btn btn-edit" onclick="editBatteryPack(${pack.id})">Edit</button>
-                        <button class="btn btn-danger" onclick="deleteBatteryPack(${pack.id})">Delete</button>
+                        <button class="btn btn-edit" onclick="editChemistry(${chemistry.id})">Edit</button>
+                        <button class="btn btn-secondary" onclick="showHistory('chemistries', ${chemistry.id})">History</button>
+                        <button class="btn btn-danger" onclick="deleteChemistry(${chemistry.id})">Delete</button>
                     </div>
                 </div>
             `;
         }).join('');
     }
 
-    function showPackForm(pack = null) {
-        populateCellModelDropdown();
-        editingItem = pack;
-        const modal = document.getElementById('pack-modal');
-        const title = document.getElementById('pack-form-title');
-
-        if (pack) {
-            title.textContent = 'Edit Battery Pack';
-            document.getElementById('pack-id').value = pack.id;
-            document.getElementById('pack-name').value = pack.name;
-            document.getElementById('pack-capacity').value = pack.totalCapacityKwh || '';
-            document.getElementById('pack-series').value = pack.seriesCount || '';
-            document.getElementById('pack-parallel').value = pack.parallelCount || '';
-            document.getElementById('pack-cells').value = pack.cellCount || '';
-            document.getElementById('pack-cell-model').value = pack.cellModelId || '';
+    function showChemistryForm(chemistry = null) {
+        editingItem = chemistry;
+        const modal = document.getElementById('chemistry-modal');
+        const title = document.getElementById('chemistry-form-title');
+
+        // Suggest the existing families
+        const families = [...new Set(DB.chemistries.list().map(item => item.family).filter(Boolean))].sort();
+        document.getElementById('chemistry-families').innerHTML =
+            families.map(family => `<option value="${escapeHTML(family)}">`).join('');
+
+        if (chemistry) {
+            title.textContent = 'Edit Chemistry';
+            document.getElementById('chemistry-id').value = chemistry.id;
+            document.getElementById('chemistry-name').value = chemistry.name;
+            document.getElementById('chemistry-family').value = chemistry.family;
+            document.getElementById('chemistry-cathode').value = chemistry.cathode || '';
+            document.getElementById('chemistry-voltage').value = chemistry.nominalVoltage || '';
         } else {
-            title.textContent = 'Add Battery Pack';
-            document.getElementById('pack-form-element').reset();
-            document.getElementById('pack-id').value = '';
+            title.textContent = 'Add Chemistry';
+            document.getElementById('chemistry-form-element').reset();
+            document.getElementById('chemistry-id').value = '';
         }
 
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
     }
 
-    function hidePackForm() {
-        const modal = document.getElementById('pack-modal');
+    function hideChemistryForm() {
+        const modal = document.getElementById('chemistry-modal');
         modal.classList.remove('active');
-        document.getElementById('pack-form-element').reset();
+        document.getElementById('chemistry-form-element').reset();
         document.body.style.overflow = '';
         editingItem = null;
     }
 
-    function populateCellModelDropdown() {
-        const cells = DB.cellModels.list();
-        const select = document.getElementById('pack-cell-model');
-        const currentValue = select.value;
-
-        select.innerHTML = '<option value="">Select cell model...</option>' +
-            cells.map(cell =>
-                `<option value="${cell.id}">${cell.manufacturer} ${cell.model}</option>`
-            ).join('');
-
-        if (currentValue) {
-            select.value = currentValue;
-        }
-    }
-
-    function saveBatteryPack() {
-        const id = document.getElementById('pack-id').value;
-        const data = {
-            name: document.getElementById('pack-name').value,
-            totalCapacityKwh: parseFloat(document.getElementById('pack-capacity').value) || null,
-            seriesCount: parseInt(document.getElementById('pack-series').value) || null,
-            parallelCount: parseInt(document.getElementById('pack-parallel').value) || null,
-            cellCount: parseInt(document.getElementById('pack-cells').value) || null,
-            cellModelId: parseInt(document.getElementById('pack-cell-model').value) || null
-        };
+    function saveChemistry() {
+        const id = document.getElementById('chemistry-id').value;
+        const data = {
+            name: document.getElementById('chemistry-name').value.trim(),
+            family: document.getElementById('chemistry-family').value.trim(),
+            cathode: document.getElementById('chemistry-cathode').value.trim() || null,
+            nominalVoltage: readNumber('chemistry-voltage')
+        };
 
         try {
             if (id) {
-                DB.batteryPacks.update(parseInt(id), data);
+                DB.chemistries.update(parseInt(id), data);
             } else {
-                DB.batteryPacks.create(data);
+                DB.chemistries.create(data);
             }
-            hidePackForm();
+            hideChemistryForm();
             updateTabCounters();
-            renderBatteryPacks();
-            // Update relations dropdown if on that tab
-            if (currentTab === 'carBatteryPacks') {
-                populateRelationDropdowns();
-            }
+            renderChemistries();
         } catch (error) {
+            markInvalidFields('chemistry-form-element', error);
             alert('Error: ' + error.message);
         }
     }
 
-    window.editBatteryPack = function(id) {
-        const pack = DB.batteryPacks.get(id);
-        if (pack) showPackForm(pack);
+    window.editChemistry = function(id) {
+        const chemistry = DB.chemistries.get(id);
+        if (chemistry) showChemistryForm(chemistry);
     };
 
-    window.deleteBatteryPack = function(id) {
-        if (confirm('Are you sure you want to delete this battery pack?')) {
+    // Cell models must be moved to another chemistry first (deleting them along would be surprising)
+    window.deleteChemistry = function(id) {
+        if (confirm('Are you sure you want to delete this chemistry?')) {
             try {
-                DB.batteryPacks.remove(id);
+                DB.chemistries.remove(id);
                 updateTabCounters();
-                renderBatteryPacks();
+                renderChemistries();
             } catch (error) {
                 alert('Error: ' + error.message);
             }
         }
     };
 
+    // Cell form: chemistries grouped by family
+    function populateChemistryDropdown() {
+        const chemistries = DB.chemistries.query({ orderBy: ['family', 'name'] });
+        const select = document.getElementById('cell-chemistry');
+        const families = [...new Set(chemistries.map(chemistry => chemistry.family))];
+
+        select.innerHTML = '<option value="">Select chemistry...</option>' +
+            families.map(family => `
+                <optgroup label="${escapeHTML(family)}">
+                    ${chemistries.filter(chemistry => chemistry.family === family).map(chemistry =>
+                        `<option value="${chemistry.id}">${escapeHTML(chemistry.name)}</option>`
+                    ).join('')}
+                </optgroup>
+            `).join('');
+    }
+
+    // Cell form: the chemistry's typical voltage is the default nominal voltage
+    function applyChemistryDefaults() {
+        const chemistry = DB.chemistries.get(parseInt(document.getElementById('cell-chemistry').value));
+        const voltageInput = document.getElementById('cell-voltage');
+        voltageInput.placeholder = chemistry && chemistry.nominalVoltage ? `Typical: ${chemistry.nominalVoltage}` : '';
+        if (chemistry && chemistry.nominalVoltage && !voltageInput.value) {
+            voltageInput.value = chemistry.nominalVoltage;
+        }
+    }
+
     /**
-     * CARS SECTION
+     * MANUFACTURERS SECTION
+     * Car brands and cell makers. The brand and manufacturer fields of the car and cell
+     * forms accept any name or alias; unknown names are added after confirmation.
      */
-    function setupCars() {
-        const addBtn = document.getElementById('add-car-btn');
-        const cancelBtn = document.getElementById('cancel-car-btn');
-        const closeBtn = document.getElementById('close-car-modal');
-        const modal = document.getElementById('car-modal');
-        const form = document.getElementById('car-form-element');
+    const MANUFACTURER_TYPE_LABELS = {
+        vehicle: 'Car brand',
+        cell: 'Cell maker',
+        both: 'Car brand and cell maker'
+    };
+
+    function setupManufacturers() {
+        const addBtn = document.getElementById('add-manufacturer-btn');
+        const cancelBtn = document.getElementById('cancel-manufacturer-btn');
+        const closeBtn = document.getElementById('close-manufacturer-modal');
+        const modal = document.getElementById('manufacturer-modal');
+        const form = document.getElementById('manufacturer-form-element');
 
         addBtn.addEventListener('click', () => {
-            showCarForm();
+            showManufacturerForm();
         });
 
         cancelBtn.addEventListener('click', () => {
-            hideCarForm();
+            hideManufacturerForm();
         });
 
         closeBtn.addEventListener('click', () => {
-            hideCarForm();
+            hideManufacturerForm();
         });
 
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
-                hideCarForm();
+                hideManufacturerForm();
             }
         });
 
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && modal.classList.contains('active')) {
-                hideCarForm();
+                hideManufacturerForm();
             }
         });
 
         form.addEventListener('submit', (e) => {
             e.preventDefault();
-            saveCar();
+            saveManufacturer();
         });
     }
 
-    function renderCars() {
+    function renderManufacturers() {
+        const manufacturers = DB.manufacturers.query({ orderBy: 'name' });
         const cars = DB.cars.list();
-        const container = document.getElementById('car-list');
-        const stats = calculateStats('cars');
+        const cells = DB.cellModels.list();
+        const container = document.getElementById('manufacturer-list');
 
-        if (cars.length === 0) {
-            container.innerHTML = '<div class="empty-state"><p>No cars yet. Add one to get started!</p></div>';
+        if (manufacturers.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No manufacturers yet. Add one to get started!</p></div>';
             return;
         }
 
-        container.innerHTML = createStatsHTML(stats) + cars.map(car => {
-            const validation = validateCar(car);
-            const badgeHTML = createValidationBadge(validation);
-            const trimText = car.trim ? ` <span class="car-trim">(${car.trim})</span>` : '';
-            const yearStart = car.yearStart || '<span class="missing">?</span>';
-            const yearEnd = car.yearEnd || '<span class="missing">Present</span>';
-            const yearText = `${yearStart} - ${yearEnd}`;
-            const logoHTML = getCarLogoHTML(car.brand);
-
+        container.innerHTML = manufacturers.map(manufacturer => {
+            const carCount = cars.filter(car => car.manufacturerId === manufacturer.id).length;
+            const cellCount = cells.filter(cell => cell.manufacturerId === manufacturer.id).length;
             return `
-                <div class="data-item car-item ${validation.isComplete ? '' : 'incomplete'}">
-                    ${logoHTML}
+                <div class="data-item car-item" data-record-id="${manufacturer.id}">
+                    ${getManufacturerLogoHTML(manufacturer)}
                     <div class="data-item-content">
-                        <h3 class="car-brand">${car.brand} ${badgeHTML}</h3>
-                        <p class="car-model">${car.model}${trimText}</p>
-                        <p><strong>Years:</strong> ${yearText}</p>
+                        <h3>${escapeHTML(manufacturer.name)}</h3>
+                        <p><strong>Type:</strong> ${MANUFACTURER_TYPE_LABELS[manufacturer.type] || escapeHTML(manufacturer.type)} |
+                           <strong>Aliases:</strong> ${manufacturer.aliases.length > 0 ? escapeHTML(manufacturer.aliases.join(', ')) : '<span class="missing">none</span>'}</p>
+                        <p><strong>Used by:</strong> ${carCount} car${carCount === 1 ? '' : 's'}, ${cellCount} cell model${cellCount === 1 ? '' : 's'}</p>
                     </div>
                     <div class="data-item-actions">
-                        <button class="btn btn-edit" onclick="editCar(${car.id})">Edit</button>
-                        <button class="btn btn-danger" onclick="deleteCar(${car.id})">Delete</button>
+                        <button class="btn btn-edit" onclick="editManufacturer(${manufacturer.id})">Edit</button>
+                        <button class="btn btn-secondary" onclick="showHistory('manufacturers', ${manufacturer.id})">History</button>
+                        <button class="btn btn-danger" onclick="deleteManufacturer(${manufacturer.id})">Delete</button>
                     </div>
                 </div>
             `;
         }).join('');
     }
 
-    function showCarForm(car = null) {
-        editingItem = car;
-        const modal = document.getElementById('car-modal');
-        const title = document.getElementById('car-form-title');
-
-        if (car) {
-            title.textContent = 'Edit Car';
-            document.getElementById('car-id').value = car.id;
-            document.getElementById('car-brand').value = car.brand;
-            document.getElementById('car-model').value = car.model;
-            document.getElementById('car-trim').value = car.trim || '';
-            document.getElementById('car-year-start').value = car.yearStart || '';
-            document.getElementById('car-year-end').value = car.yearEnd || '';
+    function showManufacturerForm(manufacturer = null) {
+        editingItem = manufacturer;
+        const modal = document.getElementById('manufacturer-modal');
+        const title = document.getElementById('manufacturer-form-title');
+
+        if (manufacturer) {
+            title.textContent = 'Edit Manufacturer';
+            document.getElementById('manufacturer-id').value = manufacturer.id;
+            document.getElementById('manufacturer-name').value = manufacturer.name;
+            document.getElementById('manufacturer-type').value = manufacturer.type;
+            document.getElementById('manufacturer-aliases').value = manufacturer.aliases.join(', ');
+            document.getElementById('manufacturer-logo').value = manufacturer.logo || '';
         } else {
-            title.textContent = 'Add Car';
-            document.getElementById('car-form-element').reset();
-            document.getElementById('car-id').value = '';
+            title.textContent = 'Add Manufacturer';
+            document.getElementById('manufacturer-form-element').reset();
+            document.getElementById('manufacturer-id').value = '';
         }
 
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
     }
 
-    function hideCarForm() {
-        const modal = document.getElementById('car-modal');
+    function hideManufacturerForm() {
+        const modal = document.getElementById('manufacturer-modal');
         modal.classList.remove('active');
-        document.getElementById('car-form-element').reset();
+        document.getElementById('manufacturer-form-element').reset();
         document.body.style.overflow = '';
         editingItem = null;
     }
 
-    function saveCar() {
-        const id = document.getElementById('car-id').value;
+    function saveManufacturer() {
+        const id = document.getElementById('manufacturer-id').value;
         const data = {
-            brand: document.getElementById('car-brand').value,
-            model: document.getElementById('car-model').value,
-            trim: document.getElementById('car-trim').value || null,
-            yearStart: parseInt(document.getElementById('car-year-start').value) || null,
-            yearEnd: parseInt(document.getElementById('car-year-end').value) || null
+            name: document.getElementById('manufacturer-name').value.trim(),
+            type: document.getElementById('manufacturer-type').value,
+            aliases: document.getElementById('manufacturer-aliases').value.split(','),
+            logo: document.getElementById('manufacturer-logo').value.trim() || null
         };
 
         try {
             if (id) {
-                DB.cars.update(parseInt(id), data);
+                DB.manufacturers.update(parseInt(id), data);
             } else {
-                DB.cars.create(data);
+                DB.manufacturers.create(data);
             }
-            hideCarForm();
+            hideManufacturerForm();
             updateTabCounters();
-            renderCars();
-            // Update relations dropdown if on that tab
-            if (currentTab === 'carBatteryPacks') {
-                populateRelationDropdowns();
-            }
+            renderManufacturers();
         } catch (error) {
+            markInvalidFields('manufacturer-form-element', error);
             alert('Error: ' + error.message);
         }
     }
 
-    window.editCar = function(id) {
-        const car = DB.cars.get(id);
-        if (car) showCarForm(car);
+    window.editManufacturer = function(id) {
+        const manufacturer = DB.manufacturers.get(id);
+        if (manufacturer) showManufacturerForm(manufacturer);
     };
 
-    window.deleteCar = function(id) {
-        if (confirm('Are you sure you want to delete this car?')) {
+    // Like chemistries, manufacturers still used by cars or cell models cannot be deleted
+    window.deleteManufacturer = function(id) {
+        if (confirm('Are you sure you want to delete this manufacturer?')) {
             try {
-                DB.cars.remove(id);
+                DB.manufacturers.remove(id);
                 updateTabCounters();
-                renderCars();
+                renderManufacturers();
             } catch (error) {
                 alert('Error: ' + error.message);
             }
         }
     };
 
+    // Car and cell forms: suggest the manufacturers of that type ('vehicle' or 'cell') in a datalist
+    function populateManufacturerOptions(datalistId, type) {
+        const manufacturers = DB.manufacturers.query({ where: { type: { in: [type, 'both'] } }, orderBy: 'name' });
+        document.getElementById(datalistId).innerHTML =
+            manufacturers.map(manufacturer => `<option value="${escapeHTML(manufacturer.name)}">`).join('');
+    }
+
+    // Helper: Manufacturer id for the brand/manufacturer input of a form (matched by name or alias,
+    // added when unknown and the user agrees); null when the user declines
+    function manufacturerIdFromInput(inputId, type) {
+        const name = document.getElementById(inputId).value.trim();
+        if (name && !DB.manufacturers.match(name) &&
+            !confirm(`"${name}" is not a known manufacturer. Add it to the manufacturers?`)) {
+            return null;
+        }
+        return DB.manufacturers.resolve(name, type).id;
+    }
+
     /**
-     * CAR-BATTERY PACKS RELATIONS SECTION
+     * LOGOS SECTION
+     * Logos live in manufacturers.logo: a file path or URL, or an uploaded image resized to
+     * LOGO_SIZE and stored as a PNG data URL, so it travels with JSON/CSV exports and the
+     * remote tables like any other field.
      */
-    function setupCarBatteryPacks() {
-        const addBtn = document.getElementById('add-relation-btn');
-        const cancelBtn = document.getElementById('cancel-relation-btn');
-        const closeBtn = document.getElementById('close-relation-modal');
-        const modal = document.getElementById('relation-modal');
-        const form = document.getElementById('relation-form-element');
+    const LOGO_SIZE = 128;                          // Longest side of an uploaded logo (px)
+    const MAX_LOGO_FILE_SIZE = 10 * 1024 * 1024;    // Larger files are refused before decoding
+
+    let logoUploadTarget = null;                    // Manufacturer id waiting for the file picker
+
+    function setupLogos() {
+        const grid = document.getElementById('logo-grid');
+        const uploadInput = document.getElementById('logo-upload-file');
+        const importBtn = document.getElementById('import-logos-btn');
+        const exportBtn = document.getElementById('export-logos-btn');
+        const importInput = document.getElementById('import-logos-file');
+
+        grid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-logo-action]');
+            if (!button) return;
+            const id = parseInt(button.dataset.id);
+            if (button.dataset.logoAction === 'upload') {
+                logoUploadTarget = id;
+                uploadInput.click();
+            } else if (button.dataset.logoAction === 'remove') {
+                removeLogo(id);
+            }
+        });
+
+        uploadInput.addEventListener('change', () => {
+            const file = uploadInput.files[0];
+            const id = logoUploadTarget;
+            uploadInput.value = '';
+            logoUploadTarget = null;
+            if (file && id !== null) {
+                uploadLogo(id, file);
+            }
+        });
+
+        // An image file dropped on a tile becomes the logo of that manufacturer
+        grid.addEventListener('dragover', (e) => {
+            const tile = e.target.closest('.logo-tile');
+            if (!tile) return;
+            e.preventDefault();
+            tile.classList.add('drop-target');
+        });
+
+        grid.addEventListener('dragleave', (e) => {
+            const tile = e.target.closest('.logo-tile');
+            if (tile && !tile.contains(e.relatedTarget)) {
+                tile.classList.remove('drop-target');
+            }
+        });
+
+        grid.addEventListener('drop', (e) => {
+            const tile = e.target.closest('.logo-tile');
+            if (!tile) return;
+            e.preventDefault();
+            tile.classList.remove('drop-target');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                uploadLogo(parseInt(tile.dataset.recordId), file);
+            }
+        });
+
+        exportBtn.addEventListener('click', () => {
+            downloadFile(`battery-logos-${todayStamp()}.json`, JSON.stringify(exportLogos(), null, 2), 'application/json');
+        });
+
+        importBtn.addEventListener('click', () => {
+            importInput.click();
+        });
+
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) {
+                importLogosFile(file);
+            }
+        });
+    }
+
+    function renderLogos() {
+        const manufacturers = DB.manufacturers.query({ orderBy: 'name' });
+        const container = document.getElementById('logo-grid');
+
+        if (manufacturers.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No manufacturers yet. Add one in the Manufacturers tab.</p></div>';
+            return;
+        }
+
+        container.innerHTML = manufacturers.map(manufacturer => `
+            <div class="logo-tile" data-record-id="${manufacturer.id}">
+                <div class="logo-previews">
+                    <figure>
+                        ${getManufacturerLogoHTML(manufacturer)}
+                        <figcaption>Logo</figcaption>
+                    </figure>
+                    <figure>
+                        <div class="car-logo-placeholder">${escapeHTML(manufacturerInitials(manufacturer.name))}</div>
+                        <figcaption>Fallback</figcaption>
+                    </figure>
+                </div>
+                <h3>${escapeHTML(manufacturer.name)}</h3>
+                <p class="logo-source">${describeLogo(manufacturer.logo)}</p>
+                <div class="logo-actions">
+                    <button class="btn btn-edit" data-logo-action="upload" data-id="${manufacturer.id}">Upload</button>
+                    ${manufacturer.logo ? `<button class="btn btn-danger" data-logo-action="remove" data-id="${manufacturer.id}">Remove</button>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Helper: Where a logo comes from: "Uploaded image (12 KB)", the file path, or missing
+    function describeLogo(logo) {
+        if (!logo) return '<span class="missing">No logo</span>';
+        if (logo.startsWith('data:')) return `Uploaded image (${Math.ceil(logo.length / 1024)} KB)`;
+        return `File: ${escapeHTML(logo)}`;
+    }
+
+    /**
+     * Scale an image file down to LOGO_SIZE (never up) and encode it as a PNG data URL,
+     * which keeps transparency
+     */
+    function resizeLogoImage(file) {
+        if (!file.type.startsWith('image/')) {
+            return Promise.reject(new Error(`${file.name} is not an image`));
+        }
+        if (file.size > MAX_LOGO_FILE_SIZE) {
+            return Promise.reject(new Error(`${file.name} is larger than ${MAX_LOGO_FILE_SIZE / 1024 / 1024} MB`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                // SVG files without width/height have no natural size
+                const width = image.naturalWidth || LOGO_SIZE;
+                const height = image.naturalHeight || LOGO_SIZE;
+                const scale = Math.min(1, LOGO_SIZE / Math.max(width, height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(width * scale));
+                canvas.height = Math.max(1, Math.round(height * scale));
+                const context = canvas.getContext('2d');
+                context.imageSmoothingQuality = 'high';
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/png'));
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`${file.name} could not be read as an image`));
+            };
+            image.src = url;
+        });
+    }
+
+    async function uploadLogo(id, file) {
+        try {
+            const logo = await resizeLogoImage(file);
+            DB.manufacturers.update(id, { logo });
+            updateTabCounters();
+            renderLogos();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    function removeLogo(id) {
+        const manufacturer = DB.manufacturers.get(id);
+        if (!manufacturer || !confirm(`Remove the logo of ${manufacturer.name}? Its initials will be shown instead.`)) {
+            return;
+        }
+        try {
+            DB.manufacturers.update(id, { logo: null });
+            updateTabCounters();
+            renderLogos();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    // Logo files hold [{ name, aliases, logo }] for the manufacturers that have one, so logos
+    // can be copied to another database without replacing its data
+    function exportLogos() {
+        return DB.manufacturers.query({ orderBy: 'name' })
+            .filter(manufacturer => manufacturer.logo)
+            .map(({ name, aliases, logo }) => ({ name, aliases, logo }));
+    }
+
+    // Helper: Set the logos of a logo file on the manufacturers matching an entry's name or
+    // one of its aliases, in one transaction; returns { updated, unmatched: [names] }
+    function importLogos(entries) {
+        return DB.transaction(() => setImportedLogos(entries), { action: 'logo import' });
+    }
+
+    // Helper: Write the logos of importLogos()
+    function setImportedLogos(entries) {
+        if (!Array.isArray(entries)) {
+            throw new Error('A logo file must contain a JSON array of { name, logo } entries');
+        }
+        const result = { updated: 0, unmatched: [] };
+        entries.forEach((entry, index) => {
+            if (!entry || typeof entry.name !== 'string' || typeof entry.logo !== 'string' || !entry.logo) {
+                throw new Error(`Entry ${index + 1}: name and logo are required`);
+            }
+            if (entry.logo.startsWith('data:') && !entry.logo.startsWith('data:image/')) {
+                throw new Error(`Entry ${index + 1} (${entry.name}): the logo is not an image`);
+            }
+        });
+
+        entries.forEach(entry => {
+            const names = [entry.name].concat(Array.isArray(entry.aliases) ? entry.aliases : []);
+            const manufacturer = names.map(name => DB.manufacturers.match(name)).find(Boolean);
+            if (!manufacturer) {
+                result.unmatched.push(entry.name);
+                return;
+            }
+            if (manufacturer.logo !== entry.logo) {
+                DB.manufacturers.update(manufacturer.id, { logo: entry.logo });
+                result.updated++;
+            }
+        });
+        return result;
+    }
+
+    async function importLogosFile(file) {
+        try {
+            let entries;
+            try {
+                entries = JSON.parse(await readFileAsText(file));
+            } catch (error) {
+                throw new Error(`${file.name} is not valid JSON`);
+            }
+            const result = importLogos(entries);
+            updateTabCounters();
+            renderLogos();
+            const unmatched = result.unmatched.length > 0
+                ? `\nNo manufacturer matches: ${result.unmatched.join(', ')}`
+                : '';
+            alert(`Logos updated: ${result.updated}${unmatched}`);
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * MODULE MODELS SECTION
+     * Modules group seriesCount × parallelCount cells; packs list the modules they are built
+     * from (DB.batteryPackModules), edited in the pack form.
+     */
+    function setupModuleModels() {
+        const addBtn = document.getElementById('add-module-btn');
+        const cancelBtn = document.getElementById('cancel-module-btn');
+        const closeBtn = document.getElementById('close-module-modal');
+        const modal = document.getElementById('module-modal');
+        const form = document.getElementById('module-form-element');
 
         addBtn.addEventListener('click', () => {
-            showRelationForm();
+            showModuleForm();
         });
 
         cancelBtn.addEventListener('click', () => {
-            hideRelationForm();
+            hideModuleForm();
         });
 
         closeBtn.addEventListener('click', () => {
-            hideRelationForm();
+            hideModuleForm();
         });
 
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
-                hideRelationForm();
+                hideModuleForm();
             }
         });
 
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && modal.classList.contains('active')) {
-                hideRelationForm();
+                hideModuleForm();
             }
         });
 
+        // The cells in series give the voltage when none is declared
+        ['module-cell-model', 'module-series'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                applyModuleVoltagePlaceholder();
+            });
+        });
+
         form.addEventListener('submit', (e) => {
             e.preventDefault();
-            saveRelation();
+            saveModuleModel();
         });
     }
 
-    function renderCarBatteryPacks() {
-        const relations = DB.carBatteryPacks.list();
-        const container = document.getElementById('relation-list');
+    // Helper: Cell models by id, with their manufacturer (for manufacturerName())
+    function cellModelsById() {
+        return new Map(DB.cellModels.query({ include: ['manufacturer'] }).map(cell => [cell.id, cell]));
+    }
 
-        if (relations.length === 0) {
-            container.innerHTML = '<div class="empty-state"><p>No relations yet. Add one to get started!</p></div>';
-            return;
+    // Helper: "2S2P · 7.6V · 66.2Ah · 3.8kg · Bolted busbar", leaving out what is unknown
+    function moduleSpecsText(module, specs) {
+        const parts = [];
+        if (module.seriesCount || module.parallelCount) {
+            parts.push(`${module.seriesCount || '?'}S${module.parallelCount || '?'}P`);
         }
+        if (specs.nominalVoltage !== null) parts.push(`${specs.nominalVoltage}V`);
+        if (specs.capacityAh !== null) parts.push(`${specs.capacityAh}Ah`);
+        if (specs.massKg !== null) parts.push(`${specs.massKg}kg`);
+        if (module.connectorType) parts.push(escapeHTML(module.connectorType));
+        return parts.join(' · ');
+    }
 
-        container.innerHTML = relations.map(rel => {
-            const car = DB.cars.get(rel.carId);
-            const pack = DB.batteryPacks.get(rel.batteryPackId);
+    function renderModuleModels() {
+        const modules = DB.moduleModels.query({ orderBy: 'name' });
+        const cells = cellModelsById();
+        const rows = DB.batteryPackModules.list();
+        const container = document.getElementById('module-list');
+
+        if (modules.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No modules yet. Add one to get started!</p></div>';
+            return;
+        }
 
-            const carName = car ? `${car.brand} ${car.model}${car.trim ? ' (' + car.trim + ')' : ''}` : 'Unknown Car';
-            const packName = pack ? pack.name : 'Unknown Pack';
+        container.innerHTML = modules.map(module => {
+            const cell = cells.get(module.cellModelId);
+            const specs = DB.moduleModels.specs(module);
+            const packCount = rows.filter(row => row.moduleModelId === module.id).length;
+            const voltageSource = module.nominalVoltage ? '' : ' <span class="missing">(computed)</span>';
 
             return `
-                <div class="data-item">
+                <div class="data-item" data-record-id="${module.id}">
                     <div class="data-item-content">
-                        <h3>${carName} ↔ ${packName}</h3>
-                        <p><strong>Car:</strong> ${carName}</p>
-                        <p><strong>Battery Pack:</strong> ${packName} ${pack ? '(' + pack.totalCapacityKwh + 'kWh)' : ''}</p>
+                        <h3>${escapeHTML(module.name)}</h3>
+                        <p><strong>Cell:</strong> ${cell ? `${escapeHTML(manufacturerName(cell))} ${escapeHTML(cell.model)}` : '<span class="missing">Unknown</span>'} |
+                           <strong>Config:</strong> ${module.seriesCount || '<span class="missing">?</span>'}S ${module.parallelCount || '<span class="missing">?</span>'}P
+                           (${specs.cellCount !== null ? specs.cellCount : '<span class="missing">?</span>'} cells)</p>
+                        <p><strong>Voltage:</strong> ${specs.nominalVoltage !== null ? specs.nominalVoltage + 'V' + voltageSource : '<span class="missing">N/A</span>'} |
+                           <strong>Capacity:</strong> ${specs.capacityAh !== null ? specs.capacityAh + 'Ah' : '<span class="missing">N/A</span>'} |
+                           <strong>Energy:</strong> ${specs.energyKwh !== null ? Math.round(specs.energyKwh * 1000) + 'Wh' : '<span class="missing">N/A</span>'}</p>
+                        <p><strong>Mass:</strong> ${module.massKg ? module.massKg + 'kg' : '<span class="missing">N/A</span>'} |
+                           <strong>Connector:</strong> ${module.connectorType ? escapeHTML(module.connectorType) : '<span class="missing">N/A</span>'} |
+                           <strong>Used by:</strong> ${packCount} battery pack${packCount === 1 ? '' : 's'}</p>
                     </div>
                     <div class="data-item-actions">
-                        <button class="btn btn-edit" onclick="editRelation(${rel.id})">Edit</button>
-                        <button class="btn btn-danger" onclick="deleteRelation(${rel.id})">Delete</button>
+                        <button class="btn btn-edit" onclick="editModuleModel(${module.id})">Edit</button>
+                        <button class="btn btn-secondary" onclick="showHistory('moduleModels', ${module.id})">History</button>
+                        <button class="btn btn-danger" onclick="deleteModuleModel(${module.id})">Delete</button>
                     </div>
                 </div>
             `;
         }).join('');
     }
 
-    function showRelationForm(relation = null) {
-        populateRelationDropdowns();
-        editingItem = relation;
-        const modal = document.getElementById('relation-modal');
-        const title = document.getElementById('relation-form-title');
-
-        if (relation) {
-            title.textContent = 'Edit Relation';
-            document.getElementById('relation-id').value = relation.id;
-            document.getElementById('relation-car').value = relation.carId || '';
-            document.getElementById('relation-pack').value = relation.batteryPackId || '';
+    function showModuleForm(module = null) {
+        populateCellModelDropdown('module-cell-model');
+        editingItem = module;
+        const modal = document.getElementById('module-modal');
+        const title = document.getElementById('module-form-title');
+
+        // Suggest the connector types already used
+        const connectors = [...new Set(DB.moduleModels.list().map(item => item.connectorType).filter(Boolean))].sort();
+        document.getElementById('module-connectors').innerHTML =
+            connectors.map(connector => `<option value="${escapeHTML(connector)}">`).join('');
+
+        if (module) {
+            title.textContent = 'Edit Module';
+            document.getElementById('module-id').value = module.id;
+            document.getElementById('module-name').value = module.name;
+            document.getElementById('module-cell-model').value = module.cellModelId || '';
+            document.getElementById('module-series').value = module.seriesCount || '';
+            document.getElementById('module-parallel').value = module.parallelCount || '';
+            document.getElementById('module-voltage').value = module.nominalVoltage || '';
+            document.getElementById('module-mass').value = module.massKg || '';
+            document.getElementById('module-connector').value = module.connectorType || '';
         } else {
-            title.textContent = 'Add Car-Battery Relation';
-            document.getElementById('relation-form-element').reset();
-            document.getElementById('relation-id').value = '';
+            title.textContent = 'Add Module';
+            document.getElementById('module-form-element').reset();
+            document.getElementById('module-id').value = '';
         }
+        applyModuleVoltagePlaceholder();
 
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
     }
 
-    function hideRelationForm() {
-        const modal = document.getElementById('relation-modal');
+    function hideModuleForm() {
+        const modal = document.getElementById('module-modal');
         modal.classList.remove('active');
-        document.getElementById('relation-form-element').reset();
+        document.getElementById('module-form-element').reset();
         document.body.style.overflow = '';
         editingItem = null;
     }
 
-    function populateRelationDropdowns() {
-        // Populate cars dropdown
-        const cars = DB.cars.list();
-        const carSelect = document.getElementById('relation-car');
-        const currentCarValue = carSelect.value;
+    // Module form: show series × cell voltage as placeholder of the voltage
+    function applyModuleVoltagePlaceholder() {
+        const cell = DB.cellModels.get(readNumber('module-cell-model'));
+        const seriesCount = readNumber('module-series');
+        document.getElementById('module-voltage').placeholder = cell && cell.nominalVoltage && seriesCount
+            ? `Computed: ${Math.round(seriesCount * cell.nominalVoltage * 100) / 100}` : '';
+    }
 
-        carSelect.innerHTML = '<option value="">Select car...</option>' +
-            cars.map(car => {
-                const trimText = car.trim ? ` (${car.trim})` : '';
-                return `<option value="${car.id}">${car.brand} ${car.model}${trimText}</option>`;
-            }).join('');
+    function saveModuleModel() {
+        const id = document.getElementById('module-id').value;
+        const data = {
+            name: document.getElementById('module-name').value.trim(),
+            cellModelId: readNumber('module-cell-model'),
+            seriesCount: readNumber('module-series'),
+            parallelCount: readNumber('module-parallel'),
+            nominalVoltage: readNumber('module-voltage'),
+            massKg: readNumber('module-mass'),
+            connectorType: document.getElementById('module-connector').value.trim() || null
+        };
 
-        if (currentCarValue) {
-            carSelect.value = currentCarValue;
+        try {
+            if (id) {
+                DB.moduleModels.update(parseInt(id), data);
+            } else {
+                DB.moduleModels.create(data);
+            }
+            hideModuleForm();
+            updateTabCounters();
+            renderModuleModels();
+        } catch (error) {
+            markInvalidFields('module-form-element', error);
+            alert('Error: ' + error.message);
         }
+    }
 
-        // Populate battery packs dropdown
-        const packs = DB.batteryPacks.list();
+    window.editModuleModel = function(id) {
+        const module = DB.moduleModels.get(id);
+        if (module) showModuleForm(module);
+    };
+
+    // A module row is edited in the form of its pack (e.g. from the Issues tab)
+    window.editPackModule = function(id) {
+        const row = DB.batteryPackModules.get(id);
+        if (row) editBatteryPack(row.batteryPackId);
+    };
+
+    window.deleteModuleModel = function(id) {
+        confirmDelete('moduleModels', id);
+    };
+
+    /**
+     * BATTERY PACKS SECTION
+     */
+    function setupBatteryPacks() {
+        const addBtn = document.getElementById('add-pack-btn');
+        const cancelBtn = document.getElementById('cancel-pack-btn');
+        const closeBtn = document.getElementById('close-pack-modal');
+        const modal = document.getElementById('pack-modal');
+        const form = document.getElementById('pack-form-element');
+
+        addBtn.addEventListener('click', () => {
+            showPackForm();
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            hidePackForm();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hidePackForm();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hidePackForm();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hidePackForm();
+            }
+        });
+
+        document.getElementById('add-pack-module-btn').addEventListener('click', () => {
+            addPackModuleRow();
+        });
+
+        document.getElementById('pack-modules').addEventListener('click', (e) => {
+            const button = e.target.closest('.pack-module-remove');
+            if (button) button.closest('.pack-module-row').remove();
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveBatteryPack();
+        });
+    }
+
+    function renderBatteryPacks() {
+        const allPacks = DB.batteryPacks.query({ include: ['cellModel.manufacturer'] });
+        const cells = cellModelsById();
+        const packs = applySort('batteryPacks', applyFilters('batteryPacks', allPacks));
+        const container = document.getElementById('pack-list');
+        const stats = calculateStats('batteryPacks', packs);
+
+        renderFilterPanel('batteryPacks', allPacks);
+        renderSortBar('batteryPacks');
+
+        if (allPacks.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No battery packs yet. Add one to get started!</p></div>';
+            return;
+        }
+        if (packs.length === 0) {
+            container.innerHTML = createStatsHTML(stats) + '<div class="empty-state"><p>No battery packs match the current filters.</p></div>';
+            return;
+        }
+
+        container.innerHTML = createStatsHTML(stats) + packs.map(pack => {
+            const cellModel = pack.cellModel;
+            const cellName = cellModel ? `${escapeHTML(manufacturerName(cellModel))} ${escapeHTML(cellModel.model)}` : '<span class="missing">Unknown</span>';
+            const validation = validateBatteryPack(pack);
+            const badgeHTML = createValidationBadge(validation);
+            const specs = DB.batteryPacks.specs(pack);
+            const mismatchHTML = specs.status === 'mismatch'
+                ? `<span class="badge badge-incomplete" title="Declared and computed energy differ by more than ${specs.tolerance * 100}%">⚡ Energy mismatch</span>`
+                : '';
+
+            return `
+                <div class="data-item ${validation.isComplete ? '' : 'incomplete'}" data-record-id="${pack.id}">
+                    <div class="data-item-content">
+                        <h3>${escapeHTML(pack.name)} ${badgeHTML} ${mismatchHTML}</h3>
+                        <p><strong>Capacity:</strong> ${pack.totalCapacityKwh}kWh | <strong>Cell:</strong> ${cellName}</p>
+                        <p><strong>Config:</strong> ${pack.seriesCount || '<span class="missing">?</span>'}S ${pack.parallelCount || '<span class="missing">?</span>'}P |
+                           <strong>Cells:</strong> ${pack.cellCount || '<span class="missing">N/A</span>'}</p>
+                        <p><strong>Computed:</strong> ${createPackSpecsHTML(specs)}</p>
+                        ${createPackCompositionHTML(DB.batteryPacks.composition(pack), cells)}
+                        ${customFieldsHTML('batteryPacks', pack)}
+                    </div>
+                    <div class="data-item-actions">
+                        <button class="btn btn-edit" onclick="editBatteryPack(${pack.id})">Edit</button>
+                        <button class="btn btn-secondary" onclick="showHistory('batteryPacks', ${pack.id})">History</button>
+                        <button class="btn btn-danger" onclick="deleteBatteryPack(${pack.id})">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Helper: "355.2V · 94Ah · 33.4kWh (+0.6% vs declared)" or the missing inputs
+    function createPackSpecsHTML(specs) {
+        const parts = [];
+        if (specs.nominalVoltage !== null) parts.push(`${specs.nominalVoltage}V`);
+        if (specs.capacityAh !== null) parts.push(`${specs.capacityAh}Ah`);
+        if (specs.energyKwh !== null) parts.push(`${specs.energyKwh}kWh`);
+
+        let html = parts.join(' · ');
+        if (specs.deviationPercent !== null) {
+            const sign = specs.deviationPercent > 0 ? '+' : '';
+            html += ` <span class="spec-deviation ${specs.status}">(${sign}${specs.deviationPercent}% vs declared)</span>`;
+        }
+        if (specs.energyKwh === null) {
+            const missing = specs.missing.filter(field => field !== 'totalCapacityKwh');
+            html += `${parts.length > 0 ? ' · ' : ''}<span class="missing">needs ${missing.join(', ')}</span>`;
+        }
+        return html;
+    }
+
+    /**
+     * Pack → module → cell breakdown of a pack built from modules ('' when none are listed):
+     * the totals of the modules, then one line per module model with its count and cell model
+     */
+    function createPackCompositionHTML(composition, cells) {
+        if (composition.modules.length === 0) return '';
+
+        const unknown = '<span class="missing">?</span>';
+        const totals = [
+            `${composition.moduleCount} module${composition.moduleCount === 1 ? '' : 's'}`,
+            `${composition.cellCount !== null ? composition.cellCount : unknown} cells`,
+            `${composition.energyKwh !== null ? composition.energyKwh : unknown}kWh`,
+            `${composition.massKg !== null ? composition.massKg : unknown}kg`
+        ];
+
+        const rows = composition.modules.map(row => {
+            const module = row.moduleModel;
+            const cell = module ? cells.get(module.cellModelId) : null;
+            const cellName = cell ? `${escapeHTML(manufacturerName(cell))} ${escapeHTML(cell.model)}` : '<span class="missing">unknown cell</span>';
+            return `
+                <li>${row.moduleCount} × ${module ? escapeHTML(module.name) : unknown}
+                    <span class="composition-meta">${module ? moduleSpecsText(module, row.specs) : ''}</span>
+                    → ${cellName}</li>
+            `;
+        }).join('');
+
+        return `
+            <div class="pack-composition">
+                <p><strong>Modules:</strong> ${totals.join(' · ')}</p>
+                <ul class="pack-composition-tree">${rows}</ul>
+            </div>
+        `;
+    }
+
+    // Pack form: one row per module model of the pack (select + count)
+    function addPackModuleRow(row = null) {
+        const modules = DB.moduleModels.query({ orderBy: 'name' });
+        const container = document.getElementById('pack-modules');
+        const element = document.createElement('div');
+        element.className = 'pack-module-row';
+        element.innerHTML = `
+            <select class="pack-module-model" data-schema="batteryPackModules.moduleModelId" aria-label="Module">
+                <option value="">Select module...</option>
+                ${modules.map(module => `<option value="${module.id}">${escapeHTML(module.name)}</option>`).join('')}
+            </select>
+            <span>×</span>
+            <input type="number" class="pack-module-count" data-schema="batteryPackModules.moduleCount"
+                   min="1" step="1" placeholder="Count" aria-label="Number of modules">
+            <button type="button" class="btn btn-secondary pack-module-remove" title="Remove">×</button>
+        `;
+        if (row) {
+            element.querySelector('.pack-module-model').value = row.moduleModelId;
+            element.querySelector('.pack-module-count').value = row.moduleCount;
+        }
+        element.querySelectorAll('select, input').forEach(input => {
+            input.addEventListener('input', () => clearInvalidField(input));
+        });
+        container.appendChild(element);
+    }
+
+    // Helper: Modules listed in the pack form; rows without a module are ignored
+    function readPackModules() {
+        return Array.from(document.querySelectorAll('#pack-modules .pack-module-row'))
+            .map(element => ({
+                moduleModelId: parseInt(element.querySelector('.pack-module-model').value) || null,
+                moduleCount: element.querySelector('.pack-module-count').value === ''
+                    ? null : Number(element.querySelector('.pack-module-count').value)
+            }))
+            .filter(row => row.moduleModelId !== null);
+    }
+
+    function showPackForm(pack = null) {
+        populateCellModelDropdown();
+        editingItem = pack;
+        const modal = document.getElementById('pack-modal');
+        const title = document.getElementById('pack-form-title');
+
+        if (pack) {
+            title.textContent = 'Edit Battery Pack';
+            document.getElementById('pack-id').value = pack.id;
+            document.getElementById('pack-name').value = pack.name;
+            document.getElementById('pack-capacity').value = pack.totalCapacityKwh || '';
+            document.getElementById('pack-series').value = pack.seriesCount || '';
+            document.getElementById('pack-parallel').value = pack.parallelCount || '';
+            document.getElementById('pack-cells').value = pack.cellCount || '';
+            document.getElementById('pack-cell-model').value = pack.cellModelId || '';
+        } else {
+            title.textContent = 'Add Battery Pack';
+            document.getElementById('pack-form-element').reset();
+            document.getElementById('pack-id').value = '';
+        }
+        renderCustomFieldInputs('batteryPacks', pack);
+        document.getElementById('pack-modules').innerHTML = '';
+        if (pack) DB.batteryPackModules.getByBatteryPackId(pack.id).forEach(addPackModuleRow);
+
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hidePackForm() {
+        const modal = document.getElementById('pack-modal');
+        modal.classList.remove('active');
+        document.getElementById('pack-form-element').reset();
+        document.body.style.overflow = '';
+        editingItem = null;
+    }
+
+    // Cell model select of the pack form (or of the module form)
+    function populateCellModelDropdown(selectId = 'pack-cell-model') {
+        const cells = DB.cellModels.query({ orderBy: ['manufacturer.name', 'model'], include: ['manufacturer'] });
+        const select = document.getElementById(selectId);
+        const currentValue = select.value;
+
+        select.innerHTML = '<option value="">Select cell model...</option>' +
+            cells.map(cell =>
+                `<option value="${cell.id}">${escapeHTML(manufacturerName(cell))} ${escapeHTML(cell.model)}</option>`
+            ).join('');
+
+        if (currentValue) {
+            select.value = currentValue;
+        }
+    }
+
+    function saveBatteryPack() {
+        const id = document.getElementById('pack-id').value;
+        const data = {
+            name: document.getElementById('pack-name').value,
+            totalCapacityKwh: readNumber('pack-capacity'),
+            seriesCount: readNumber('pack-series'),
+            parallelCount: readNumber('pack-parallel'),
+            cellCount: readNumber('pack-cells'),
+            cellModelId: readNumber('pack-cell-model'),
+            ...readCustomFields('batteryPacks')
+        };
+
+        const modules = readPackModules();
+
+        try {
+            // The pack and its modules are saved (and undone) together
+            DB.transaction(() => {
+                const pack = id ? DB.batteryPacks.update(parseInt(id), data) : DB.batteryPacks.create(data);
+                DB.batteryPackModules.set(pack.id, modules);
+            });
+            hidePackForm();
+            updateTabCounters();
+            renderBatteryPacks();
+            // Update relations dropdown if on that tab
+            if (currentTab === 'carBatteryPacks') {
+                populateRelationDropdowns();
+            }
+        } catch (error) {
+            markInvalidFields('pack-form-element', error);
+            alert('Error: ' + error.message);
+        }
+    }
+
+    window.editBatteryPack = function(id) {
+        const pack = DB.batteryPacks.get(id);
+        if (pack) showPackForm(pack);
+    };
+
+    window.deleteBatteryPack = function(id) {
+        confirmDelete('batteryPacks', id);
+    };
+
+    /**
+     * CARS SECTION
+     */
+    function setupCars() {
+        const addBtn = document.getElementById('add-car-btn');
+        const cancelBtn = document.getElementById('cancel-car-btn');
+        const closeBtn = document.getElementById('close-car-modal');
+        const modal = document.getElementById('car-modal');
+        const form = document.getElementById('car-form-element');
+
+        addBtn.addEventListener('click', () => {
+            showCarForm();
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            hideCarForm();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideCarForm();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideCarForm();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideCarForm();
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveCar();
+        });
+    }
+
+    function renderCars() {
+        const allCars = DB.cars.query({ include: ['manufacturer'] });
+        const cars = applySort('cars', applyFilters('cars', allCars));
+        const container = document.getElementById('car-list');
+        const stats = calculateStats('cars', cars);
+
+        renderFilterPanel('cars', allCars);
+        renderSortBar('cars');
+
+        if (allCars.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No cars yet. Add one to get started!</p></div>';
+            return;
+        }
+        if (cars.length === 0) {
+            container.innerHTML = createStatsHTML(stats) + '<div class="empty-state"><p>No cars match the current filters.</p></div>';
+            return;
+        }
+
+        container.innerHTML = createStatsHTML(stats) + cars.map(car => {
+            const validation = validateCar(car);
+            const badgeHTML = createValidationBadge(validation);
+            const trimText = car.trim ? ` <span class="car-trim">(${escapeHTML(car.trim)})</span>` : '';
+            const yearStart = car.yearStart || '<span class="missing">?</span>';
+            const yearEnd = car.yearEnd || '<span class="missing">Present</span>';
+            const yearText = `${yearStart} - ${yearEnd}`;
+            const logoHTML = getManufacturerLogoHTML(car.manufacturer);
+
+            return `
+                <div class="data-item car-item ${validation.isComplete ? '' : 'incomplete'}" data-record-id="${car.id}">
+                    ${logoHTML}
+                    <div class="data-item-content">
+                        <h3 class="car-brand">${escapeHTML(manufacturerName(car))} ${badgeHTML}</h3>
+                        <p class="car-model">${escapeHTML(car.model)}${trimText}</p>
+                        <p><strong>Years:</strong> ${yearText}</p>
+                        ${customFieldsHTML('cars', car)}
+                    </div>
+                    <div class="data-item-actions">
+                        <button class="btn btn-edit" onclick="editCar(${car.id})">Edit</button>
+                        <button class="btn btn-secondary" onclick="showHistory('cars', ${car.id})">History</button>
+                        <button class="btn btn-danger" onclick="deleteCar(${car.id})">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function showCarForm(car = null) {
+        populateManufacturerOptions('car-brands', 'vehicle');
+        editingItem = car;
+        const modal = document.getElementById('car-modal');
+        const title = document.getElementById('car-form-title');
+
+        if (car) {
+            title.textContent = 'Edit Car';
+            document.getElementById('car-id').value = car.id;
+            const manufacturer = DB.manufacturers.get(car.manufacturerId);
+            document.getElementById('car-brand').value = manufacturer ? manufacturer.name : '';
+            document.getElementById('car-model').value = car.model;
+            document.getElementById('car-trim').value = car.trim || '';
+            document.getElementById('car-year-start').value = car.yearStart || '';
+            document.getElementById('car-year-end').value = car.yearEnd || '';
+        } else {
+            title.textContent = 'Add Car';
+            document.getElementById('car-form-element').reset();
+            document.getElementById('car-id').value = '';
+        }
+        renderCustomFieldInputs('cars', car);
+
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hideCarForm() {
+        const modal = document.getElementById('car-modal');
+        modal.classList.remove('active');
+        document.getElementById('car-form-element').reset();
+        document.body.style.overflow = '';
+        editingItem = null;
+    }
+
+    function saveCar() {
+        const id = document.getElementById('car-id').value;
+        const data = {
+            model: document.getElementById('car-model').value,
+            trim: document.getElementById('car-trim').value || null,
+            yearStart: readNumber('car-year-start'),
+            yearEnd: readNumber('car-year-end'),
+            ...readCustomFields('cars')
+        };
+
+        try {
+            // A new manufacturer is only kept if the record is saved too
+            const saved = DB.transaction(() => {
+                data.manufacturerId = manufacturerIdFromInput('car-brand', 'vehicle');
+                if (data.manufacturerId === null) return false;
+                if (id) {
+                    DB.cars.update(parseInt(id), data);
+                } else {
+                    DB.cars.create(data);
+                }
+                return true;
+            });
+            if (!saved) return;
+            hideCarForm();
+            updateTabCounters();
+            renderCars();
+            // Update relations dropdown if on that tab
+            if (currentTab === 'carBatteryPacks') {
+                populateRelationDropdowns();
+            }
+        } catch (error) {
+            markInvalidFields('car-form-element', error);
+            alert('Error: ' + error.message);
+        }
+    }
+
+    window.editCar = function(id) {
+        const car = DB.cars.get(id);
+        if (car) showCarForm(car);
+    };
+
+    window.deleteCar = function(id) {
+        confirmDelete('cars', id);
+    };
+
+    /**
+     * CAR-BATTERY PACKS RELATIONS SECTION
+     */
+    function setupCarBatteryPacks() {
+        const addBtn = document.getElementById('add-relation-btn');
+        const cancelBtn = document.getElementById('cancel-relation-btn');
+        const closeBtn = document.getElementById('close-relation-modal');
+        const modal = document.getElementById('relation-modal');
+        const form = document.getElementById('relation-form-element');
+
+        addBtn.addEventListener('click', () => {
+            showRelationForm();
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            hideRelationForm();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideRelationForm();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideRelationForm();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideRelationForm();
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveRelation();
+        });
+    }
+
+    function renderCarBatteryPacks() {
+        const relations = DB.carBatteryPacks.query({ include: ['car.manufacturer', 'batteryPack'] });
+        const container = document.getElementById('relation-list');
+
+        if (relations.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No relations yet. Add one to get started!</p></div>';
+            return;
+        }
+
+        container.innerHTML = relations.map(rel => {
+            const car = rel.car;
+            const pack = rel.batteryPack;
+
+            const carName = car ? `${escapeHTML(manufacturerName(car))} ${escapeHTML(car.model)}${car.trim ? ' (' + escapeHTML(car.trim) + ')' : ''}` : 'Unknown Car';
+            const packName = pack ? escapeHTML(pack.name) : 'Unknown Pack';
+
+            return `
+                <div class="data-item" data-record-id="${rel.id}">
+                    <div class="data-item-content">
+                        <h3>${carName} ↔ ${packName}</h3>
+                        <p><strong>Car:</strong> ${carName}</p>
+                        <p><strong>Battery Pack:</strong> ${packName} ${pack ? '(' + pack.totalCapacityKwh + 'kWh)' : ''}</p>
+                    </div>
+                    <div class="data-item-actions">
+                        <button class="btn btn-edit" onclick="editRelation(${rel.id})">Edit</button>
+                        <button class="btn btn-secondary" onclick="showHistory('carBatteryPacks', ${rel.id})">History</button>
+                        <button class="btn btn-danger" onclick="deleteRelation(${rel.id})">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function showRelationForm(relation = null) {
+        populateRelationDropdowns();
+        editingItem = relation;
+        const modal = document.getElementById('relation-modal');
+        const title = document.getElementById('relation-form-title');
+
+        if (relation) {
+            title.textContent = 'Edit Relation';
+            document.getElementById('relation-id').value = relation.id;
+            document.getElementById('relation-car').value = relation.carId || '';
+            document.getElementById('relation-pack').value = relation.batteryPackId || '';
+        } else {
+            title.textContent = 'Add Car-Battery Relation';
+            document.getElementById('relation-form-element').reset();
+            document.getElementById('relation-id').value = '';
+        }
+
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hideRelationForm() {
+        const modal = document.getElementById('relation-modal');
+        modal.classList.remove('active');
+        document.getElementById('relation-form-element').reset();
+        document.body.style.overflow = '';
+        editingItem = null;
+    }
+
+    function populateRelationDropdowns() {
+        // Populate cars dropdown
+        const cars = DB.cars.query({ orderBy: ['manufacturer.name', 'model', 'yearStart'], include: ['manufacturer'] });
+        const carSelect = document.getElementById('relation-car');
+        const currentCarValue = carSelect.value;
+
+        carSelect.innerHTML = '<option value="">Select car...</option>' +
+            cars.map(car => {
+                const trimText = car.trim ? ` (${escapeHTML(car.trim)})` : '';
+                return `<option value="${car.id}">${escapeHTML(manufacturerName(car))} ${escapeHTML(car.model)}${trimText}</option>`;
+            }).join('');
+
+        if (currentCarValue) {
+            carSelect.value = currentCarValue;
+        }
+
+        // Populate battery packs dropdown
+        const packs = DB.batteryPacks.query({ orderBy: 'name' });
         const packSelect = document.getElementById('relation-pack');
         const currentPackValue = packSelect.value;
 
-        packSelect.innerHTML = '<option value="">Select battery pack...</option>' +
-            packs.map(pack =>
-                `<option value="${pack.id}">${pack.name} (${pack.totalCapacityKwh}kWh)</option>`
-            ).join('');
+        packSelect.innerHTML = '<option value="">Select battery pack...</option>' +
+            packs.map(pack =>
+                `<option value="${pack.id}">${escapeHTML(pack.name)} (${pack.totalCapacityKwh}kWh)</option>`
+            ).join('');
+
+        if (currentPackValue) {
+            packSelect.value = currentPackValue;
+        }
+    }
+
+    function saveRelation() {
+        const id = document.getElementById('relation-id').value;
+        const data = {
+            carId: readNumber('relation-car'),
+            batteryPackId: readNumber('relation-pack')
+        };
+
+        try {
+            if (id) {
+                DB.carBatteryPacks.update(parseInt(id), data);
+            } else {
+                DB.carBatteryPacks.create(data);
+            }
+            hideRelationForm();
+            updateTabCounters();
+            renderCarBatteryPacks();
+        } catch (error) {
+            markInvalidFields('relation-form-element', error);
+            alert('Error: ' + error.message);
+        }
+    }
+
+    window.editRelation = function(id) {
+        const relation = DB.carBatteryPacks.get(id);
+        if (relation) showRelationForm(relation);
+    };
+
+    window.deleteRelation = function(id) {
+        if (confirm('Are you sure you want to delete this relation?')) {
+            try {
+                DB.carBatteryPacks.remove(id);
+                updateTabCounters();
+                renderCarBatteryPacks();
+            } catch (error) {
+                alert('Error: ' + error.message);
+            }
+        }
+    };
+
+    /**
+     * DELETE CONFIRMATION SECTION
+     * Records that are referenced elsewhere can only be deleted together with their
+     * dependents (onDelete 'cascade'), after the user has seen the list.
+     */
+    const DELETE_LABELS = {
+        cellModels: 'cell model',
+        moduleModels: 'module model',
+        batteryPacks: 'battery pack',
+        cars: 'car',
+        carBatteryPacks: 'car-battery relation'
+    };
+
+    function setupDeleteConfirmation() {
+        const confirmBtn = document.getElementById('confirm-delete-btn');
+        const cancelBtn = document.getElementById('cancel-delete-btn');
+        const closeBtn = document.getElementById('close-delete-modal');
+        const modal = document.getElementById('delete-modal');
+
+        confirmBtn.addEventListener('click', () => {
+            if (!pendingDelete) return;
+            const { tableName, id } = pendingDelete;
+            hideDeletePreview();
+            deleteRecord(tableName, id, { onDelete: 'cascade' });
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            hideDeletePreview();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideDeletePreview();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideDeletePreview();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideDeletePreview();
+            }
+        });
+    }
+
+    // Ask before deleting: a plain confirm, or the dependency preview when other records are affected
+    function confirmDelete(tableName, id) {
+        try {
+            const affected = DB.previewDelete(tableName, id, { onDelete: 'cascade' });
+            if (affected.length === 0) {
+                if (confirm(`Are you sure you want to delete this ${DELETE_LABELS[tableName]}?`)) {
+                    deleteRecord(tableName, id);
+                }
+                return;
+            }
+            showDeletePreview(tableName, id, affected);
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    function deleteRecord(tableName, id, options) {
+        try {
+            DB[tableName].remove(id, options);
+            updateTabCounters();
+            switchTab(currentTab);
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    function showDeletePreview(tableName, id, affected) {
+        const groupsHTML = Object.keys(IMPORT_TABLE_LABELS).map(table => {
+            const entries = affected.filter(entry => entry.table === table);
+            if (entries.length === 0) return '';
+            return `
+                <h4>${IMPORT_TABLE_LABELS[table]} (${entries.length})</h4>
+                <ul class="delete-affected">
+                    ${entries.map(entry => `<li>${escapeHTML(entry.label)}</li>`).join('')}
+                </ul>
+            `;
+        }).join('');
+
+        document.getElementById('delete-preview').innerHTML = `
+            <p>This ${DELETE_LABELS[tableName]} is used by other records.
+            Deleting it will also delete the ${affected.length} record${affected.length === 1 ? '' : 's'} below:</p>
+            ${groupsHTML}
+        `;
+
+        pendingDelete = { tableName, id };
+        document.getElementById('delete-modal-title').textContent = `Delete ${DELETE_LABELS[tableName]}`;
+        document.getElementById('delete-modal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hideDeletePreview() {
+        document.getElementById('delete-modal').classList.remove('active');
+        document.getElementById('delete-preview').innerHTML = '';
+        document.body.style.overflow = '';
+        pendingDelete = null;
+    }
+
+    /**
+     * FLAT DATA IMPORT SECTION
+     */
+    const IMPORT_TABLE_LABELS = {
+        customFields: 'Custom Fields',
+        manufacturers: 'Manufacturers',
+        chemistries: 'Chemistries',
+        cellModels: 'Cell Models',
+        moduleModels: 'Module Models',
+        batteryPacks: 'Battery Packs',
+        batteryPackModules: 'Pack Modules',
+        cars: 'Cars',
+        carBatteryPacks: 'Car-Battery Relations'
+    };
+
+    function setupImport() {
+        const importBtn = document.getElementById('import-flat-btn');
+        const fileInput = document.getElementById('import-flat-file');
+        const confirmBtn = document.getElementById('confirm-import-btn');
+        const cancelBtn = document.getElementById('cancel-import-btn');
+        const closeBtn = document.getElementById('close-import-modal');
+        const modal = document.getElementById('import-modal');
+
+        importBtn.addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            const files = Array.from(fileInput.files);
+            fileInput.value = '';
+            if (files.length > 0) {
+                previewFlatImport(files);
+            }
+        });
+
+        confirmBtn.addEventListener('click', () => {
+            commitFlatImport();
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            hideImportPreview();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideImportPreview();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideImportPreview();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideImportPreview();
+            }
+        });
+    }
+
+    function readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsText(file);
+        });
+    }
+
+    async function previewFlatImport(files) {
+        try {
+            // Several files (e.g. cells_data.json + cars_data.json) are merged into one import
+            let rows = [];
+            for (const file of files) {
+                let parsed;
+                try {
+                    parsed = JSON.parse(await readFileAsText(file));
+                } catch (error) {
+                    throw new Error(`${file.name} is not valid JSON`);
+                }
+                if (!Array.isArray(parsed)) {
+                    throw new Error(`${file.name} must contain a JSON array of rows`);
+                }
+                rows = rows.concat(parsed);
+            }
+
+            pendingImportPlan = Importer.plan(rows);
+            showImportPreview(pendingImportPlan);
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    function showImportPreview(plan) {
+        const summary = Importer.summarize(plan);
+        const preview = document.getElementById('import-preview');
+
+        // Flat rows feed every table except chemistries
+        const tableNames = Object.keys(IMPORT_TABLE_LABELS).filter(tableName => summary[tableName]);
+
+        const summaryRows = tableNames.map(tableName => `
+            <tr>
+                <td>${IMPORT_TABLE_LABELS[tableName]}</td>
+                <td>${summary[tableName].create}</td>
+                <td>${summary[tableName].match}</td>
+            </tr>
+        `).join('');
+
+        const messagesHTML = (messages, className) => messages.length === 0 ? '' : `
+            <ul class="import-messages ${className}">
+                ${messages.map(message => `<li>${escapeHTML(message)}</li>`).join('')}
+            </ul>
+        `;
+
+        const detailsHTML = tableNames.map(tableName => {
+            const entries = plan[tableName];
+            if (entries.length === 0) return '';
+            return `
+                <details class="import-details">
+                    <summary>${IMPORT_TABLE_LABELS[tableName]} (${entries.length})</summary>
+                    <ul>
+                        ${entries.map(entry => `
+                            <li>
+                                ${entry.action === 'create'
+                                    ? '<span class="badge badge-new">New</span>'
+                                    : '<span class="badge badge-existing">Existing</span>'}
+                                ${escapeHTML(entry.label)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            `;
+        }).join('');
+
+        preview.innerHTML = `
+            <table class="import-summary">
+                <thead>
+                    <tr><th>Table</th><th>To create</th><th>Matched</th></tr>
+                </thead>
+                <tbody>${summaryRows}</tbody>
+            </table>
+            ${messagesHTML(plan.errors, 'errors')}
+            ${messagesHTML(plan.warnings, 'warnings')}
+            ${detailsHTML}
+        `;
+
+        document.getElementById('confirm-import-btn').disabled = plan.errors.length > 0;
+        document.getElementById('import-modal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hideImportPreview() {
+        document.getElementById('import-modal').classList.remove('active');
+        document.getElementById('import-preview').innerHTML = '';
+        document.body.style.overflow = '';
+        pendingImportPlan = null;
+    }
+
+    function commitFlatImport() {
+        if (!pendingImportPlan) return;
+
+        try {
+            const created = Importer.commit(pendingImportPlan);
+            hideImportPreview();
+            updateTabCounters();
+            switchTab(currentTab);
+            alert(`Import complete: ${created.manufacturers} manufacturers, ${created.cellModels} cell models, ` +
+                `${created.batteryPacks} battery packs, ${created.cars} cars and ${created.carBatteryPacks} relations created.`);
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * HISTORY SECTION
+     * Every write is recorded by DB.history: the History panel of a record lists its entries,
+     * Undo/Redo (header buttons, Ctrl+Z / Ctrl+Shift+Z) replay whole changes.
+     */
+    const HISTORY_OPERATION_LABELS = {
+        create: 'Created',
+        update: 'Updated',
+        delete: 'Deleted'
+    };
+
+    function setupHistory() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        const closeBtn = document.getElementById('close-history-modal');
+        const modal = document.getElementById('history-modal');
+
+        undoBtn.addEventListener('click', () => {
+            undoChange();
+        });
+
+        redoBtn.addEventListener('click', () => {
+            redoChange();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideHistory();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideHistory();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideHistory();
+                return;
+            }
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+            // Text fields keep their own undo, and forms are not changed behind an open modal
+            const target = e.target;
+            if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            if (document.querySelector('.modal-overlay.active')) return;
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                redoChange();
+            } else {
+                undoChange();
+            }
+        });
+    }
+
+    function updateUndoButtons() {
+        const status = DB.history.status();
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        undoBtn.disabled = !status.undo;
+        undoBtn.title = status.undo ? `Undo: ${status.undo.description} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.disabled = !status.redo;
+        redoBtn.title = status.redo ? `Redo: ${status.redo.description} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    function undoChange() {
+        try {
+            if (DB.history.undo()) {
+                updateTabCounters();
+                switchTab(currentTab);
+            }
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    function redoChange() {
+        try {
+            if (DB.history.redo()) {
+                updateTabCounters();
+                switchTab(currentTab);
+            }
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    // Helper: Short display of a field value in the history (uploaded logos are long data URLs)
+    function formatHistoryValue(value) {
+        if (value === null || value === undefined || value === '') return '<span class="missing">empty</span>';
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        return escapeHTML(text.length > 60 ? text.slice(0, 60) + '…' : text);
+    }
+
+    // Helper: Fields of an audit entry as table rows: changed fields for updates, all for create/delete
+    function historyFieldRows(entry) {
+        const record = entry.operation === 'update' ? { ...entry.before, ...entry.after } : entry.after || entry.before;
+        return Object.keys(record)
+            .filter(field => field !== 'id')
+            .filter(field => entry.operation !== 'update' ||
+                JSON.stringify(entry.before[field]) !== JSON.stringify(entry.after[field]))
+            .map(field => {
+                if (entry.operation !== 'update') {
+                    return `<tr><td>${escapeHTML(field)}</td><td colspan="2">${formatHistoryValue(record[field])}</td></tr>`;
+                }
+                return `<tr><td>${escapeHTML(field)}</td><td>${formatHistoryValue(entry.before[field])}</td><td>${formatHistoryValue(entry.after[field])}</td></tr>`;
+            })
+            .join('');
+    }
+
+    window.showHistory = function(tableName, id) {
+        const entries = DB.history.list({ table: tableName, recordId: id });
+        const record = DB[tableName].get(id) || (entries[0] && (entries[0].after || entries[0].before));
+        const label = record ? DB.label(tableName, record) : `#${id}`;
+
+        document.getElementById('history-modal-title').textContent = `History: ${label}`;
+        document.getElementById('history-list').innerHTML = entries.length === 0
+            ? '<p class="empty-state">No recorded changes. Changes are recorded from the first edit on, up to the last 200.</p>'
+            : entries.map(entry => {
+                const source = entry.action === 'undo' || entry.action === 'redo'
+                    ? ` <span class="badge">${entry.action} of change #${entry.relatedChange}</span>`
+                    : entry.action === 'import' ? ' <span class="badge">import</span>' : '';
+                return `
+                    <div class="history-entry history-${entry.operation}">
+                        <p><strong>${HISTORY_OPERATION_LABELS[entry.operation]}</strong>${source}
+                           <span class="history-time">${escapeHTML(new Date(entry.timestamp).toLocaleString())} · change #${entry.change}</span></p>
+                        <table class="history-fields">
+                            ${entry.operation === 'update' ? '<thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>' : ''}
+                            <tbody>${historyFieldRows(entry)}</tbody>
+                        </table>
+                    </div>
+                `;
+            }).join('');
+
+        document.getElementById('history-modal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    };
+
+    function hideHistory() {
+        document.getElementById('history-modal').classList.remove('active');
+        document.getElementById('history-list').innerHTML = '';
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * CUSTOM FIELDS SECTION
+     * Fields added by users to cars, battery packs and cell models (DB.customFields).
+     * Forms, cards, filters and exports read them from DB.describe(), so a change here
+     * only needs the current tab to be rendered again.
+     */
+    const CUSTOM_FIELD_TYPE_LABELS = {
+        text: 'Text',
+        number: 'Number',
+        enum: 'List of values',
+        date: 'Date',
+        url: 'Web address'
+    };
+
+    function setupCustomFields() {
+        const openBtn = document.getElementById('custom-fields-btn');
+        const cancelBtn = document.getElementById('cancel-custom-field-btn');
+        const closeBtn = document.getElementById('close-custom-fields-modal');
+        const modal = document.getElementById('custom-fields-modal');
+        const form = document.getElementById('custom-field-form-element');
+
+        openBtn.addEventListener('click', () => {
+            showCustomFields();
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            resetCustomFieldForm();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideCustomFields();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideCustomFields();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideCustomFields();
+            }
+        });
+
+        // Required by the schema, but DB.customFields.create() derives it from the label when empty
+        document.getElementById('custom-field-name').required = false;
+
+        document.getElementById('custom-field-type').addEventListener('change', () => {
+            updateCustomFieldOptions();
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveCustomField();
+        });
+    }
+
+    function showCustomFields() {
+        resetCustomFieldForm();
+        renderCustomFieldList();
+        document.getElementById('custom-fields-modal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hideCustomFields() {
+        document.getElementById('custom-fields-modal').classList.remove('active');
+        resetCustomFieldForm();
+        document.body.style.overflow = '';
+    }
+
+    // Helper: Number of records of the table with a value for the custom field
+    function countCustomFieldValues(customField) {
+        return DB[customField.tableName].list()
+            .filter(record => record[customField.name] !== null && record[customField.name] !== undefined)
+            .length;
+    }
+
+    function renderCustomFieldList() {
+        const customFields = DB.customFields.list();
+        const container = document.getElementById('custom-fields-list');
+
+        if (customFields.length === 0) {
+            container.innerHTML = '<p class="empty-state">No custom fields yet. Add one below to record more data on cars, battery packs or cell models.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="import-summary custom-fields-table">
+                <thead><tr><th>Table</th><th>Label</th><th>Name</th><th>Type</th><th>Values set</th><th></th></tr></thead>
+                <tbody>
+                    ${customFields.map(customField => `
+                        <tr>
+                            <td>${IMPORT_TABLE_LABELS[customField.tableName]}</td>
+                            <td>${escapeHTML(customField.label)}</td>
+                            <td><code>${escapeHTML(customField.name)}</code></td>
+                            <td>${CUSTOM_FIELD_TYPE_LABELS[customField.type]}${customField.type === 'enum' ? `: ${escapeHTML(customField.options.join(', '))}` : ''}</td>
+                            <td>${countCustomFieldValues(customField)}</td>
+                            <td class="custom-field-actions">
+                                <button type="button" class="btn btn-edit" onclick="editCustomField(${customField.id})">Edit</button>
+                                <button type="button" class="btn btn-danger" onclick="deleteCustomField(${customField.id})">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Helper: The values input is only used by enum fields
+    function updateCustomFieldOptions() {
+        const isEnum = document.getElementById('custom-field-type').value === 'enum';
+        document.getElementById('custom-field-options-group').hidden = !isEnum;
+        document.getElementById('custom-field-options').required = isEnum;
+    }
+
+    function resetCustomFieldForm() {
+        document.getElementById('custom-field-form-element').reset();
+        document.getElementById('custom-field-id').value = '';
+        document.getElementById('custom-field-form-title').textContent = 'Add Custom Field';
+        // The table and name of a field cannot change once it exists
+        document.getElementById('custom-field-table').disabled = false;
+        document.getElementById('custom-field-name').disabled = false;
+        updateCustomFieldOptions();
+    }
+
+    window.editCustomField = function(id) {
+        const customField = DB.customFields.get(id);
+        if (!customField) return;
+        // Also opened from the Issues tab
+        if (!document.getElementById('custom-fields-modal').classList.contains('active')) {
+            showCustomFields();
+        }
+        resetCustomFieldForm();
+        document.getElementById('custom-field-form-title').textContent = 'Edit Custom Field';
+        document.getElementById('custom-field-id').value = customField.id;
+        document.getElementById('custom-field-table').value = customField.tableName;
+        document.getElementById('custom-field-table').disabled = true;
+        document.getElementById('custom-field-label').value = customField.label;
+        document.getElementById('custom-field-name').value = customField.name;
+        document.getElementById('custom-field-name').disabled = true;
+        document.getElementById('custom-field-type').value = customField.type;
+        document.getElementById('custom-field-options').value = customField.options.join(', ');
+        updateCustomFieldOptions();
+        document.getElementById('custom-field-label').focus();
+    };
+
+    function saveCustomField() {
+        const id = document.getElementById('custom-field-id').value;
+        const type = document.getElementById('custom-field-type').value;
+        const data = {
+            label: document.getElementById('custom-field-label').value.trim(),
+            type,
+            options: type === 'enum' ? document.getElementById('custom-field-options').value.split(',') : []
+        };
+
+        try {
+            if (id) {
+                DB.customFields.update(parseInt(id), data);
+            } else {
+                DB.customFields.create({
+                    ...data,
+                    tableName: document.getElementById('custom-field-table').value,
+                    name: document.getElementById('custom-field-name').value.trim()
+                });
+            }
+            resetCustomFieldForm();
+            renderCustomFieldList();
+            switchTab(currentTab);
+        } catch (error) {
+            markInvalidFields('custom-field-form-element', error);
+            alert('Error: ' + error.message);
+        }
+    }
+
+    window.deleteCustomField = function(id) {
+        const customField = DB.customFields.get(id);
+        if (!customField) return;
+        const count = countCustomFieldValues(customField);
+        const values = count > 0 ? ` Its value in ${count} record${count === 1 ? '' : 's'} will be deleted too.` : '';
+        if (!confirm(`Delete the custom field "${customField.label}"?${values}`)) return;
+
+        try {
+            DB.customFields.remove(id);
+            resetCustomFieldForm();
+            renderCustomFieldList();
+            switchTab(currentTab);
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    };
+
+    /**
+     * JSON SNAPSHOT IMPORT/EXPORT SECTION
+     */
+    function downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    function todayStamp() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    function setupSnapshotImportExport() {
+        const importBtn = document.getElementById('import-json-btn');
+        const exportBtn = document.getElementById('export-json-btn');
+        const exportSqlBtn = document.getElementById('export-sql-btn');
+        const fileInput = document.getElementById('import-json-file');
+        const confirmBtn = document.getElementById('confirm-json-import-btn');
+        const cancelBtn = document.getElementById('cancel-json-import-btn');
+        const closeBtn = document.getElementById('close-json-import-modal');
+        const modal = document.getElementById('json-import-modal');
+
+        exportBtn.addEventListener('click', () => {
+            downloadFile(`battery-database-${todayStamp()}.json`, JSON.stringify(DB.export(), null, 2), 'application/json');
+        });
+
+        exportSqlBtn.addEventListener('click', () => {
+            downloadFile(`battery-database-${todayStamp()}.sql`, DB.toSQL(), 'application/sql');
+        });
+
+        importBtn.addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                loadSnapshotFile(file);
+            }
+        });
+
+        confirmBtn.addEventListener('click', () => {
+            importSnapshot();
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            hideSnapshotImport();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideSnapshotImport();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideSnapshotImport();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideSnapshotImport();
+            }
+        });
+    }
+
+    async function loadSnapshotFile(file) {
+        try {
+            try {
+                pendingSnapshot = JSON.parse(await readFileAsText(file));
+            } catch (error) {
+                throw new Error(`${file.name} is not valid JSON`);
+            }
+            if (!pendingSnapshot || typeof pendingSnapshot !== 'object' || Array.isArray(pendingSnapshot)) {
+                throw new Error(`${file.name} is not a database snapshot (use Import Flat Data for row files)`);
+            }
+            showSnapshotImport(file.name, pendingSnapshot);
+        } catch (error) {
+            pendingSnapshot = null;
+            alert('Error: ' + error.message);
+        }
+    }
+
+    function showSnapshotImport(filename, snapshot) {
+        // Snapshots of older schema versions (none = before versioning) are upgraded by DB.import():
+        // the tables added since then start empty
+        const version = snapshot.schemaVersion === undefined ? 0 : snapshot.schemaVersion;
+        const upgraded = Number.isInteger(version) && version < DB.schemaVersion;
+        const counts = Object.keys(IMPORT_TABLE_LABELS).map(tableName => {
+            const count = Array.isArray(snapshot[tableName]) ? snapshot[tableName].length
+                : upgraded ? 0 : '<span class="missing">missing</span>';
+            return `<tr><td>${IMPORT_TABLE_LABELS[tableName]}</td><td>${count}</td></tr>`;
+        }).join('');
+
+        document.getElementById('json-import-summary').innerHTML = `
+            <p><strong>File:</strong> ${escapeHTML(filename)}</p>
+            ${upgraded ? `<p>Exported by an older version of the app (schema version ${version}): it is upgraded to version ${DB.schemaVersion} on import.</p>` : ''}
+            <table class="import-summary">
+                <thead><tr><th>Table</th><th>Records</th></tr></thead>
+                <tbody>${counts}</tbody>
+            </table>
+        `;
+        document.querySelector('input[name="json-import-mode"][value="merge"]').checked = true;
+        document.getElementById('json-import-modal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hideSnapshotImport() {
+        document.getElementById('json-import-modal').classList.remove('active');
+        document.getElementById('json-import-summary').innerHTML = '';
+        document.body.style.overflow = '';
+        pendingSnapshot = null;
+    }
+
+    function importSnapshot() {
+        if (!pendingSnapshot) return;
+        const mode = document.querySelector('input[name="json-import-mode"]:checked').value;
+
+        if (mode === 'replace' && !confirm('Replace ALL current data with this snapshot? You can undo it with Undo (Ctrl+Z).')) {
+            return;
+        }
+
+        try {
+            const result = DB.import(pendingSnapshot, { mode });
+            hideSnapshotImport();
+            updateTabCounters();
+            switchTab(currentTab);
+            const total = Object.values(result.imported).reduce((sum, count) => sum + count, 0);
+            const matched = Object.values(result.matched).reduce((sum, count) => sum + count, 0);
+            alert(`Import complete (${mode}): ${total} records imported` +
+                (matched > 0 ? `, ${matched} already present.` : '.'));
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * CSV IMPORT/EXPORT SECTION
+     */
+    function setupCsv() {
+        const fileInput = document.getElementById('csv-import-file');
+        const confirmBtn = document.getElementById('confirm-csv-import-btn');
+        const cancelBtn = document.getElementById('cancel-csv-import-btn');
+        const closeBtn = document.getElementById('close-csv-import-modal');
+        const modal = document.getElementById('csv-import-modal');
+
+        document.querySelectorAll('.csv-export-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const tableName = btn.dataset.table;
+                downloadCsv(`${tableName}-${todayStamp()}.csv`, CSV.exportTable(tableName));
+            });
+        });
 
-        if (currentPackValue) {
-            packSelect.value = currentPackValue;
+        document.getElementById('export-joined-csv-btn').addEventListener('click', () => {
+            downloadCsv(`cars-packs-cells-${todayStamp()}.csv`, CSV.exportJoined());
+        });
+
+        document.querySelectorAll('.csv-import-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                fileInput.dataset.table = btn.dataset.table;
+                fileInput.click();
+            });
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                loadCsvFile(fileInput.dataset.table, file);
+            }
+        });
+
+        confirmBtn.addEventListener('click', () => {
+            importCsv();
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            hideCsvImport();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideCsvImport();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideCsvImport();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideCsvImport();
+            }
+        });
+    }
+
+    function downloadCsv(filename, content) {
+        // The BOM lets Excel detect UTF-8 (accented brands such as "Citroën")
+        downloadFile(filename, '\uFEFF' + content, 'text/csv;charset=utf-8');
+    }
+
+    async function loadCsvFile(tableName, file) {
+        try {
+            const parsed = CSV.parse(await readFileAsText(file));
+            pendingCsvImport = {
+                tableName,
+                filename: file.name,
+                headers: parsed.headers,
+                rows: parsed.rows,
+                lineNumbers: parsed.lineNumbers
+            };
+            showCsvImport(pendingCsvImport);
+        } catch (error) {
+            alert('Error: ' + error.message);
         }
     }
 
-    function saveRelation() {
-        const id = document.getElementById('relation-id').value;
-        const data = {
-            carId: parseInt(document.getElementById('relation-car').value) || null,
-            batteryPackId: parseInt(document.getElementById('relation-pack').value) || null
-        };
+    /**
+     * Helper function to create a column -> field mapping table (CSV and Excel imports)
+     */
+    function createMappingTableHTML(headers, sample, fields, mapping, selectClass) {
+        const fieldOptions = selected => '<option value="">— ignore —</option>' + fields.map(field =>
+            `<option value="${field.name}" ${field.name === selected ? 'selected' : ''}>${field.name}${field.required ? ' *' : ''} (${field.type})</option>`
+        ).join('');
+
+        return `
+            <table class="mapping-table">
+                <thead>
+                    <tr><th>Column</th><th>First row</th><th>Field</th></tr>
+                </thead>
+                <tbody>
+                    ${headers.map((header, index) => `
+                        <tr>
+                            <td>${escapeHTML(header)}</td>
+                            <td class="mapping-sample">${escapeHTML(sample[index])}</td>
+                            <td><select class="${selectClass}" data-column="${index}">${fieldOptions(mapping[index])}</select></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Helper function to read a mapping from the selects of a mapping table.
+     * Returns null (after alerting) if a field is mapped twice.
+     */
+    function readMapping(selects) {
+        const mapping = {};
+        selects.forEach(select => {
+            if (select.value) mapping[select.dataset.column] = select.value;
+        });
+
+        const mappedFields = Object.values(mapping);
+        const duplicate = mappedFields.find((field, i) => mappedFields.indexOf(field) !== i);
+        if (duplicate) {
+            alert(`Error: field "${duplicate}" is mapped to more than one column`);
+            return null;
+        }
+        return mapping;
+    }
+
+    function showCsvImport(csvImport) {
+        const fields = DB.describe(csvImport.tableName).fields;
+        const mapping = CSV.suggestMapping(csvImport.headers, csvImport.tableName);
+
+        document.getElementById('csv-import-title').textContent = `Import CSV into ${IMPORT_TABLE_LABELS[csvImport.tableName]}`;
+        document.getElementById('csv-import-mapping').innerHTML = `
+            <p><strong>File:</strong> ${escapeHTML(csvImport.filename)} — ${csvImport.rows.length} rows</p>
+            ${createMappingTableHTML(csvImport.headers, csvImport.rows[0] || [], fields, mapping, 'csv-mapping-select')}
+        `;
+        document.getElementById('csv-import-report').innerHTML = '';
+        document.getElementById('confirm-csv-import-btn').disabled = false;
+        document.getElementById('csv-import-modal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function hideCsvImport() {
+        document.getElementById('csv-import-modal').classList.remove('active');
+        document.getElementById('csv-import-mapping').innerHTML = '';
+        document.getElementById('csv-import-report').innerHTML = '';
+        document.body.style.overflow = '';
+        pendingCsvImport = null;
+    }
+
+    function importCsv() {
+        if (!pendingCsvImport) return;
+
+        const mapping = readMapping(document.querySelectorAll('.csv-mapping-select'));
+        if (!mapping) return;
 
         try {
-            if (id) {
-                DB.carBatteryPacks.update(parseInt(id), data);
-            } else {
-                DB.carBatteryPacks.create(data);
-            }
-            hideRelationForm();
+            const result = CSV.importRows(pendingCsvImport.tableName, pendingCsvImport.rows, mapping, pendingCsvImport.lineNumbers);
+            renderCsvImportReport(result);
+            document.getElementById('confirm-csv-import-btn').disabled = true;
             updateTabCounters();
-            renderCarBatteryPacks();
+            switchTab(currentTab);
         } catch (error) {
             alert('Error: ' + error.message);
         }
     }
 
-    window.editRelation = function(id) {
-        const relation = DB.carBatteryPacks.get(id);
-        if (relation) showRelationForm(relation);
+    /**
+     * Helper function to create the per-row error table of an import report
+     */
+    function createRowErrorsHTML(errors, title) {
+        if (errors.length === 0) return '';
+        return `
+            <table class="row-errors">
+                <thead><tr><th>Row</th><th>${title}</th></tr></thead>
+                <tbody>
+                    ${errors.map(error => `
+                        <tr>
+                            <td>${error.sheet ? escapeHTML(error.sheet) + ' ' : ''}Line ${error.row}</td>
+                            <td>${error.messages.map(escapeHTML).join('<br>')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function renderCsvImportReport(result) {
+        const errorsHTML = createRowErrorsHTML(result.errors, 'Problems (row skipped)');
+
+        document.getElementById('csv-import-report').innerHTML = `
+            <div class="import-result">
+                ${result.imported} row${result.imported === 1 ? '' : 's'} imported,
+                ${result.errors.length} row${result.errors.length === 1 ? '' : 's'} rejected.
+            </div>
+            ${errorsHTML}
+        `;
+    }
+
+    /**
+     * EXCEL IMPORT SECTION
+     */
+    function setupXlsxImport() {
+        const importBtn = document.getElementById('import-xlsx-btn');
+        const fileInput = document.getElementById('import-xlsx-file');
+        const confirmBtn = document.getElementById('confirm-xlsx-import-btn');
+        const cancelBtn = document.getElementById('cancel-xlsx-import-btn');
+        const closeBtn = document.getElementById('close-xlsx-import-modal');
+        const modal = document.getElementById('xlsx-import-modal');
+
+        importBtn.addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                loadWorkbookFile(file);
+            }
+        });
+
+        confirmBtn.addEventListener('click', () => {
+            importWorkbook();
+        });
+
+        cancelBtn.addEventListener('click', () => {
+            hideXlsxImport();
+        });
+
+        closeBtn.addEventListener('click', () => {
+            hideXlsxImport();
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                hideXlsxImport();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                hideXlsxImport();
+            }
+        });
+    }
+
+    function readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    async function loadWorkbookFile(file) {
+        try {
+            pendingWorkbook = await XLSXImport.readWorkbook(await readFileAsArrayBuffer(file));
+            showXlsxImport(file.name, pendingWorkbook);
+        } catch (error) {
+            pendingWorkbook = null;
+            alert('Error: ' + error.message);
+        }
+    }
+
+    // Helper: Guess the sheet holding a table from its name ("Cell Models", "cells", "Cars"...)
+    function guessSheet(workbook, tableName) {
+        const keywords = {
+            customFields: ['custom field'],
+            manufacturers: ['manufactur', 'brand', 'maker'],
+            chemistries: ['chemist'],
+            cellModels: ['cell'],
+            moduleModels: ['module model'],
+            batteryPacks: ['pack', 'batter'],
+            batteryPackModules: ['pack module'],
+            cars: ['car', 'vehic'],
+            carBatteryPacks: ['relation', 'link']
+        }[tableName] || [];
+        const normalize = name => Importer.normalizeText(name);
+        const sheet = workbook.sheets.find(s => normalize(s.name) === normalize(tableName)) ||
+            workbook.sheets.find(s => keywords.some(keyword => normalize(s.name).includes(keyword)));
+        return sheet ? sheet.name : '';
+    }
+
+    function showXlsxImport(filename, workbook) {
+        document.getElementById('xlsx-import-file-name').innerHTML =
+            `<strong>File:</strong> ${escapeHTML(filename)} — ${workbook.sheets.length} sheet${workbook.sheets.length === 1 ? '' : 's'}`;
+
+        const container = document.getElementById('xlsx-import-tables');
+        container.innerHTML = Object.keys(IMPORT_TABLE_LABELS).map(tableName => `
+            <div class="sheet-mapping">
+                <h4>${IMPORT_TABLE_LABELS[tableName]}</h4>
+                <div class="form-group">
+                    <label for="xlsx-sheet-${tableName}">Sheet</label>
+                    <select id="xlsx-sheet-${tableName}" class="xlsx-sheet-select" data-table="${tableName}">
+                        <option value="">— skip this table —</option>
+                        ${workbook.sheets.map(sheet => `<option value="${escapeHTML(sheet.name)}">${escapeHTML(sheet.name)} (${sheet.rows.length} rows)</option>`).join('')}
+                    </select>
+                </div>
+                <div id="xlsx-mapping-${tableName}"></div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.xlsx-sheet-select').forEach(select => {
+            select.value = guessSheet(workbook, select.dataset.table);
+            renderSheetMapping(select.dataset.table, select.value);
+            select.addEventListener('change', () => {
+                renderSheetMapping(select.dataset.table, select.value);
+            });
+        });
+
+        document.querySelector('input[name="xlsx-import-mode"][value="replace"]').checked = true;
+        document.getElementById('xlsx-import-report').innerHTML = '';
+        document.getElementById('confirm-xlsx-import-btn').disabled = false;
+        document.getElementById('xlsx-import-modal').classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    function renderSheetMapping(tableName, sheetName) {
+        const container = document.getElementById(`xlsx-mapping-${tableName}`);
+        const sheet = pendingWorkbook.sheets.find(s => s.name === sheetName);
+        if (!sheet) {
+            container.innerHTML = '';
+            return;
+        }
+
+        // The id column lets foreign key columns of other sheets refer to these rows
+        const fields = [{ name: 'id', type: 'integer', required: false }, ...DB.describe(tableName).fields];
+        const mapping = CSV.suggestMapping(sheet.headers, tableName);
+        const idIndex = sheet.headers.findIndex(header => header.toLowerCase() === 'id');
+        if (idIndex !== -1) mapping[idIndex] = 'id';
+
+        container.innerHTML = createMappingTableHTML(sheet.headers, sheet.rows[0] || [], fields, mapping, `xlsx-mapping-select-${tableName}`);
+    }
+
+    function hideXlsxImport() {
+        document.getElementById('xlsx-import-modal').classList.remove('active');
+        document.getElementById('xlsx-import-tables').innerHTML = '';
+        document.getElementById('xlsx-import-report').innerHTML = '';
+        document.body.style.overflow = '';
+        pendingWorkbook = null;
+    }
+
+    /**
+     * Helper: Mapped tables without an id column that kept tables (no sheet selected) refer to
+     */
+    function findPositionalReferences(mappings) {
+        const conflicts = [];
+        DB.tables().filter(tableName => !mappings[tableName]).forEach(tableName => {
+            const records = DB[tableName].list();
+            DB.describe(tableName).fields.filter(field => field.references).forEach(field => {
+                const referenced = mappings[field.references];
+                if (!referenced || Object.values(referenced.mapping).includes('id')) return;
+                if (!records.some(record => record[field.name] !== null && record[field.name] !== undefined)) return;
+                conflicts.push(`${IMPORT_TABLE_LABELS[tableName]} refer to ${IMPORT_TABLE_LABELS[field.references].toLowerCase()} by ID (${field.name}), but sheet "${referenced.sheet}" has no id column`);
+            });
+        });
+        return conflicts;
+    }
+
+    function importWorkbook() {
+        if (!pendingWorkbook) return;
+        const mode = document.querySelector('input[name="xlsx-import-mode"]:checked').value;
+        const report = document.getElementById('xlsx-import-report');
+
+        const mappings = {};
+        for (const select of document.querySelectorAll('.xlsx-sheet-select')) {
+            if (!select.value) continue;
+            const tableName = select.dataset.table;
+            const mapping = readMapping(document.querySelectorAll(`.xlsx-mapping-select-${tableName}`));
+            if (!mapping) return;
+            mappings[tableName] = { sheet: select.value, mapping };
+        }
+
+        if (Object.keys(mappings).length === 0) {
+            alert('Error: select a sheet for at least one table');
+            return;
+        }
+
+        const { snapshot, errors } = XLSXImport.buildSnapshot(pendingWorkbook, mappings);
+        if (errors.length > 0) {
+            report.innerHTML = `
+                <ul class="import-messages errors"><li>Nothing was imported: fix these rows in the workbook and try again.</li></ul>
+                ${createRowErrorsHTML(errors, 'Problems')}
+            `;
+            return;
+        }
+
+        // Rows without an id column are numbered 1, 2, 3…: in replace mode, the kept tables would
+        // then refer to whichever new row got the old id
+        if (mode === 'replace') {
+            const conflicts = findPositionalReferences(mappings);
+            if (conflicts.length > 0) {
+                report.innerHTML = `
+                    <ul class="import-messages errors">
+                        <li>Nothing was imported: map an id column for these sheets, select a sheet for the tables that refer to them, or use Merge.</li>
+                        ${conflicts.map(conflict => `<li>${escapeHTML(conflict)}</li>`).join('')}
+                    </ul>
+                `;
+                return;
+            }
+        }
+
+        // Skipped tables keep their current data in replace mode
+        DB.tables().forEach(tableName => {
+            if (!snapshot[tableName]) {
+                snapshot[tableName] = mode === 'replace' ? DB[tableName].list() : [];
+            }
+        });
+
+        if (mode === 'replace' && !confirm('Replace the mapped tables with the workbook data? You can undo it with Undo (Ctrl+Z).')) {
+            return;
+        }
+
+        try {
+            const result = DB.import(snapshot, { mode });
+            const imported = Object.keys(mappings)
+                .map(tableName => `${result.imported[tableName]} ${IMPORT_TABLE_LABELS[tableName].toLowerCase()}` +
+                    (result.matched[tableName] > 0 ? ` (${result.matched[tableName]} already present)` : ''))
+                .join(', ');
+            report.innerHTML = `<div class="import-result">Import complete (${mode}): ${imported}.</div>`;
+            document.getElementById('confirm-xlsx-import-btn').disabled = true;
+            updateTabCounters();
+            switchTab(currentTab);
+        } catch (error) {
+            const details = error.details || [error.message];
+            report.innerHTML = `
+                <ul class="import-messages errors">
+                    <li>Nothing was imported:</li>
+                    ${details.map(detail => `<li>${escapeHTML(detail)}</li>`).join('')}
+                </ul>
+            `;
+        }
+    }
+
+    /**
+     * Global Search
+     */
+    const SEARCH_RESULT_LIMIT = 8;
+
+    // Searched tables, fields and how a result is displayed (hl highlights the matches)
+    const SEARCH_GROUPS = [
+        {
+            table: 'cars',
+            label: 'Cars',
+            fields: ['manufacturer.name', 'manufacturer.aliases', 'model', 'trim'],
+            orderBy: ['manufacturer.name', 'model', 'yearStart'],
+            include: ['manufacturer'],
+            format: (car, hl) => `${hl(manufacturerName(car))} ${hl(car.model)}${car.trim ? ` (${hl(car.trim)})` : ''}` +
+                ` <span class="search-result-meta">${car.yearStart || '?'} - ${car.yearEnd || 'Present'}</span>`
+        },
+        {
+            table: 'batteryPacks',
+            label: 'Battery Packs',
+            fields: ['name'],
+            orderBy: 'name',
+            format: (pack, hl) => hl(pack.name)
+        },
+        {
+            table: 'cellModels',
+            label: 'Cell Models',
+            fields: ['manufacturer.name', 'manufacturer.aliases', 'model', 'chemistry.name'],
+            orderBy: ['manufacturer.name', 'model'],
+            include: ['manufacturer', 'chemistry'],
+            format: (cell, hl) => `${hl(manufacturerName(cell))} ${hl(cell.model)}` +
+                (cell.chemistry ? ` <span class="search-result-meta">${hl(cell.chemistry.name)}</span>` : '')
+        },
+        {
+            table: 'moduleModels',
+            label: 'Modules',
+            fields: ['name', 'connectorType'],
+            orderBy: 'name',
+            format: (module, hl) => hl(module.name) +
+                (module.connectorType ? ` <span class="search-result-meta">${hl(module.connectorType)}</span>` : '')
+        },
+        {
+            table: 'manufacturers',
+            label: 'Manufacturers',
+            fields: ['name', 'aliases'],
+            orderBy: 'name',
+            format: (manufacturer, hl) => hl(manufacturer.name) +
+                ` <span class="search-result-meta">${MANUFACTURER_TYPE_LABELS[manufacturer.type] || ''}</span>`
+        }
+    ];
+
+    // Helper: Lowercase and strip accents of one character ("Ë" -> "e")
+    function foldChar(char) {
+        return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Helper: Escape text and wrap the accent- and case-insensitive matches of the words in <mark>
+    function highlightMatches(text, words) {
+        const value = text === null || text === undefined ? '' : String(text);
+
+        // Folded text, with the index of the source character of each folded character
+        let folded = '';
+        const sources = [];
+        for (let i = 0; i < value.length; i++) {
+            const char = foldChar(value[i]);
+            folded += char;
+            for (let k = 0; k < char.length; k++) sources.push(i);
+        }
+
+        const ranges = [];
+        words.forEach(word => {
+            const needle = Array.from(word).map(foldChar).join('');
+            if (!needle) return;
+            let at = folded.indexOf(needle);
+            while (at !== -1) {
+                ranges.push([sources[at], sources[at + needle.length - 1] + 1]);
+                at = folded.indexOf(needle, at + needle.length);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        let html = '';
+        let last = 0;
+        ranges.forEach(([start, end]) => {
+            if (end <= last) return;
+            start = Math.max(start, last);
+            html += escapeHTML(value.slice(last, start)) + `<mark>${escapeHTML(value.slice(start, end))}</mark>`;
+            last = end;
+        });
+        return html + escapeHTML(value.slice(last));
+    }
+
+    /**
+     * Find the records of a group where every word appears in at least one searched field
+     */
+    function searchGroup(group, words) {
+        let ids = null;
+        words.forEach(word => {
+            const wordIds = new Set();
+            // Fields can be relation paths: "chemistry.name" matches the records whose chemistry matches
+            group.fields.forEach(field => {
+                DB[group.table].query({ where: { [field]: { contains: word } } }).forEach(record => wordIds.add(record.id));
+            });
+            ids = ids === null ? wordIds : new Set([...ids].filter(id => wordIds.has(id)));
+        });
+        return DB[group.table].query({ where: { id: { in: [...ids] } }, orderBy: group.orderBy, include: group.include });
+    }
+
+    function renderSearchResults() {
+        const input = document.getElementById('global-search');
+        const container = document.getElementById('search-results');
+        const words = input.value.trim().split(/\s+/).filter(Boolean);
+
+        if (words.length === 0) {
+            container.hidden = true;
+            container.innerHTML = '';
+            return;
+        }
+
+        const hl = value => highlightMatches(value, words);
+        const groupsHTML = SEARCH_GROUPS.map(group => {
+            const matches = searchGroup(group, words);
+            if (matches.length === 0) return '';
+
+            const more = matches.length - SEARCH_RESULT_LIMIT;
+            return `
+                <div class="search-group">
+                    <h4>${group.label} <span class="tab-counter">${matches.length}</span></h4>
+                    ${matches.slice(0, SEARCH_RESULT_LIMIT).map(record => `
+                        <button type="button" class="search-result" data-table="${group.table}" data-id="${record.id}">
+                            ${group.format(record, hl)}
+                        </button>
+                    `).join('')}
+                    ${more > 0 ? `<p class="search-more">and ${more} more</p>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = groupsHTML || `<p class="search-empty">No results for "${escapeHTML(input.value.trim())}"</p>`;
+        container.hidden = false;
+    }
+
+    function hideSearchResults() {
+        document.getElementById('search-results').hidden = true;
+    }
+
+    /**
+     * Show a record: open its tab, scroll to its card and flash it
+     */
+    function jumpToRecord(tableName, id) {
+        switchTab(tableName);
+        let item = document.querySelector(`#${tableName}-section [data-record-id="${id}"]`);
+        if (!item && FACETS[tableName] && hasActiveFilters(tableName)) {
+            // The record is hidden by the filters
+            clearFilters(tableName);
+            switchTab(tableName);
+            item = document.querySelector(`#${tableName}-section [data-record-id="${id}"]`);
+        }
+        if (!item) return;
+
+        item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        item.classList.add('search-target');
+        setTimeout(() => item.classList.remove('search-target'), 2000);
+    }
+
+    function setupSearch() {
+        const input = document.getElementById('global-search');
+        const container = document.getElementById('search-results');
+
+        input.addEventListener('input', renderSearchResults);
+
+        input.addEventListener('focus', () => {
+            if (input.value.trim()) renderSearchResults();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                input.value = '';
+                hideSearchResults();
+            } else if (e.key === 'Enter') {
+                // Jump to the first result
+                const first = container.querySelector('.search-result');
+                if (first) first.click();
+            }
+        });
+
+        container.addEventListener('click', (e) => {
+            const result = e.target.closest('.search-result');
+            if (!result) return;
+            hideSearchResults();
+            jumpToRecord(result.dataset.table, parseInt(result.dataset.id));
+        });
+
+        // Close the results when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-box')) {
+                hideSearchResults();
+            }
+        });
+    }
+
+    /**
+     * Storage Adapter Selection
+     */
+    const STORAGE_LABELS = {
+        localStorage: 'localStorage',
+        indexedDB: 'IndexedDB',
+        memory: 'Memory (not saved)',
+        remote: 'Remote (PostgREST)'
     };
 
-    window.deleteRelation = function(id) {
-        if (confirm('Are you sure you want to delete this relation?')) {
+    function setupStorageSelect() {
+        const select = document.getElementById('storage-select');
+
+        // The current adapter may come from DB_CONFIG and not be offered by default
+        if (!Array.from(select.options).some(option => option.value === DB.storageName)) {
+            const option = document.createElement('option');
+            option.value = DB.storageName;
+            option.textContent = STORAGE_LABELS[DB.storageName] || DB.storageName;
+            select.appendChild(option);
+        }
+        select.value = DB.storageName;
+
+        // Remote backends report their sync state
+        if (DB.storageStatus()) {
+            renderSyncStatus(DB.storageStatus());
+            DB.onStorageStatus(renderSyncStatus);
+        }
+
+        select.addEventListener('change', async () => {
+            const target = select.value;
+            const from = STORAGE_LABELS[DB.storageName] || DB.storageName;
+            const to = STORAGE_LABELS[target] || target;
+            if (!confirm(`Move all data from ${from} to ${to}? Data already stored in ${to} will be replaced.`)) {
+                select.value = DB.storageName;
+                return;
+            }
+
+            select.disabled = true;
             try {
-                DB.carBatteryPacks.remove(id);
-                updateTabCounters();
-                renderCarBatteryPacks();
+                const result = await DB.migrateStorage(target);
+                alert(`Data moved to ${to} (${result.keys} keys copied).`);
             } catch (error) {
+                select.value = DB.storageName;
                 alert('Error: ' + error.message);
+            } finally {
+                select.disabled = false;
             }
+        });
+    }
+
+    function renderSyncStatus(status) {
+        const indicator = document.getElementById('sync-status');
+        indicator.hidden = false;
+        indicator.classList.toggle('offline', !status.online);
+        indicator.classList.toggle('has-errors', status.errors.length > 0);
+
+        let text = status.online ? 'Synced' : 'Offline';
+        if (status.pending > 0) {
+            text += status.online ? ` (sending ${status.pending} changes)` : ` (${status.pending} changes queued)`;
         }
-    };
+        if (status.errors.length > 0) {
+            text += ` - ${status.errors.length} changes rejected by the server`;
+        }
+        indicator.textContent = text;
+        indicator.title = status.errors.map(error => error.message).join('\n') || status.url;
+    }
+
+    // Initialize app when DOM is ready and the storage adapter has loaded its data
+    function start() {
+        DB.ready.then(init);
+    }
 
-    // Initialize app when DOM is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', start);
     } else {
-        init();
+        start();
     }
 })();
@@ -0,0 +1,340 @@
+/**
+ * csv.js - CSV Import/Export
+ *
+ * Converts database tables to and from CSV so they can be edited in a spreadsheet:
+ * - parse(text) / stringify(headers, rows): RFC 4180 CSV ("," or ";" separated)
+ * - exportTable(tableName): one CSV per table, columns = id + table fields
+ * - exportJoined(): flat "car + pack + cell" view, one line per car-battery relation
+ * - suggestMapping(headers, tableName): guess which CSV column feeds which field
+ * - importRows(tableName, rows, mapping, lineNumbers): typed import with a per-row error report
+ */
+
+const CSV = (function() {
+    'use strict';
+
+    /**
+     * Parse CSV text into { headers, rows, lineNumbers } (rows are arrays of strings).
+     * lineNumbers holds the line each row starts on (blank lines are skipped and quoted
+     * fields may span several lines), for error reports.
+     * The delimiter is detected from the header line when not given.
+     */
+    function parse(text, options = {}) {
+        // Strip UTF-8 BOM added by spreadsheet programs
+        if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+        const delimiter = options.delimiter || detectDelimiter(text);
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push({ values: record, line: recordLine });
+                record = [];
+                field = '';
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('Invalid CSV: unterminated quoted field');
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push({ values: record, line: recordLine });
+        }
+
+        // Drop blank lines
+        const nonEmpty = records.filter(r => r.values.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('Invalid CSV: the file is empty');
+        }
+
+        return {
+            headers: nonEmpty[0].values.map(header => header.trim()),
+            rows: nonEmpty.slice(1).map(r => r.values),
+            lineNumbers: nonEmpty.slice(1).map(r => r.line),
+            delimiter
+        };
+    }
+
+    // Helper: Pick "," or ";" depending on which appears most in the first line
+    function detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const commas = (firstLine.match(/,/g) || []).length;
+        const semicolons = (firstLine.match(/;/g) || []).length;
+        return semicolons > commas ? ';' : ',';
+    }
+
+    /**
+     * Build CSV text from a header list and rows (arrays of values)
+     */
+    function stringify(headers, rows) {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Items of list fields (manufacturer aliases) share one cell: "VW|Volkswagen AG"
+    const LIST_SEPARATOR = '|';
+
+    /**
+     * Export one table as CSV
+     */
+    function exportTable(tableName) {
+        const fields = DB.describe(tableName).fields.map(field => field.name);
+        const headers = ['id', ...fields];
+        const rows = DB[tableName].list().map(item => headers.map(header =>
+            Array.isArray(item[header]) ? item[header].join(LIST_SEPARATOR) : item[header]
+        ));
+        return stringify(headers, rows);
+    }
+
+    // Columns of the joined export
+    const JOINED_HEADERS = [
+        'carId', 'brand', 'model', 'trim', 'yearStart', 'yearEnd',
+        'batteryPackId', 'packName', 'totalCapacityKwh', 'seriesCount', 'parallelCount', 'cellCount',
+        'cellModelId', 'cellManufacturer', 'cellModel', 'chemistry', 'nominalVoltage', 'nominalCapacityMah'
+    ];
+
+    /**
+     * Export the joined "car + pack + cell" view.
+     * One line per car-battery relation; cars without a pack get a single line with empty pack columns.
+     */
+    function exportJoined() {
+        const relations = DB.carBatteryPacks.list();
+        const rows = [];
+        const manufacturerName = id => {
+            const manufacturer = DB.manufacturers.get(id);
+            return manufacturer ? manufacturer.name : null;
+        };
+
+        DB.cars.list().forEach(car => {
+            const carRelations = relations.filter(rel => rel.carId === car.id);
+            const packs = carRelations.length > 0
+                ? carRelations.map(rel => DB.batteryPacks.get(rel.batteryPackId))
+                : [null];
+
+            packs.forEach(pack => {
+                const cell = pack && pack.cellModelId
+                    ? DB.cellModels.query({ where: { id: pack.cellModelId }, include: ['chemistry'] })[0]
+                    : null;
+                rows.push([
+                    car.id, manufacturerName(car.manufacturerId), car.model, car.trim, car.yearStart, car.yearEnd,
+                    pack ? pack.id : null,
+                    pack ? pack.name : null,
+                    pack ? pack.totalCapacityKwh : null,
+                    pack ? pack.seriesCount : null,
+                    pack ? pack.parallelCount : null,
+                    pack ? pack.cellCount : null,
+                    cell ? cell.id : null,
+                    cell ? manufacturerName(cell.manufacturerId) : null,
+                    cell ? cell.model : null,
+                    cell && cell.chemistry ? cell.chemistry.name : null,
+                    cell ? cell.nominalVoltage : null,
+                    cell ? cell.nominalCapacityMah : null
+                ]);
+            });
+        });
+
+        return stringify(JOINED_HEADERS, rows);
+    }
+
+    // Helper: Compare column names loosely ("Nominal Voltage" == "nominalVoltage")
+    function normalizeHeader(header) {
+        return String(header)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    // Other column names of fields, e.g. the "brand" column of files exported before the manufacturers table
+    const HEADER_ALIASES = {
+        cars: { brand: 'manufacturerId' }
+    };
+
+    /**
+     * Suggest a mapping { columnIndex: fieldName } from CSV headers to table fields
+     */
+    function suggestMapping(headers, tableName) {
+        const fields = DB.describe(tableName).fields;
+        const aliases = HEADER_ALIASES[tableName] || {};
+        const mapping = {};
+        headers.forEach((header, index) => {
+            const normalized = normalizeHeader(header);
+            // Foreign keys also match their relation name ("chemistry" -> chemistryId)
+            const field = fields.find(f => normalizeHeader(f.name) === normalized) ||
+                fields.find(f => f.references && normalizeHeader(f.name.replace(/Id$/, '')) === normalized) ||
+                fields.find(f => aliases[normalized] === f.name);
+            if (field && !Object.values(mapping).includes(field.name)) {
+                mapping[index] = field.name;
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Convert a raw text value to a field type.
+     * Returns { value } or { error }. Empty values become null.
+     */
+    function coerceValue(raw, type) {
+        const text = raw === null || raw === undefined ? '' : String(raw).trim();
+        if (text === '') return { value: null };
+
+        if (type === 'number' || type === 'integer') {
+            let normalized = text.replace(/\s/g, '');
+            if (normalized.includes(',')) {
+                // Accept decimal commas ("3,6") as exported by European spreadsheets, but not
+                // commas that may be thousands separators ("1,234", "1,234.5", "1,234,567")
+                if (!/^-?\d+,\d+$/.test(normalized)) {
+                    return { error: `"${text}" is not a number (use a decimal point or a single decimal comma)` };
+                }
+                if (/^-?[1-9]\d{0,2},\d{3}$/.test(normalized)) {
+                    return { error: `"${text}" is ambiguous: write ${normalized.replace(',', '')} or ${normalized.replace(',', '.')}` };
+                }
+                normalized = normalized.replace(',', '.');
+            }
+            const num = Number(normalized);
+            if (normalized === '' || isNaN(num)) {
+                return { error: `"${text}" is not a number` };
+            }
+            if (type === 'integer' && !Number.isInteger(num)) {
+                return { error: `"${text}" is not a whole number` };
+            }
+            return { value: num };
+        }
+
+        if (type === 'list') {
+            return { value: text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) };
+        }
+
+        return { value: text };
+    }
+
+    /**
+     * Helper: Foreign key columns hold an id or, when the referenced table can match free text,
+     * a name: chemistries ("Li-ION", "NMC", see DB.chemistries.match()) or manufacturers (name or alias)
+     */
+    function coerceReference(raw, referencedTable) {
+        const text = raw === null || raw === undefined ? '' : String(raw).trim();
+        if (text === '' || /^\d+$/.test(text) || !DB[referencedTable].match) return coerceValue(text, 'integer');
+        const record = DB[referencedTable].match(text);
+        return record ? { value: record.id } : { error: `"${text}" matches no record of ${referencedTable}` };
+    }
+
+    /**
+     * Coerce one row (array of raw values) to a record using a column mapping.
+     * Returns { data, errors }.
+     */
+    function coerceRow(tableName, row, mapping) {
+        const fields = DB.describe(tableName).fields;
+        const data = {};
+        const errors = [];
+
+        Object.entries(mapping).forEach(([index, fieldName]) => {
+            const field = fields.find(f => f.name === fieldName);
+            if (!field) return;
+            const result = field.references
+                ? coerceReference(row[index], field.references)
+                : coerceValue(row[index], field.type);
+            if (result.error) {
+                errors.push(`${field.name}: ${result.error}`);
+            } else {
+                data[field.name] = result.value;
+            }
+        });
+
+        fields.forEach(field => {
+            if (field.required && (data[field.name] === null || data[field.name] === undefined)) {
+                errors.push(`${field.name}: value is required`);
+            }
+        });
+
+        return { data, errors };
+    }
+
+    /**
+     * Import parsed CSV rows into a table.
+     * Each row is created independently; invalid rows are skipped and reported.
+     * The valid rows are saved in one transaction (and undone together).
+     * lineNumbers (from parse()) gives the line of each row; without it, rows are assumed to
+     * follow the header line one per line.
+     * Returns { imported, errors: [{ row, messages }] } where row is the line number in the file.
+     */
+    function importRows(tableName, rows, mapping, lineNumbers) {
+        if (!Object.values(mapping).length) {
+            throw new Error('Map at least one column to a field before importing');
+        }
+        return DB.transaction(() => createRows(tableName, rows, mapping, lineNumbers), { action: 'CSV import' });
+    }
+
+    // Helper: Create the valid rows, collecting the problems of the others (see importRows())
+    function createRows(tableName, rows, mapping, lineNumbers) {
+        let imported = 0;
+        const errors = [];
+
+        rows.forEach((row, i) => {
+            const lineNumber = lineNumbers ? lineNumbers[i] : i + 2; // Line 1 is the header
+            const { data, errors: rowErrors } = coerceRow(tableName, row, mapping);
+            if (rowErrors.length > 0) {
+                errors.push({ row: lineNumber, messages: rowErrors });
+                return;
+            }
+            try {
+                DB[tableName].create(data);
+                imported++;
+            } catch (error) {
+                // Schema validation errors list each bad field (see DB validation)
+                const messages = error.fieldErrors
+                    ? error.fieldErrors.map(({ field, message }) => `${field}: ${message}`)
+                    : [error.message];
+                errors.push({ row: lineNumber, messages });
+            }
+        });
+
+        return { imported, errors };
+    }
+
+    // Public API
+    return {
+        parse,
+        stringify,
+        exportTable,
+        exportJoined,
+        suggestMapping,
+        coerceValue,
+        coerceRow,
+        importRows
+    };
+})();
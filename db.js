@@ -5,35 +5,637 @@
  * It simulates PostgreSQL/Supabase structure for future migration.
  *
  * Architecture:
- * - Each table is stored as a separate localStorage key
+ * - Each table is stored as a separate key of a storage adapter (see storage.js):
+ *   localStorage by default, IndexedDB or in-memory when selected at startup
  * - IDs are auto-incremented
  * - Foreign key relationships are validated
- * - CRUD operations: list(), get(id), create(data), update(id, data), remove(id)
+ * - CRUD operations: list(), get(id), create(data), update(id, data), remove(id),
+ *   driven by SCHEMA (field types, required, bounds, defaults, foreign keys)
+ * - The schema version is stored with the data; MIGRATIONS upgrade older data on load
+ * - Every write is recorded in an audit log and can be undone/redone (see history)
+ * - transaction(fn) stages writes to several tables and saves them together or not at all
+ * - The customFields table adds user-defined fields to cars, batteryPacks and cellModels
  */
 
 const DB = (function() {
     'use strict';
 
-    // Table names
+    // Storage adapters (global in browsers, required in Node.js)
+    const Adapters = typeof StorageAdapters !== 'undefined' ? StorageAdapters : require('./storage.js');
+
+    // localStorage key remembering the adapter chosen by the user
+    const STORAGE_PREFERENCE_KEY = 'dbStorageAdapter';
+
+    /**
+     * Pick the storage adapter at startup, in order of priority:
+     * 1. DB_CONFIG.storage (global set before db.js is loaded), with DB_CONFIG.storageOptions
+     * 2. The adapter saved by migrateStorage()
+     * 3. localStorage in browsers, memory elsewhere (Node.js)
+     */
+    function selectStorage() {
+        const config = (typeof DB_CONFIG !== 'undefined' && DB_CONFIG) || {};
+        const hasLocalStorage = typeof localStorage !== 'undefined';
+        const fallback = hasLocalStorage ? 'localStorage' : 'memory';
+        const name = config.storage ||
+            (hasLocalStorage && localStorage.getItem(STORAGE_PREFERENCE_KEY)) ||
+            fallback;
+        try {
+            return Adapters.create(name, config.storageOptions);
+        } catch (error) {
+            console.error(`${error.message}, using ${fallback}`);
+            return Adapters.create(fallback);
+        }
+    }
+
+    let storage = selectStorage();
+
+    // Table names, referenced tables first (custom field definitions before the tables they extend)
     const TABLES = {
+        customFields: 'customFields',
+        manufacturers: 'manufacturers',
+        chemistries: 'chemistries',
         cellModels: 'cellModels',
+        moduleModels: 'moduleModels',
         batteryPacks: 'batteryPacks',
+        batteryPackModules: 'batteryPackModules',
         cars: 'cars',
         carBatteryPacks: 'carBatteryPacks'
     };
 
+    // What a manufacturer makes: vehicles (car brand), cells, or both (e.g. Toyota)
+    const MANUFACTURER_TYPES = ['vehicle', 'cell', 'both'];
+
+    // Production years accepted for cars
+    const YEAR_RANGE = { min: 1900, max: 2100 };
+
+    // Cell form factors: the common cylindrical formats, other cylindrical sizes, prismatic and pouch
+    const CELL_FORM_FACTORS = ['18650', '21700', '4680', 'cylindrical', 'prismatic', 'pouch'];
+    const CYLINDRICAL_FORM_FACTORS = ['18650', '21700', '4680', 'cylindrical'];
+
+    // Standard size of the named cylindrical formats (mm), used when a cell gives no dimensions
+    const CYLINDRICAL_FORMATS = {
+        18650: { diameterMm: 18, heightMm: 65 },
+        21700: { diameterMm: 21, heightMm: 70 },
+        4680: { diameterMm: 46, heightMm: 80 }
+    };
+
+    // Tables users can add custom fields to, and the types of those fields (see customFields)
+    const CUSTOM_FIELD_TABLES = ['cars', 'batteryPacks', 'cellModels'];
+    const CUSTOM_FIELD_TYPES = ['text', 'number', 'enum', 'date', 'url'];
+
+    // SQL column holding the custom field values of a record as JSON (see toSQL and remote.js)
+    const CUSTOM_VALUES_FIELD = 'customValues';
+
+    /**
+     * Schema of each table, from which records are built and validated on create/update/import.
+     * - recordName: singular name used in messages
+     * - fields (besides id): { type, required, nullable, min, max, default, values, references }
+     *   - type: 'text', 'number', 'integer', 'list' (array of text, never null),
+     *     'date' ("2024-05-31") or 'url' (http or https)
+     *   - required: a value must be given (blank text does not count); required fields are not nullable
+     *   - nullable: null is accepted (default: true unless required)
+     *   - min/max: bounds of numbers, inclusive
+     *   - default: value of a new record that does not give one (null otherwise, [] for lists)
+     *   - values: the only accepted values
+     *   - references: table referenced by a foreign key
+     * - unique: field combinations that identify a record.
+     *   Text is compared ignoring case, accents and extra whitespace; empty values are equal.
+     * The fields defined by users in customFields are added to cars, batteryPacks and cellModels
+     * at runtime (see syncCustomFields()).
+     */
+    const SCHEMA = {
+        customFields: {
+            recordName: 'custom field',
+            fields: {
+                tableName: { type: 'text', required: true, values: CUSTOM_FIELD_TABLES },
+                // Key of the value in the records ("supplierPartNumber"), derived from the label when not given
+                name: { type: 'text', required: true },
+                label: { type: 'text', required: true },
+                type: { type: 'text', required: true, values: CUSTOM_FIELD_TYPES },
+                // Accepted values of an 'enum' field
+                options: { type: 'list', default: [] }
+            },
+            unique: [['tableName', 'name']]
+        },
+        manufacturers: {
+            recordName: 'manufacturer',
+            fields: {
+                name: { type: 'text', required: true },
+                aliases: { type: 'list', default: [] },
+                type: { type: 'text', required: true, values: MANUFACTURER_TYPES },
+                logo: { type: 'text' }
+            },
+            unique: [['name']]
+        },
+        chemistries: {
+            recordName: 'chemistry',
+            fields: {
+                name: { type: 'text', required: true },
+                family: { type: 'text', required: true },
+                cathode: { type: 'text' },
+                nominalVoltage: { type: 'number', min: 0.5, max: 5 }
+            },
+            unique: [['name']]
+        },
+        cellModels: {
+            recordName: 'cell model',
+            fields: {
+                manufacturerId: { type: 'integer', required: true, references: TABLES.manufacturers },
+                model: { type: 'text', required: true },
+                chemistryId: { type: 'integer', references: TABLES.chemistries },
+                // Ni-MH "cells" are often modules of 6 to 12 cells (7.2V, 14.4V)
+                nominalVoltage: { type: 'number', min: 0.5, max: 50 },
+                nominalCapacityMah: { type: 'integer', min: 1, max: 1000000 },
+                // Datasheet: cylindrical cells give diameter × height, prismatic and pouch cells
+                // height × width × thickness
+                formFactor: { type: 'text', values: CELL_FORM_FACTORS },
+                diameterMm: { type: 'number', min: 1, max: 2000 },
+                heightMm: { type: 'number', min: 1, max: 2000 },
+                widthMm: { type: 'number', min: 1, max: 2000 },
+                thicknessMm: { type: 'number', min: 0.1, max: 2000 },
+                massG: { type: 'number', min: 0.1, max: 100000 },
+                maxChargeCRate: { type: 'number', min: 0.01, max: 100 },
+                maxDischargeCRate: { type: 'number', min: 0.01, max: 100 },
+                minVoltage: { type: 'number', min: 0.5, max: 50 },
+                maxVoltage: { type: 'number', min: 0.5, max: 50 },
+                internalResistanceMOhm: { type: 'number', min: 0.01, max: 100000 },
+                cycleLife: { type: 'integer', min: 1, max: 1000000 }
+            },
+            unique: [['manufacturerId', 'model']]
+        },
+        moduleModels: {
+            recordName: 'module model',
+            fields: {
+                name: { type: 'text', required: true },
+                cellModelId: { type: 'integer', references: TABLES.cellModels },
+                // Cells in series and in parallel inside the module (Nissan Leaf 24kWh: 2S2P)
+                seriesCount: { type: 'integer', min: 1, max: 1000 },
+                parallelCount: { type: 'integer', min: 1, max: 1000 },
+                nominalVoltage: { type: 'number', min: 0.5, max: 1000 },
+                massKg: { type: 'number', min: 0.01, max: 1000 },
+                connectorType: { type: 'text' }
+            },
+            unique: [['name']]
+        },
+        batteryPacks: {
+            recordName: 'battery pack',
+            fields: {
+                name: { type: 'text', required: true },
+                totalCapacityKwh: { type: 'number', min: 0.1, max: 1000 },
+                seriesCount: { type: 'integer', min: 1, max: 1000 },
+                parallelCount: { type: 'integer', min: 1, max: 1000 },
+                cellCount: { type: 'integer', min: 1, max: 100000 },
+                cellModelId: { type: 'integer', references: TABLES.cellModels }
+            },
+            unique: []
+        },
+        // Modules a pack is built from: moduleCount modules of a module model (several models may be mixed)
+        batteryPackModules: {
+            recordName: 'pack module',
+            fields: {
+                batteryPackId: { type: 'integer', required: true, references: TABLES.batteryPacks },
+                moduleModelId: { type: 'integer', required: true, references: TABLES.moduleModels },
+                moduleCount: { type: 'integer', required: true, min: 1, max: 1000 }
+            },
+            unique: [['batteryPackId', 'moduleModelId']]
+        },
+        cars: {
+            recordName: 'car',
+            fields: {
+                manufacturerId: { type: 'integer', required: true, references: TABLES.manufacturers },
+                model: { type: 'text', required: true },
+                trim: { type: 'text' },
+                yearStart: { type: 'integer', ...YEAR_RANGE },
+                yearEnd: { type: 'integer', ...YEAR_RANGE }
+            },
+            unique: [['manufacturerId', 'model', 'trim', 'yearStart']]
+        },
+        carBatteryPacks: {
+            recordName: 'car-battery relation',
+            fields: {
+                carId: { type: 'integer', required: true, references: TABLES.cars },
+                batteryPackId: { type: 'integer', required: true, references: TABLES.batteryPacks }
+            },
+            unique: [['carId', 'batteryPackId']]
+        }
+    };
+
+    // Fields declared above, before custom fields are added
+    const BASE_FIELDS = {};
+    Object.entries(SCHEMA).forEach(([tableName, schema]) => {
+        BASE_FIELDS[tableName] = schema.fields;
+    });
+
+    // Shortcuts derived from SCHEMA: table -> field types, field names, foreign keys
+    // ({ field: referenced table }), required fields, unique constraints and record name
+    const FIELD_TYPES = {};
+    const FIELDS = {};
+    const FOREIGN_KEYS = {};
+    const REQUIRED_FIELDS = {};
+    const UNIQUE_CONSTRAINTS = {};
+    const RECORD_NAMES = {};
+
+    // Helper: (Re)build the shortcuts of a table after its fields changed
+    function deriveSchema(tableName) {
+        const schema = SCHEMA[tableName];
+        const fields = Object.entries(schema.fields);
+        FIELD_TYPES[tableName] = {};
+        fields.forEach(([field, definition]) => {
+            FIELD_TYPES[tableName][field] = definition.type;
+        });
+        FIELDS[tableName] = fields.map(([field]) => field);
+        const fks = fields.filter(([, definition]) => definition.references);
+        if (fks.length > 0) {
+            FOREIGN_KEYS[tableName] = {};
+            fks.forEach(([field, definition]) => {
+                FOREIGN_KEYS[tableName][field] = definition.references;
+            });
+        }
+        REQUIRED_FIELDS[tableName] = fields.filter(([, definition]) => definition.required).map(([field]) => field);
+        if (schema.unique.length > 0) UNIQUE_CONSTRAINTS[tableName] = schema.unique;
+        RECORD_NAMES[tableName] = schema.recordName;
+    }
+    Object.keys(SCHEMA).forEach(deriveSchema);
+
+    /**
+     * Chemistries created with a new database (and by the migration to schema version 2).
+     * family is the cell technology, cathode the Li-ion cathode subtype (null when unknown),
+     * nominalVoltage the typical cell voltage, offered as default in the cell form.
+     */
+    const DEFAULT_CHEMISTRIES = [
+        { name: 'Li-ion', family: 'Li-ion', cathode: null, nominalVoltage: 3.6 },
+        { name: 'Li-ion NMC', family: 'Li-ion', cathode: 'NMC', nominalVoltage: 3.7 },
+        { name: 'Li-ion NCA', family: 'Li-ion', cathode: 'NCA', nominalVoltage: 3.6 },
+        { name: 'Li-ion LFP', family: 'Li-ion', cathode: 'LFP', nominalVoltage: 3.2 },
+        { name: 'Li-ion LMO', family: 'Li-ion', cathode: 'LMO', nominalVoltage: 3.7 },
+        { name: 'Li-ion LCO', family: 'Li-ion', cathode: 'LCO', nominalVoltage: 3.7 },
+        { name: 'Ni-MH', family: 'Ni-MH', cathode: null, nominalVoltage: 1.2 }
+    ];
+
+    // Other spellings of the default chemistries, by comparison key (see chemistryKey())
+    const CHEMISTRY_ALIASES = {
+        lithiumion: 'Li-ion',
+        lion: 'Li-ion',
+        nmc: 'Li-ion NMC',
+        nca: 'Li-ion NCA',
+        lfp: 'Li-ion LFP',
+        lifepo4: 'Li-ion LFP',
+        lmo: 'Li-ion LMO',
+        lco: 'Li-ion LCO',
+        nickelmetalhydride: 'Ni-MH'
+    };
+
+    // Helper: Comparison key of a chemistry name ("Li-iON" -> "liion", "Ni-MH" -> "nimh")
+    function chemistryKey(value) {
+        return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Helper: Find the chemistry matching a free-text value (name, cathode or alias), or null
+    function matchChemistry(chemistries, value) {
+        const key = chemistryKey(value);
+        if (!key) return null;
+        const byName = name => chemistries.find(chemistry => chemistryKey(chemistry.name) === name) || null;
+        return byName(key) ||
+            chemistries.find(chemistry => chemistry.cathode && chemistryKey(chemistry.cathode) === key) ||
+            (CHEMISTRY_ALIASES[key] ? byName(chemistryKey(CHEMISTRY_ALIASES[key])) : null);
+    }
+
+    /**
+     * Manufacturers created with a new database (and by the migration to schema version 3),
+     * with the logos shipped in assets/logos. Spellings differing only by case, accents or
+     * punctuation ("Citroen", "mercedes benz") match without an alias.
+     */
+    const DEFAULT_MANUFACTURERS = [
+        { name: 'BMW', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/bmw.png' },
+        { name: 'Tesla', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/tesla.png' },
+        { name: 'Toyota', aliases: [], type: 'both', logo: 'assets/logos/cars/toyota.png' },
+        { name: 'Nissan', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/nissan.png' },
+        { name: 'Hyundai', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/hyundai.png' },
+        { name: 'Mitsubishi', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/mitsubishi.png' },
+        { name: 'Peugeot', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/peugeot.png' },
+        { name: 'Citroën', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/citroen.png' },
+        { name: 'Renault', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/renault.png' },
+        { name: 'Volkswagen', aliases: ['VW'], type: 'vehicle', logo: 'assets/logos/cars/volkswagen.png' },
+        { name: 'Audi', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/audi.png' },
+        { name: 'Mercedes-Benz', aliases: ['Mercedes'], type: 'vehicle', logo: 'assets/logos/cars/mercedes-benz.png' },
+        { name: 'Ford', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/ford.png' },
+        { name: 'Chevrolet', aliases: ['Chevy'], type: 'vehicle', logo: 'assets/logos/cars/chevrolet.png' },
+        { name: 'Honda', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/honda.png' },
+        { name: 'Kia', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/kia.png' },
+        { name: 'Mazda', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/mazda.png' },
+        { name: 'Porsche', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/porsche.png' },
+        { name: 'Volvo', aliases: [], type: 'vehicle', logo: 'assets/logos/cars/volvo.png' },
+        { name: 'LG', aliases: ['LG Chem', 'LG Energy Solution'], type: 'cell', logo: 'assets/logos/cells/lg.png' },
+        { name: 'Panasonic', aliases: [], type: 'cell', logo: 'assets/logos/cells/panasonic.png' },
+        { name: 'Samsung SDI', aliases: ['Samsung'], type: 'cell', logo: 'assets/logos/cells/samsung.png' },
+        { name: 'GS Yuasa', aliases: [], type: 'cell', logo: 'assets/logos/cells/gs-yuasa.png' }
+    ];
+
+    // Helper: Comparison key of a manufacturer name or alias ("Citroën" -> "citroen", "Mercedes-Benz" -> "mercedesbenz")
+    function manufacturerKey(value) {
+        return foldText(value || '').replace(/[^a-z0-9]/g, '');
+    }
+
+    // Helper: Find the manufacturer whose name or one of its aliases matches a free-text value, or null
+    function matchManufacturer(manufacturers, value) {
+        const key = manufacturerKey(value);
+        if (!key) return null;
+        return manufacturers.find(manufacturer => manufacturerKey(manufacturer.name) === key) ||
+            manufacturers.find(manufacturer => (manufacturer.aliases || []).some(alias => manufacturerKey(alias) === key)) ||
+            null;
+    }
+
+    // Helper: Type of a manufacturer after it is used for a vehicle or a cell ('cell' + 'vehicle' = 'both')
+    function combineManufacturerTypes(current, type) {
+        if (!current || current === type) return type;
+        return type ? 'both' : current;
+    }
+
+    // Current version of the record shapes; bump it when adding a migration
+    const SCHEMA_VERSION = 6;
+    const SCHEMA_VERSION_KEY = 'schemaVersion';
+    const BACKUP_KEY_PREFIX = 'backup:';
+
+    // Helper: Id for a record added by a migration (after the highest id of the table)
+    function nextMigrationId(items) {
+        return items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    }
+
+    /**
+     * Schema migrations, in order.
+     * Each migration upgrades all tables from (version - 1) to version:
+     * up(tables) receives { tableName: records[] } and returns the upgraded tables.
+     * Data stored before versioning existed is version 0.
+     * Migrations leave data already in their target shape unchanged (e.g. a snapshot without
+     * schemaVersion that was written by this version): legacy fields are only converted when present.
+     */
+
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Store every field on every record (missing fields become null)',
+            up(tables) {
+                // Fields as of version 1 (FIELDS describes the current version)
+                const fields = {
+                    cellModels: ['manufacturer', 'model', 'chemistry', 'nominalVoltage', 'nominalCapacityMah'],
+                    batteryPacks: ['name', 'totalCapacityKwh', 'seriesCount', 'parallelCount', 'cellCount', 'cellModelId'],
+                    cars: ['brand', 'model', 'trim', 'yearStart', 'yearEnd'],
+                    carBatteryPacks: ['carId', 'batteryPackId']
+                };
+                // Other fields are kept: data already in a later shape goes through unchanged
+                Object.keys(fields).forEach(tableName => {
+                    tables[tableName] = (tables[tableName] || []).map(item => {
+                        const record = { ...item };
+                        fields[tableName].forEach(field => {
+                            if (record[field] === undefined) record[field] = null;
+                        });
+                        return record;
+                    });
+                });
+                return tables;
+            }
+        },
+        {
+            version: 2,
+            description: 'Move cell chemistry to the chemistries table (cellModels.chemistry -> chemistryId)',
+            up(tables) {
+                // An existing chemistries table (data already migrated) is kept and extended
+                const chemistries = Array.isArray(tables.chemistries)
+                    ? tables.chemistries.map(chemistry => ({ ...chemistry }))
+                    : DEFAULT_CHEMISTRIES.map((chemistry, index) => ({ id: index + 1, ...chemistry }));
+                tables.cellModels = (tables.cellModels || []).map(({ chemistry: text, ...cell }) => {
+                    // Cells without the legacy text keep their chemistryId
+                    if (text === null || text === undefined) {
+                        return { ...cell, chemistryId: cell.chemistryId === undefined ? null : cell.chemistryId };
+                    }
+                    // "Li-ION" and "Li-iON" both become Li-ion; unknown values get their own chemistry
+                    let chemistry = matchChemistry(chemistries, text);
+                    if (!chemistry && chemistryKey(text)) {
+                        const name = String(text).trim();
+                        chemistry = { id: nextMigrationId(chemistries), name, family: name, cathode: null, nominalVoltage: null };
+                        chemistries.push(chemistry);
+                    }
+                    return { ...cell, chemistryId: chemistry ? chemistry.id : null };
+                });
+                tables.chemistries = chemistries;
+                return tables;
+            }
+        },
+        {
+            version: 3,
+            description: 'Move car brands and cell manufacturers to the manufacturers table (brand/manufacturer -> manufacturerId)',
+            up(tables) {
+                // An existing manufacturers table (data already migrated) is kept and extended
+                const manufacturers = Array.isArray(tables.manufacturers)
+                    ? tables.manufacturers.map(manufacturer => ({ ...manufacturer, aliases: (manufacturer.aliases || []).slice() }))
+                    : DEFAULT_MANUFACTURERS.map((manufacturer, index) => ({
+                        id: index + 1,
+                        ...manufacturer,
+                        aliases: manufacturer.aliases.slice()
+                    }));
+
+                // Helper: Id of the manufacturer of a brand or manufacturer text, created when unknown
+                const manufacturerId = (value, type) => {
+                    let manufacturer = matchManufacturer(manufacturers, value);
+                    if (!manufacturer) {
+                        if (!manufacturerKey(value)) return null;
+                        manufacturer = { id: nextMigrationId(manufacturers), name: String(value).trim(), aliases: [], type, logo: null };
+                        manufacturers.push(manufacturer);
+                    }
+                    manufacturer.type = combineManufacturerTypes(manufacturer.type, type);
+                    return manufacturer.id;
+                };
+
+                // Helper: manufacturerId from the legacy text when present, the existing one otherwise
+                const migrateRecord = (record, field, type) => {
+                    const { [field]: text, ...rest } = record;
+                    return {
+                        ...rest,
+                        manufacturerId: text === null || text === undefined
+                            ? (rest.manufacturerId === undefined ? null : rest.manufacturerId)
+                            : manufacturerId(text, type)
+                    };
+                };
+
+                tables.cars = (tables.cars || []).map(car => migrateRecord(car, 'brand', 'vehicle'));
+                tables.cellModels = (tables.cellModels || []).map(cell => migrateRecord(cell, 'manufacturer', 'cell'));
+                tables.manufacturers = manufacturers;
+                return tables;
+            }
+        },
+        {
+            version: 4,
+            description: 'Add the customFields table (fields defined by users on cars, battery packs and cell models)',
+            up(tables) {
+                tables.customFields = tables.customFields || [];
+                return tables;
+            }
+        },
+        {
+            version: 5,
+            description: 'Add the moduleModels and batteryPackModules tables (packs built from modules)',
+            up(tables) {
+                tables.moduleModels = tables.moduleModels || [];
+                tables.batteryPackModules = tables.batteryPackModules || [];
+                return tables;
+            }
+        },
+        {
+            version: 6,
+            description: 'Add the datasheet fields of cell models (form factor, dimensions, mass, C-rates, voltage window, resistance, cycle life)',
+            up(tables) {
+                const fields = ['formFactor', 'diameterMm', 'heightMm', 'widthMm', 'thicknessMm', 'massG',
+                    'maxChargeCRate', 'maxDischargeCRate', 'minVoltage', 'maxVoltage', 'internalResistanceMOhm', 'cycleLife'];
+
+                // Custom fields of cell models with one of these names become the new fields:
+                // their definition is dropped, their values are kept when the new field accepts them
+                const replaced = (tables.customFields || [])
+                    .filter(customField => customField.tableName === 'cellModels' && fields.includes(customField.name))
+                    .map(customField => customField.name);
+                tables.customFields = (tables.customFields || [])
+                    .filter(customField => customField.tableName !== 'cellModels' || !fields.includes(customField.name));
+                const accepted = (field, value) => field === 'formFactor'
+                    ? CELL_FORM_FACTORS.includes(value)
+                    : typeof value === 'number' && value > 0 && (field !== 'cycleLife' || Number.isInteger(value));
+
+                tables.cellModels = (tables.cellModels || []).map(cell => {
+                    const record = { ...cell };
+                    fields.forEach(field => {
+                        if (record[field] === undefined || (replaced.includes(field) && !accepted(field, record[field]))) {
+                            record[field] = null;
+                        }
+                    });
+                    return record;
+                });
+                return tables;
+            }
+        }
+    ];
+
+    // Error raised while opening the database (e.g. a failed migration), null when healthy
+    let initError = null;
+
     // Initialize database with initial data from Excel file
     function initDB() {
         // Check if database already exists
-        if (!localStorage.getItem(TABLES.cellModels)) {
-            // Load initial data
-            loadInitialData();
+        if (!storage.getItem(TABLES.cellModels)) {
+            // Load initial data (not recorded in the history: there is nothing to undo to)
+            // Seeded as one transaction: a failure leaves no half-seeded tables and is retried on next load
+            historySuspended = true;
+            try {
+                transaction(loadInitialData);
+            } finally {
+                historySuspended = false;
+            }
+            storage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+        } else {
+            migrateStoredData();
+        }
+    }
+
+    // Helper: Read the stored schema version (0 when data predates versioning)
+    function getStoredVersion() {
+        return parseInt(storage.getItem(SCHEMA_VERSION_KEY)) || 0;
+    }
+
+    /**
+     * Apply the migrations needed to bring tables from fromVersion to SCHEMA_VERSION.
+     * Works on a copy and throws a descriptive error if a migration fails.
+     */
+    function runMigrations(tables, fromVersion) {
+        if (fromVersion > SCHEMA_VERSION) {
+            throw new Error(`Data uses schema version ${fromVersion}, but this version of the app only supports up to ${SCHEMA_VERSION}; please update the app`);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(tables));
+        MIGRATIONS
+            .filter(migration => migration.version > fromVersion && migration.version <= SCHEMA_VERSION)
+            .forEach(migration => {
+                try {
+                    migrated = migration.up(migrated) || migrated;
+                } catch (error) {
+                    throw new Error(`Migration to schema version ${migration.version} (${migration.description}) failed: ${error.message}`);
+                }
+            });
+        return migrated;
+    }
+
+    /**
+     * Upgrade the stored tables to the current schema version.
+     * A backup of the old data is stored first; on failure nothing is overwritten.
+     */
+    function migrateStoredData() {
+        const storedVersion = getStoredVersion();
+        if (storedVersion === SCHEMA_VERSION) return;
+        if (storedVersion > SCHEMA_VERSION) {
+            throw new Error(`Stored data uses schema version ${storedVersion}, but this version of the app only supports up to ${SCHEMA_VERSION}; please update the app`);
+        }
+
+        const tables = {};
+        Object.values(TABLES).forEach(tableName => {
+            tables[tableName] = getTable(tableName);
+        });
+
+        const backupKey = createBackup(storedVersion, tables);
+        console.log(`Migrating database from schema version ${storedVersion} to ${SCHEMA_VERSION} (backup: "${backupKey}")...`);
+
+        let migrated;
+        try {
+            migrated = runMigrations(tables, storedVersion);
+        } catch (error) {
+            throw new Error(`${error.message}. Your data was not modified; a backup is stored under "${backupKey}".`);
         }
+
+        transaction(() => {
+            Object.entries(migrated).forEach(([tableName, items]) => {
+                saveTable(tableName, items);
+            });
+        });
+        storage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
+        // The audit log keeps the old record shapes: they can be read, no longer undone
+        storage.removeItem(HISTORY_KEY);
+        console.log('Migration completed successfully!');
+    }
+
+    // Helper: Store a copy of all tables before migrating, returns the backup key
+    function createBackup(version, tables) {
+        const createdAt = new Date().toISOString();
+        const key = `${BACKUP_KEY_PREFIX}v${version}:${createdAt}`;
+        storage.setItem(key, JSON.stringify({ version, createdAt, tables }));
+        return key;
+    }
+
+    // Helper: List the keys of stored backups, newest first
+    function listBackups() {
+        return storage.keys()
+            .filter(key => key.startsWith(BACKUP_KEY_PREFIX))
+            .sort()
+            .reverse();
+    }
+
+    /**
+     * Restore a backup created before a migration.
+     * The restored data is migrated again on the next load.
+     */
+    function restoreBackup(key) {
+        const data = storage.getItem(key);
+        if (!key.startsWith(BACKUP_KEY_PREFIX) || !data) throw new Error(`Backup "${key}" not found`);
+
+        const backup = JSON.parse(data);
+        transaction(() => {
+            Object.values(TABLES).forEach(tableName => {
+                saveTable(tableName, backup.tables[tableName] || []);
+            });
+        });
+        storage.setItem(SCHEMA_VERSION_KEY, String(backup.version));
+        storage.removeItem(HISTORY_KEY);
+        return backup;
     }
 
     /**
      * Load initial data from the Excel file (DB_ParaFer.xlsx)
      * This data has been pre-processed from the Excel sheets
+     * (newer versions of the workbook can be loaded with the Excel import, see xlsx.js)
      */
     function loadInitialData() {
         console.log('Loading initial data into database...');
@@ -64,9 +666,20 @@ const DB = (function() {
             { manufacturer: "Panasonic", model: "NCR18650GA", chemistry: "Li-ION", nominalVoltage: 3.6, nominalCapacityMah: 3500 }
         ];
 
-        // Create cell models
-        cellModelsData.forEach(cell => {
-            cellModels.create(cell);
+        // Create manufacturers and chemistries, then the cell models referencing them
+        DEFAULT_MANUFACTURERS.forEach(manufacturer => {
+            manufacturers.create(manufacturer);
+        });
+        DEFAULT_CHEMISTRIES.forEach(chemistry => {
+            chemistries.create(chemistry);
+        });
+        cellModelsData.forEach(({ manufacturer, chemistry, ...cell }) => {
+            const match = chemistries.match(chemistry);
+            cellModels.create({
+                ...cell,
+                manufacturerId: manufacturers.resolve(manufacturer, 'cell').id,
+                chemistryId: match ? match.id : null
+            });
         });
 
         // Initial cars data (sample from Excel)
@@ -102,8 +715,8 @@ const DB = (function() {
         ];
 
         // Create cars
-        carsData.forEach(car => {
-            cars.create(car);
+        carsData.forEach(({ brand, ...car }) => {
+            cars.create({ ...car, manufacturerId: manufacturers.resolve(brand, 'vehicle').id });
         });
 
         // Initial battery packs data (sample from Excel)
@@ -182,15 +795,29 @@ const DB = (function() {
         return Math.max(...items.map(item => item.id)) + 1;
     }
 
-    // Helper: Get all records from a table
+    // Helper: Get all records from a table (as staged by the open transaction, if any)
     function getTable(tableName) {
-        const data = localStorage.getItem(tableName);
+        syncCustomFields();
+        const data = readTableData(tableName);
         return data ? JSON.parse(data) : [];
     }
 
-    // Helper: Save table to localStorage
+    // Helper: Stored JSON of a table, or the version staged by the open transaction
+    function readTableData(tableName) {
+        return staged && staged.has(tableName) ? staged.get(tableName) : storage.getItem(tableName);
+    }
+
+    // Helper: Save table to storage, or stage it until the open transaction commits
+    // (the differences are recorded while a change is open, see recordChange())
     function saveTable(tableName, data) {
-        localStorage.setItem(tableName, JSON.stringify(data));
+        if (staged) {
+            staged.set(tableName, JSON.stringify(data));
+            return;
+        }
+        if (currentChange) {
+            recordDifferences(tableName, getTable(tableName), data);
+        }
+        storage.setItem(tableName, JSON.stringify(data));
     }
 
     // Helper: Validate foreign key
@@ -200,298 +827,1895 @@ const DB = (function() {
         return table.some(item => item.id === fkValue);
     }
 
+    // Helper: Comparison key of a record for a unique constraint ("Citroën " == "citroen")
+    function uniqueKey(record, fields) {
+        return fields.map(field => {
+            const value = record[field];
+            if (value === null || value === undefined) return '';
+            return foldText(value).trim().replace(/\s+/g, ' ');
+        }).join('|');
+    }
+
     /**
-     * CRUD Operations for cellModels table
+     * Human-readable label of a record for error messages.
+     * Related records are read from tables ({ tableName: records[] }, e.g. an import not saved yet)
+     * when given, from storage otherwise.
      */
-    const cellModels = {
-        list() {
-            return getTable(TABLES.cellModels);
-        },
+    function recordLabel(tableName, record, tables = null) {
+        const find = (table, id) => ((tables && tables[table]) || getTable(table)).find(item => item.id === id);
+        const manufacturer = record.manufacturerId ? find(TABLES.manufacturers, record.manufacturerId) : null;
+        const manufacturerName = manufacturer ? manufacturer.name : `#${record.manufacturerId}`;
+        switch (tableName) {
+            case TABLES.customFields:
+                return `${record.tableName}.${record.name}`;
+            case TABLES.manufacturers:
+            case TABLES.chemistries:
+                return record.name;
+            case TABLES.cellModels:
+                return `${manufacturerName} ${record.model}`;
+            case TABLES.moduleModels:
+            case TABLES.batteryPacks:
+                return record.name;
+            case TABLES.batteryPackModules: {
+                const pack = find(TABLES.batteryPacks, record.batteryPackId);
+                const module = find(TABLES.moduleModels, record.moduleModelId);
+                return `${pack ? pack.name : '#' + record.batteryPackId}: ${record.moduleCount} × ${module ? module.name : '#' + record.moduleModelId}`;
+            }
+            case TABLES.cars:
+                return [manufacturerName, record.model, record.trim, record.yearStart].filter(Boolean).join(' ');
+            case TABLES.carBatteryPacks: {
+                const car = find(TABLES.cars, record.carId);
+                const pack = find(TABLES.batteryPacks, record.batteryPackId);
+                return `${car ? recordLabel(TABLES.cars, car, tables) : '#' + record.carId} ↔ ${pack ? pack.name : '#' + record.batteryPackId}`;
+            }
+            default:
+                return `#${record.id}`;
+        }
+    }
 
-        get(id) {
-            const items = this.list();
-            return items.find(item => item.id === id);
-        },
+    // Helper: Throw if a record (new or updated) has the same unique values as another one
+    function checkUnique(tableName, record, items) {
+        (UNIQUE_CONSTRAINTS[tableName] || []).forEach(fields => {
+            const key = uniqueKey(record, fields);
+            const existing = items.find(item => item.id !== record.id && uniqueKey(item, fields) === key);
+            if (existing) {
+                const error = new Error(`Duplicate ${RECORD_NAMES[tableName]}: #${existing.id} "${recordLabel(tableName, existing)}" ` +
+                    `already has the same ${fields.join(', ')}`);
+                error.conflict = { table: tableName, fields, id: existing.id };
+                throw error;
+            }
+        });
+    }
 
-        create(data) {
-            const items = this.list();
-            const newItem = {
-                id: getNextId(TABLES.cellModels),
-                manufacturer: data.manufacturer || '',
-                model: data.model || '',
-                chemistry: data.chemistry || '',
-                nominalVoltage: data.nominalVoltage || null,
-                nominalCapacityMah: data.nominalCapacityMah || null
-            };
-            items.push(newItem);
-            saveTable(TABLES.cellModels, items);
-            return newItem;
-        },
-
-        update(id, data) {
-            const items = this.list();
-            const index = items.findIndex(item => item.id === id);
-            if (index === -1) throw new Error('Cell model not found');
-
-            items[index] = {
-                ...items[index],
-                manufacturer: data.manufacturer !== undefined ? data.manufacturer : items[index].manufacturer,
-                model: data.model !== undefined ? data.model : items[index].model,
-                chemistry: data.chemistry !== undefined ? data.chemistry : items[index].chemistry,
-                nominalVoltage: data.nominalVoltage !== undefined ? data.nominalVoltage : items[index].nominalVoltage,
-                nominalCapacityMah: data.nominalCapacityMah !== undefined ? data.nominalCapacityMah : items[index].nominalCapacityMah
-            };
-            saveTable(TABLES.cellModels, items);
-            return items[index];
-        },
+    /**
+     * Group the records of a table that share the values of a unique constraint.
+     * Returns [{ table, fields, ids, label }], ids in storage order.
+     * tables: related records for the labels, see recordLabel()
+     */
+    function duplicateGroups(tableName, items, tables = null) {
+        const groups = [];
+        (UNIQUE_CONSTRAINTS[tableName] || []).forEach(fields => {
+            const byKey = new Map();
+            items.forEach(item => {
+                const key = uniqueKey(item, fields);
+                if (!byKey.has(key)) byKey.set(key, []);
+                byKey.get(key).push(item);
+            });
+            byKey.forEach(records => {
+                if (records.length < 2) return;
+                groups.push({
+                    table: tableName,
+                    fields,
+                    ids: records.map(record => record.id),
+                    label: recordLabel(tableName, records[0], tables)
+                });
+            });
+        });
+        return groups;
+    }
 
-        remove(id) {
-            // Check if cell model is referenced by any battery pack
-            const packs = batteryPacks.list();
-            if (packs.some(pack => pack.cellModelId === id)) {
-                throw new Error('Cannot delete cell model: it is referenced by battery packs');
-            }
+    // Scan stored tables (or one table) for records breaking a unique constraint
+    function findDuplicates(tableName) {
+        const tableNames = tableName ? [tableName] : Object.values(TABLES);
+        return tableNames.flatMap(name => {
+            if (!FIELD_TYPES[name]) throw new Error(`Unknown table "${name}"`);
+            return duplicateGroups(name, getTable(name));
+        });
+    }
 
-            const items = this.list();
-            const filtered = items.filter(item => item.id !== id);
-            if (filtered.length === items.length) throw new Error('Cell model not found');
-            saveTable(TABLES.cellModels, filtered);
-            return true;
-        }
-    };
+    // What remove(id, { onDelete }) does with the records referencing the deleted one
+    const DELETE_ACTIONS = ['restrict', 'cascade', 'setNull'];
+
+    // Helper: Records referencing a record through a foreign key: [{ table, field, record }]
+    function findDependents(tableName, id) {
+        const dependents = [];
+        Object.entries(FOREIGN_KEYS).forEach(([dependentTable, fks]) => {
+            Object.entries(fks).forEach(([field, referencedTable]) => {
+                if (referencedTable !== tableName) return;
+                getTable(dependentTable)
+                    .filter(record => record[field] === id)
+                    .forEach(record => dependents.push({ table: dependentTable, field, record }));
+            });
+        });
+        return dependents;
+    }
 
     /**
-     * CRUD Operations for batteryPacks table
+     * Records changed by deleting a record with the given onDelete action:
+     * [{ table, id, label, field, action: 'delete' | 'setNull' }]
+     * - 'restrict': none (remove() refuses while the record is referenced)
+     * - 'cascade': every record referencing it, directly or through other records, is deleted
+     * - 'setNull': the foreign key of the direct dependents is cleared (refused for required keys)
      */
-    const batteryPacks = {
-        list() {
-            return getTable(TABLES.batteryPacks);
-        },
+    function planDelete(tableName, id, onDelete = 'cascade') {
+        if (!FIELD_TYPES[tableName]) throw new Error(`Unknown table "${tableName}"`);
+        if (!DELETE_ACTIONS.includes(onDelete)) {
+            throw new Error(`Invalid onDelete "${onDelete}": use 'restrict', 'cascade' or 'setNull'`);
+        }
+        if (onDelete === 'restrict') return [];
 
-        get(id) {
-            const items = this.list();
-            return items.find(item => item.id === id);
-        },
+        const affected = [];
+        if (onDelete === 'setNull') {
+            findDependents(tableName, id).forEach(({ table, field, record }) => {
+                if (REQUIRED_FIELDS[table].includes(field)) {
+                    throw new Error(`Cannot set ${field} to null: it is required in ${table}, use onDelete 'cascade'`);
+                }
+                affected.push({ table, id: record.id, label: recordLabel(table, record), field, action: 'setNull' });
+            });
+            return affected;
+        }
 
-        create(data) {
-            // Validate FK: cellModelId
-            if (!validateFK(data.cellModelId, TABLES.cellModels)) {
-                throw new Error('Invalid cellModelId: cell model does not exist');
-            }
+        const seen = new Set([`${tableName}:${id}`]);
+        const queue = [{ table: tableName, id }];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            findDependents(current.table, current.id).forEach(({ table, field, record }) => {
+                const key = `${table}:${record.id}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                affected.push({ table, id: record.id, label: recordLabel(table, record), field, action: 'delete' });
+                queue.push({ table, id: record.id });
+            });
+        }
+        return affected;
+    }
 
-            const items = this.list();
-            const newItem = {
-                id: getNextId(TABLES.batteryPacks),
-                name: data.name || '',
-                totalCapacityKwh: data.totalCapacityKwh || null,
-                seriesCount: data.seriesCount || null,
-                parallelCount: data.parallelCount || null,
-                cellCount: data.cellCount || null,
-                cellModelId: data.cellModelId || null
-            };
-            items.push(newItem);
-            saveTable(TABLES.batteryPacks, items);
-            return newItem;
-        },
+    // Helper: Delete a record and apply its onDelete action to the dependents, see planDelete()
+    function removeRecord(tableName, id, options) {
+        const onDelete = options.onDelete || 'restrict';
+        const items = getTable(tableName);
+        if (!items.some(item => item.id === id)) throw new Error(notFoundMessage(tableName));
 
-        update(id, data) {
-            // Validate FK if cellModelId is being updated
-            if (data.cellModelId !== undefined && !validateFK(data.cellModelId, TABLES.cellModels)) {
-                throw new Error('Invalid cellModelId: cell model does not exist');
+        if (onDelete === 'restrict') {
+            const tables = [...new Set(findDependents(tableName, id).map(dependent => dependent.table))];
+            if (tables.length > 0) {
+                throw new Error(`Cannot delete ${RECORD_NAMES[tableName]}: it is referenced by ` +
+                    tables.map(table => RECORD_NAMES[table] + 's').join(' and '));
             }
+        }
 
-            const items = this.list();
-            const index = items.findIndex(item => item.id === id);
-            if (index === -1) throw new Error('Battery pack not found');
-
-            items[index] = {
-                ...items[index],
-                name: data.name !== undefined ? data.name : items[index].name,
-                totalCapacityKwh: data.totalCapacityKwh !== undefined ? data.totalCapacityKwh : items[index].totalCapacityKwh,
-                seriesCount: data.seriesCount !== undefined ? data.seriesCount : items[index].seriesCount,
-                parallelCount: data.parallelCount !== undefined ? data.parallelCount : items[index].parallelCount,
-                cellCount: data.cellCount !== undefined ? data.cellCount : items[index].cellCount,
-                cellModelId: data.cellModelId !== undefined ? data.cellModelId : items[index].cellModelId
-            };
-            saveTable(TABLES.batteryPacks, items);
-            return items[index];
-        },
-
-        remove(id) {
-            // Check if battery pack is referenced by any car-battery relation
-            const relations = carBatteryPacks.list();
-            if (relations.some(rel => rel.batteryPackId === id)) {
-                throw new Error('Cannot delete battery pack: it is referenced by car-battery relations');
+        // All changes are computed before anything is saved
+        const changed = { [tableName]: items.filter(item => item.id !== id) };
+        planDelete(tableName, id, onDelete).forEach(entry => {
+            const records = changed[entry.table] || getTable(entry.table);
+            if (entry.action === 'delete') {
+                changed[entry.table] = records.filter(record => record.id !== entry.id);
+            } else {
+                changed[entry.table] = records.map(record => record.id === entry.id ? { ...record, [entry.field]: null } : record);
             }
+        });
+        transaction(() => {
+            Object.entries(changed).forEach(([name, records]) => {
+                saveTable(name, records);
+            });
+        });
+        return true;
+    }
 
-            const items = this.list();
-            const filtered = items.filter(item => item.id !== id);
-            if (filtered.length === items.length) throw new Error('Battery pack not found');
-            saveTable(TABLES.batteryPacks, filtered);
-            return true;
+    // Relations that can be expanded with query({ include }): table -> { relation: { field, table } }
+    // Named after the foreign key without its "Id" suffix (cellModelId -> cellModel)
+    const RELATIONS = {};
+    Object.entries(FOREIGN_KEYS).forEach(([tableName, fks]) => {
+        RELATIONS[tableName] = {};
+        Object.entries(fks).forEach(([field, referencedTable]) => {
+            RELATIONS[tableName][field.replace(/Id$/, '')] = { field, table: referencedTable };
+        });
+    });
+
+    // Helper: Lowercase and strip accents for "contains" ("Citroën" contains "citroen")
+    function foldText(value) {
+        return String(value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    // Helper: Order two non-null values (text is compared alphabetically, ignoring case)
+    function compareValues(a, b) {
+        if (typeof a === 'string' && typeof b === 'string') {
+            return a.localeCompare(b, undefined, { sensitivity: 'base' });
         }
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    // Comparison operators for query({ where }); null only matches eq/ne/in
+    const OPERATORS = {
+        eq: (value, operand) => value === operand,
+        ne: (value, operand) => value !== operand,
+        gt: (value, operand) => value !== null && compareValues(value, operand) > 0,
+        gte: (value, operand) => value !== null && compareValues(value, operand) >= 0,
+        lt: (value, operand) => value !== null && compareValues(value, operand) < 0,
+        lte: (value, operand) => value !== null && compareValues(value, operand) <= 0,
+        in: (value, operand) => {
+            if (!Array.isArray(operand)) throw new Error('The "in" operator expects an array');
+            return operand.includes(value);
+        },
+        // Lists (e.g. manufacturer aliases) contain the operand when one of their items does
+        contains: (value, operand) => value !== null && [].concat(value).some(item => foldText(item).includes(foldText(operand)))
     };
 
     /**
-     * CRUD Operations for cars table
+     * Helper: Function reading a field of a record, or a field of a related record through
+     * a relation path ('manufacturer.name' on cars). Missing values and records read as null.
      */
-    const cars = {
-        list() {
-            return getTable(TABLES.cars);
-        },
+    function fieldReader(tableName, path, context) {
+        const [name, ...rest] = path.split('.');
+        if (rest.length === 0) {
+            if (name !== 'id' && !FIELDS[tableName].includes(name)) {
+                throw new Error(`Unknown field "${path}" in ${tableName} ${context}`);
+            }
+            return item => item[name] === undefined ? null : item[name];
+        }
 
-        get(id) {
-            const items = this.list();
-            return items.find(item => item.id === id);
-        },
+        const relation = RELATIONS[tableName] && RELATIONS[tableName][name];
+        if (!relation) throw new Error(`Unknown relation "${name}" on ${tableName}`);
+        const related = new Map(getTable(relation.table).map(item => [item.id, item]));
+        const read = fieldReader(relation.table, rest.join('.'), context);
+        return item => related.has(item[relation.field]) ? read(related.get(item[relation.field])) : null;
+    }
 
-        create(data) {
-            const items = this.list();
-            const newItem = {
-                id: getNextId(TABLES.cars),
-                brand: data.brand || '',
-                model: data.model || '',
-                trim: data.trim || null,
-                yearStart: data.yearStart || null,
-                yearEnd: data.yearEnd || null
-            };
-            items.push(newItem);
-            saveTable(TABLES.cars, items);
-            return newItem;
-        },
-
-        update(id, data) {
-            const items = this.list();
-            const index = items.findIndex(item => item.id === id);
-            if (index === -1) throw new Error('Car not found');
-
-            items[index] = {
-                ...items[index],
-                brand: data.brand !== undefined ? data.brand : items[index].brand,
-                model: data.model !== undefined ? data.model : items[index].model,
-                trim: data.trim !== undefined ? data.trim : items[index].trim,
-                yearStart: data.yearStart !== undefined ? data.yearStart : items[index].yearStart,
-                yearEnd: data.yearEnd !== undefined ? data.yearEnd : items[index].yearEnd
-            };
-            saveTable(TABLES.cars, items);
-            return items[index];
-        },
+    // Helper: Turn a where object into a record predicate
+    function buildWhere(tableName, where) {
+        const tests = [];
+
+        Object.entries(where || {}).forEach(([field, condition]) => {
+            const read = fieldReader(tableName, field, 'query');
+            // { model: 'Leaf' } is a shortcut for { model: { eq: 'Leaf' } }
+            const isOperatorObject = condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+            const operators = isOperatorObject ? condition : { eq: condition };
+
+            Object.entries(operators).forEach(([operator, operand]) => {
+                const test = OPERATORS[operator];
+                if (!test) throw new Error(`Unknown operator "${operator}" in ${tableName} query`);
+                tests.push(item => test(read(item), operand));
+            });
+        });
+
+        return item => tests.every(test => test(item));
+    }
 
-        remove(id) {
-            // Check if car is referenced by any car-battery relation
-            const relations = carBatteryPacks.list();
-            if (relations.some(rel => rel.carId === id)) {
-                throw new Error('Cannot delete car: it is referenced by car-battery relations');
+    // Helper: Normalize orderBy ('yearStart', '-yearStart', { field, direction } or an array of them)
+    function parseOrderBy(tableName, orderBy) {
+        return [].concat(orderBy || []).map(entry => {
+            const sort = typeof entry === 'string'
+                ? { field: entry.replace(/^-/, ''), direction: entry.startsWith('-') ? 'desc' : 'asc' }
+                : { field: entry.field, direction: entry.direction || 'asc' };
+            return { ...sort, read: fieldReader(tableName, sort.field, 'orderBy') };
+        });
+    }
+
+    // Helper: Attach related records, e.g. include ['batteryPack.cellModel'] on carBatteryPacks
+    function expandRelations(tableName, items, include) {
+        const paths = [].concat(include || []);
+        const nested = {};
+        paths.forEach(path => {
+            const [relation, ...rest] = path.split('.');
+            if (!RELATIONS[tableName] || !RELATIONS[tableName][relation]) {
+                throw new Error(`Unknown relation "${relation}" on ${tableName}`);
             }
+            nested[relation] = nested[relation] || [];
+            if (rest.length > 0) nested[relation].push(rest.join('.'));
+        });
 
-            const items = this.list();
-            const filtered = items.filter(item => item.id !== id);
-            if (filtered.length === items.length) throw new Error('Car not found');
-            saveTable(TABLES.cars, filtered);
-            return true;
+        Object.entries(nested).forEach(([relation, subPaths]) => {
+            const { field, table } = RELATIONS[tableName][relation];
+            const related = new Map(getTable(table).map(item => [item.id, item]));
+            const expanded = items.map(item => related.has(item[field]) ? { ...related.get(item[field]) } : null);
+            expandRelations(table, expanded.filter(Boolean), subPaths);
+            items.forEach((item, i) => {
+                item[relation] = expanded[i];
+            });
+        });
+
+        return items;
+    }
+
+    /**
+     * Query a table.
+     * options: {
+     *   where:   { field: value } or { field: { eq, ne, gt, gte, lt, lte, in, contains } },
+     *   orderBy: 'field', '-field' (descending), { field, direction } or an array of them,
+     *            fields of where and orderBy may be relation paths ('manufacturer.name'),
+     *   limit, offset,
+     *   include: relation names ('cellModel') or paths ('batteryPack.cellModel')
+     * }
+     * Conditions on several fields are combined with AND. Empty values (null) sort last.
+     */
+    function runQuery(tableName, options = {}) {
+        if (!FIELD_TYPES[tableName]) throw new Error(`Unknown table "${tableName}"`);
+
+        let items = getTable(tableName).filter(buildWhere(tableName, options.where));
+
+        const sorts = parseOrderBy(tableName, options.orderBy);
+        if (sorts.length > 0) {
+            items.sort((a, b) => {
+                for (const { read, direction } of sorts) {
+                    const x = read(a);
+                    const y = read(b);
+                    if (x === y) continue;
+                    if (x === null) return 1;
+                    if (y === null) return -1;
+                    const result = compareValues(x, y);
+                    if (result !== 0) return direction === 'desc' ? -result : result;
+                }
+                return 0;
+            });
         }
-    };
+
+        const offset = options.offset || 0;
+        const limit = options.limit === undefined || options.limit === null ? items.length : options.limit;
+        if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 0) {
+            throw new Error('limit and offset must be positive integers');
+        }
+        items = items.slice(offset, offset + limit);
+
+        return expandRelations(tableName, items, options.include);
+    }
+
+    // Relative difference between declared and computed pack energy above which a pack is flagged
+    const PACK_ENERGY_TOLERANCE = 0.05;
+
+    // Helper: Round to a number of decimals
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
 
     /**
-     * CRUD Operations for carBatteryPacks (many-to-many relationship)
+     * Derive the electrical specs of a pack from its configuration and cell model:
+     * - nominalVoltage = seriesCount × cell nominalVoltage (V)
+     * - capacityAh     = parallelCount × cell nominalCapacityMah / 1000 (Ah)
+     * - energyKwh      = nominalVoltage × capacityAh / 1000 (kWh)
+     * and compare the computed energy with the declared totalCapacityKwh.
+     * status is 'ok', 'mismatch' (deviation above tolerance) or 'unknown' (see missing).
      */
-    const carBatteryPacks = {
-        list() {
-            return getTable(TABLES.carBatteryPacks);
-        },
+    function computePackSpecs(pack, cell, tolerance = PACK_ENERGY_TOLERANCE) {
+        const missing = [];
+        if (!pack.seriesCount) missing.push('seriesCount');
+        if (!pack.parallelCount) missing.push('parallelCount');
+        if (!cell) {
+            missing.push('cellModel');
+        } else {
+            if (!cell.nominalVoltage) missing.push('cell nominalVoltage');
+            if (!cell.nominalCapacityMah) missing.push('cell nominalCapacityMah');
+        }
 
-        get(id) {
-            const items = this.list();
-            return items.find(item => item.id === id);
-        },
+        const nominalVoltage = pack.seriesCount && cell && cell.nominalVoltage
+            ? round(pack.seriesCount * cell.nominalVoltage, 2) : null;
+        const capacityAh = pack.parallelCount && cell && cell.nominalCapacityMah
+            ? round(pack.parallelCount * cell.nominalCapacityMah / 1000, 3) : null;
+        const energyKwh = nominalVoltage !== null && capacityAh !== null
+            ? round(nominalVoltage * capacityAh / 1000, 2) : null;
 
-        create(data) {
-            // Validate FKs
-            if (!validateFK(data.carId, TABLES.cars)) {
-                throw new Error('Invalid carId: car does not exist');
-            }
-            if (!validateFK(data.batteryPackId, TABLES.batteryPacks)) {
-                throw new Error('Invalid batteryPackId: battery pack does not exist');
-            }
+        const declaredKwh = pack.totalCapacityKwh || null;
+        let deviationKwh = null;
+        let deviationPercent = null;
+        let status = 'unknown';
+        if (energyKwh !== null && declaredKwh) {
+            deviationKwh = round(energyKwh - declaredKwh, 2);
+            deviationPercent = round((energyKwh - declaredKwh) / declaredKwh * 100, 1);
+            status = Math.abs(energyKwh - declaredKwh) / declaredKwh > tolerance ? 'mismatch' : 'ok';
+        } else if (!declaredKwh) {
+            missing.push('totalCapacityKwh');
+        }
 
-            const items = this.list();
-            const newItem = {
-                id: getNextId(TABLES.carBatteryPacks),
-                carId: data.carId,
-                batteryPackId: data.batteryPackId
-            };
-            items.push(newItem);
-            saveTable(TABLES.carBatteryPacks, items);
-            return newItem;
-        },
+        return {
+            packId: pack.id,
+            nominalVoltage,
+            capacityAh,
+            energyKwh,
+            declaredKwh,
+            deviationKwh,
+            deviationPercent,
+            tolerance,
+            status,
+            missing
+        };
+    }
 
-        update(id, data) {
-            // Validate FKs if they're being updated
-            if (data.carId !== undefined && !validateFK(data.carId, TABLES.cars)) {
-                throw new Error('Invalid carId: car does not exist');
-            }
-            if (data.batteryPackId !== undefined && !validateFK(data.batteryPackId, TABLES.batteryPacks)) {
-                throw new Error('Invalid batteryPackId: battery pack does not exist');
+    /**
+     * Derive the energy and energy densities of a cell from its datasheet:
+     * - energyWh = nominalVoltage × nominalCapacityMah / 1000 (Wh)
+     * - volumeMl = π × (diameter / 2)² × height for cylindrical cells, height × width × thickness
+     *   for prismatic and pouch cells (mL); the named cylindrical formats (18650, ...) have a standard
+     *   size, and a cell without form factor or diameter lists formFactor as missing
+     * - whPerKg  = energyWh / mass, whPerL = energyWh / volume
+     * Values that cannot be derived are null and their inputs are listed in missing.
+     */
+    function computeCellSpecs(cell) {
+        const missing = [];
+        if (!cell.nominalVoltage) missing.push('nominalVoltage');
+        if (!cell.nominalCapacityMah) missing.push('nominalCapacityMah');
+        if (!cell.massG) missing.push('massG');
+
+        const energyWh = cell.nominalVoltage && cell.nominalCapacityMah
+            ? round(cell.nominalVoltage * cell.nominalCapacityMah / 1000, 2) : null;
+
+        let volumeMl = null;
+        const standard = CYLINDRICAL_FORMATS[cell.formFactor] || {};
+        const cylindrical = CYLINDRICAL_FORM_FACTORS.includes(cell.formFactor) || (!cell.formFactor && cell.diameterMm);
+        if (cylindrical) {
+            const diameterMm = cell.diameterMm || standard.diameterMm;
+            const heightMm = cell.heightMm || standard.heightMm;
+            if (diameterMm && heightMm) {
+                volumeMl = round(Math.PI * Math.pow(diameterMm / 2, 2) * heightMm / 1000, 2);
+            } else {
+                missing.push(diameterMm ? 'heightMm' : 'diameterMm');
             }
+        } else if (cell.heightMm && cell.widthMm && cell.thicknessMm) {
+            volumeMl = round(cell.heightMm * cell.widthMm * cell.thicknessMm / 1000, 2);
+        } else if (cell.formFactor) {
+            ['heightMm', 'widthMm', 'thicknessMm'].filter(field => !cell[field]).forEach(field => missing.push(field));
+        } else {
+            // Unknown shape: a cylindrical cell needs a diameter, a prismatic or pouch cell a width and thickness
+            missing.push('formFactor');
+            if (!cell.heightMm) missing.push('heightMm');
+        }
 
-            const items = this.list();
-            const index = items.findIndex(item => item.id === id);
-            if (index === -1) throw new Error('Relation not found');
+        return {
+            cellModelId: cell.id,
+            energyWh,
+            volumeMl,
+            whPerKg: energyWh !== null && cell.massG ? round(energyWh / (cell.massG / 1000), 0) : null,
+            whPerL: energyWh !== null && volumeMl ? round(energyWh / (volumeMl / 1000), 0) : null,
+            missing
+        };
+    }
 
-            items[index] = {
-                ...items[index],
-                carId: data.carId !== undefined ? data.carId : items[index].carId,
-                batteryPackId: data.batteryPackId !== undefined ? data.batteryPackId : items[index].batteryPackId
-            };
-            saveTable(TABLES.carBatteryPacks, items);
-            return items[index];
-        },
+    /**
+     * Derive the specs of a module from its configuration and cell model:
+     * - cellCount      = seriesCount × parallelCount
+     * - nominalVoltage = the declared module voltage, or seriesCount × cell nominalVoltage (V)
+     * - capacityAh     = parallelCount × cell nominalCapacityMah / 1000 (Ah)
+     * - energyKwh      = nominalVoltage × capacityAh / 1000 (kWh)
+     * Values that cannot be derived are null and their inputs are listed in missing.
+     */
+    function computeModuleSpecs(module, cell) {
+        const missing = [];
+        if (!module.seriesCount) missing.push('seriesCount');
+        if (!module.parallelCount) missing.push('parallelCount');
+        if (!cell) {
+            missing.push('cellModel');
+        } else {
+            if (!cell.nominalVoltage && !module.nominalVoltage) missing.push('cell nominalVoltage');
+            if (!cell.nominalCapacityMah) missing.push('cell nominalCapacityMah');
+        }
 
-        remove(id) {
-            const items = this.list();
-            const filtered = items.filter(item => item.id !== id);
-            if (filtered.length === items.length) throw new Error('Relation not found');
-            saveTable(TABLES.carBatteryPacks, filtered);
-            return true;
-        },
+        const computedVoltage = module.seriesCount && cell && cell.nominalVoltage
+            ? round(module.seriesCount * cell.nominalVoltage, 2) : null;
+        const nominalVoltage = module.nominalVoltage || computedVoltage;
+        const capacityAh = module.parallelCount && cell && cell.nominalCapacityMah
+            ? round(module.parallelCount * cell.nominalCapacityMah / 1000, 3) : null;
 
-        // Helper method to get all battery packs for a car
-        getByCarId(carId) {
-            return this.list().filter(item => item.carId === carId);
-        },
+        return {
+            moduleModelId: module.id,
+            cellCount: module.seriesCount && module.parallelCount ? module.seriesCount * module.parallelCount : null,
+            nominalVoltage,
+            computedVoltage,
+            capacityAh,
+            energyKwh: nominalVoltage && capacityAh !== null ? round(nominalVoltage * capacityAh / 1000, 3) : null,
+            massKg: module.massKg || null,
+            missing
+        };
+    }
 
-        // Helper method to get all cars for a battery pack
-        getByBatteryPackId(batteryPackId) {
-            return this.list().filter(item => item.batteryPackId === batteryPackId);
-        }
-    };
+    /**
+     * Totals of a pack built from modules. rows: its batteryPackModules records, each with its
+     * moduleModel and the module's cellModel (null when unknown). Returns
+     * { packId, modules: [{ ...row, specs }], moduleCount, cellCount, energyKwh, massKg }:
+     * a total is the sum over the rows of moduleCount × the module value, null when one of them is unknown.
+     */
+    function computePackComposition(pack, rows) {
+        const modules = rows.map(row => ({
+            ...row,
+            specs: row.moduleModel ? computeModuleSpecs(row.moduleModel, row.moduleModel.cellModel) : null
+        }));
+        const total = (field, decimals) => {
+            if (modules.length === 0 || modules.some(row => !row.specs || row.specs[field] === null)) return null;
+            return round(modules.reduce((sum, row) => sum + row.moduleCount * row.specs[field], 0), decimals);
+        };
 
-    // Initialize database on load
-    initDB();
+        return {
+            packId: pack.id,
+            modules,
+            moduleCount: modules.reduce((sum, row) => sum + row.moduleCount, 0),
+            cellCount: total('cellCount', 0),
+            energyKwh: total('energyKwh', 2),
+            massKg: total('massKg', 1)
+        };
+    }
 
-    // Public API
+    // Helper: "battery pack" -> "Battery pack not found"
+    function notFoundMessage(tableName) {
+        const name = RECORD_NAMES[tableName];
+        return `${name.charAt(0).toUpperCase()}${name.slice(1)} not found`;
+    }
+
+    // Helper: Value a field gets when a new record does not give one
+    function defaultValue(definition) {
+        if (definition.default !== undefined) return JSON.parse(JSON.stringify(definition.default));
+        return definition.type === 'list' ? [] : null;
+    }
+
+    // Helper: Clean a field value before validation (lists: trimmed, without empty items; never null)
+    function normalizeValue(definition, value) {
+        if (definition.type !== 'list') return value;
+        if (value === null || value === undefined) return [];
+        if (!Array.isArray(value)) return value;
+        return value.map(item => typeof item === 'string' ? item.trim() : item).filter(item => item !== '');
+    }
+
+    // Helper: "2024-02-30" is not a date
+    function isValidDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
+    // Helper: Absolute http(s) address
+    function isValidURL(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check values against field definitions (SCHEMA[tableName].fields), without foreign keys
+     * (see referenceErrors()). Only the given fields are checked (all by default).
+     * Returns [{ field, message }], empty when the values are valid.
+     */
+    function fieldErrors(definitions, record, fields = Object.keys(definitions)) {
+        const errors = [];
+        fields.forEach(field => {
+            const definition = definitions[field];
+            const value = record[field];
+            const add = message => errors.push({ field, message });
+
+            if (value === null || value === undefined) {
+                if (definition.required) add('is required');
+                else if (definition.nullable === false) add('cannot be null');
+                return;
+            }
+
+            switch (definition.type) {
+                case 'text':
+                    if (typeof value !== 'string') return add('must be text');
+                    if (definition.required && value.trim() === '') return add('is required');
+                    break;
+                case 'number':
+                    if (typeof value !== 'number' || !Number.isFinite(value)) return add('must be a number');
+                    break;
+                case 'integer':
+                    if (!Number.isInteger(value)) return add('must be a whole number');
+                    break;
+                case 'list':
+                    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                        return add('must be a list of text');
+                    }
+                    break;
+                case 'date':
+                    if (typeof value !== 'string' || !isValidDate(value)) return add('must be a date (YYYY-MM-DD)');
+                    break;
+                case 'url':
+                    if (typeof value !== 'string' || !isValidURL(value)) return add('must be a web address (http:// or https://)');
+                    break;
+            }
+
+            if (definition.values && !definition.values.includes(value)) {
+                add(`must be one of ${definition.values.join(', ')}`);
+            } else if (definition.min !== undefined && value < definition.min) {
+                add(`must be at least ${definition.min}`);
+            } else if (definition.max !== undefined && value > definition.max) {
+                add(`must be at most ${definition.max}`);
+            }
+        });
+        return errors;
+    }
+
+    // Helper: Foreign keys among the given fields that refer to no stored record, as fieldErrors()
+    function referenceErrors(tableName, record, fields) {
+        return fields
+            .filter(field => SCHEMA[tableName].fields[field].references)
+            .filter(field => !validateFK(record[field], SCHEMA[tableName].fields[field].references))
+            .map(field => {
+                const referencedTable = SCHEMA[tableName].fields[field].references;
+                return { field, message: `${RECORD_NAMES[referencedTable]} #${record[field]} does not exist` };
+            });
+    }
+
+    /**
+     * Throw if the given fields of a record are invalid. The error lists every bad field:
+     * "Invalid car: yearStart must be at least 1900, model is required",
+     * with error.fieldErrors = [{ field, message }] for forms and imports.
+     */
+    function validateRecord(tableName, record, fields = FIELDS[tableName]) {
+        const errors = fieldErrors(SCHEMA[tableName].fields, record, fields);
+        const invalid = new Set(errors.map(error => error.field));
+        errors.push(...referenceErrors(tableName, record, fields.filter(field => !invalid.has(field))));
+        if (errors.length > 0) throw invalidRecordError(tableName, errors);
+    }
+
+    // Helper: Error listing the bad fields of a record, see validateRecord()
+    function invalidRecordError(tableName, errors) {
+        const error = new Error(`Invalid ${RECORD_NAMES[tableName]}: ` +
+            errors.map(({ field, message }) => `${field} ${message}`).join(', '));
+        error.fieldErrors = errors;
+        return error;
+    }
+
+    // Checks beyond the schema, run on create and update: table -> fn(record, items) throwing on conflict
+    const RECORD_CHECKS = {
+        customFields: checkCustomField,
+        manufacturers: checkManufacturerNames
+    };
+
+    // Helper: Create a record from data: fields not given take their default value
+    function createRecord(tableName, data) {
+        const items = getTable(tableName);
+        const newItem = { id: getNextId(tableName) };
+        Object.entries(SCHEMA[tableName].fields).forEach(([field, definition]) => {
+            newItem[field] = normalizeValue(definition, data[field] !== undefined ? data[field] : defaultValue(definition));
+        });
+        validateRecord(tableName, newItem);
+        checkUnique(tableName, newItem, items);
+        if (RECORD_CHECKS[tableName]) RECORD_CHECKS[tableName](newItem, items);
+        items.push(newItem);
+        saveTable(tableName, items);
+        return newItem;
+    }
+
+    // Helper: Update the fields given in data (undefined fields are left unchanged); only those are validated
+    function updateRecord(tableName, id, data) {
+        const items = getTable(tableName);
+        const index = items.findIndex(item => item.id === id);
+        if (index === -1) throw new Error(notFoundMessage(tableName));
+
+        const fields = FIELDS[tableName].filter(field => data[field] !== undefined);
+        const updated = { ...items[index] };
+        fields.forEach(field => {
+            updated[field] = normalizeValue(SCHEMA[tableName].fields[field], data[field]);
+        });
+        validateRecord(tableName, updated, fields);
+        checkUnique(tableName, updated, items);
+        if (RECORD_CHECKS[tableName]) RECORD_CHECKS[tableName](updated, items);
+        items[index] = updated;
+        saveTable(tableName, items);
+        return updated;
+    }
+
+    /**
+     * Operations shared by all tables, driven by SCHEMA:
+     * list(), query(options), count(where), get(id), create(data), update(id, data), remove(id, options).
+     * remove() options.onDelete: 'restrict' (default, fails if other records refer to it),
+     * 'cascade' (also deletes them and what depends on them) or 'setNull' (they lose the reference)
+     */
+    function tableOperations(tableName) {
+        return {
+            list() {
+                return getTable(tableName);
+            },
+
+            query(options) {
+                return runQuery(tableName, options);
+            },
+
+            count(where) {
+                return runQuery(tableName, { where }).length;
+            },
+
+            get(id) {
+                return this.list().find(item => item.id === id);
+            },
+
+            create(data) {
+                return createRecord(tableName, data);
+            },
+
+            update(id, data) {
+                return updateRecord(tableName, id, data);
+            },
+
+            remove(id, options = {}) {
+                return removeRecord(tableName, id, options);
+            }
+        };
+    }
+
+    /**
+     * CUSTOM FIELDS
+     * Users add typed fields to cars, battery packs and cell models without changing this file.
+     * A customFields record { tableName, name, label, type, options } becomes a field of SCHEMA:
+     * the value is stored on the records under name, validated like any other field, and shown by
+     * describe(), so forms, cards, filters, CSV/JSON/SQL exports and imports pick it up.
+     * - type 'text', 'number', 'date' or 'url' (same schema type); 'enum' is text limited to options
+     */
+    let customFieldsData = null;            // JSON of the customFields table SCHEMA was last built from
+
+    // Helper: Schema definition of a custom field
+    function customFieldDefinition(customField) {
+        const definition = {
+            type: customField.type === 'enum' ? 'text' : customField.type,
+            label: customField.label,
+            custom: true
+        };
+        if (customField.type === 'enum') definition.values = customField.options.slice();
+        return definition;
+    }
+
+    // Helper: Fields of a table with the given custom fields (invalid definitions are left out)
+    function schemaFields(tableName, customFields) {
+        const fields = { ...BASE_FIELDS[tableName] };
+        customFields
+            .filter(customField => customField && customField.tableName === tableName)
+            .filter(customField => customFieldErrors(customField).length === 0)
+            .forEach(customField => {
+                fields[customField.name] = customFieldDefinition(customField);
+            });
+        return fields;
+    }
+
+    // Helper: Rebuild the fields of the extended tables when customFields changed (write, undo, import...)
+    function syncCustomFields() {
+        const data = readTableData(TABLES.customFields);
+        if (data === customFieldsData) return;
+        customFieldsData = data;
+        const customFields = data ? JSON.parse(data) : [];
+        CUSTOM_FIELD_TABLES.forEach(tableName => {
+            SCHEMA[tableName].fields = schemaFields(tableName, customFields);
+            deriveSchema(tableName);
+        });
+    }
+
+    // Helper: Field name from a label: "Warranty (km)" -> "warrantyKm"
+    function customFieldName(label) {
+        return foldText(label === null || label === undefined ? '' : label)
+            .replace(/[^a-z0-9]+(.)?/g, (match, char) => char ? char.toUpperCase() : '')
+            .replace(/^[^a-z]+/, '');
+    }
+
+    /**
+     * Problems of a custom field definition beyond its schema, as fieldErrors():
+     * the name must be an identifier not used by the table, enums need options
+     */
+    function customFieldErrors(customField) {
+        const errors = [];
+        const { tableName, name, type, options } = customField;
+        if (typeof name === 'string' && !/^[a-z][a-zA-Z0-9]*$/.test(name)) {
+            errors.push({ field: 'name', message: 'must start with a lowercase letter and contain only letters and digits' });
+        } else if (BASE_FIELDS[tableName] && (name === 'id' || name === CUSTOM_VALUES_FIELD || BASE_FIELDS[tableName][name] ||
+            (RELATIONS[tableName] && RELATIONS[tableName][name]))) {
+            errors.push({ field: 'name', message: `is already used by ${tableName}` });
+        }
+        if (type === 'enum' && (!Array.isArray(options) || options.length === 0)) {
+            errors.push({ field: 'options', message: 'must list the values of an enum field' });
+        } else if (type !== 'enum' && Array.isArray(options) && options.length > 0) {
+            errors.push({ field: 'options', message: 'are only used by enum fields' });
+        }
+        return errors;
+    }
+
+    // Helper: Throw if a custom field is invalid, renamed, or changed so that stored values become invalid
+    function checkCustomField(record, items) {
+        const errors = customFieldErrors(record);
+        const previous = items.find(item => item.id === record.id);
+        ['tableName', 'name'].forEach(field => {
+            if (previous && previous[field] !== record[field]) {
+                errors.push({ field, message: 'cannot be changed (add a new field instead)' });
+            }
+        });
+        if (errors.length > 0) throw invalidRecordError(TABLES.customFields, errors);
+        if (!previous) return;
+
+        const definitions = { [record.name]: customFieldDefinition(record) };
+        const invalid = getTable(record.tableName).filter(item => fieldErrors(definitions, item).length > 0);
+        if (invalid.length > 0) {
+            throw new Error(`Cannot change custom field "${record.label}": the value of ` +
+                `${RECORD_NAMES[record.tableName]} ${invalid.slice(0, 5).map(item => '#' + item.id).join(', ')}` +
+                `${invalid.length > 5 ? ' and others' : ''} would not be valid`);
+        }
+    }
+
+    /**
+     * customFields table: fields added by users to cars, batteryPacks and cellModels.
+     * Deleting a custom field also deletes its values.
+     */
+    const customFields = {
+        ...tableOperations(TABLES.customFields),
+
+        // name defaults to the camelCase label
+        create(data) {
+            const name = data.name === undefined || data.name === null || data.name === '' ? customFieldName(data.label) : data.name;
+            return createRecord(TABLES.customFields, { ...data, name });
+        },
+
+        remove(id, options = {}) {
+            const customField = this.get(id);
+            if (!customField) throw new Error(notFoundMessage(TABLES.customFields));
+            transaction(() => {
+                removeRecord(TABLES.customFields, id, options);
+                saveTable(customField.tableName, getTable(customField.tableName).map(record => {
+                    const { [customField.name]: removed, ...rest } = record;
+                    return rest;
+                }));
+            });
+            return true;
+        },
+
+        // Custom fields of a table, in creation order
+        getByTable(tableName) {
+            return this.query({ where: { tableName } });
+        }
+    };
+
+    // Helper: Throw unless type is one of MANUFACTURER_TYPES
+    function validateManufacturerType(type) {
+        if (!MANUFACTURER_TYPES.includes(type)) {
+            throw new Error(`Invalid manufacturer type "${type}": use 'vehicle', 'cell' or 'both'`);
+        }
+    }
+
+    // Helper: Throw if the name or an alias of a manufacturer already designates another one
+    function checkManufacturerNames(record, items) {
+        const others = items.filter(item => item.id !== record.id);
+        [record.name, ...record.aliases].forEach(value => {
+            const existing = matchManufacturer(others, value);
+            if (existing) {
+                const error = new Error(`Duplicate manufacturer: #${existing.id} "${existing.name}" already uses the name or alias "${value}"`);
+                error.conflict = { table: TABLES.manufacturers, fields: ['name', 'aliases'], id: existing.id };
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * manufacturers table: car brands and cell makers (type 'vehicle', 'cell' or 'both').
+     * Deleting one used by cars or cell models needs onDelete 'cascade'.
+     */
+    const manufacturers = {
+        ...tableOperations(TABLES.manufacturers),
+
+        // Find a manufacturer from free text: its name or an alias, ignoring case, accents and punctuation
+        match(value) {
+            return matchManufacturer(this.list(), value);
+        },
+
+        /**
+         * The manufacturer of a car brand (type 'vehicle') or cell maker (type 'cell') typed by a user:
+         * the matching manufacturer, marked 'both' when it was only known for the other type,
+         * or a new one when nothing matches
+         */
+        resolve(name, type) {
+            validateManufacturerType(type);
+            if (!manufacturerKey(name)) throw new Error('Manufacturer name is required');
+            const existing = this.match(name);
+            if (!existing) return this.create({ name: String(name).trim(), type });
+
+            const combined = combineManufacturerTypes(existing.type, type);
+            return combined === existing.type ? existing : this.update(existing.id, { type: combined });
+        }
+    };
+
+    /**
+     * chemistries table. Cell models using a deleted chemistry can keep existing without one (onDelete 'setNull').
+     */
+    const chemistries = {
+        ...tableOperations(TABLES.chemistries),
+
+        // Find a chemistry from free text: name, cathode subtype or a known alias ("LiFePO4" -> Li-ion LFP)
+        match(value) {
+            return matchChemistry(this.list(), value);
+        }
+    };
+
+    /**
+     * cellModels table. Deleting one used by battery packs needs onDelete 'cascade' or 'setNull'.
+     */
+    const cellModels = {
+        ...tableOperations(TABLES.cellModels),
+
+        // Energy and energy densities of a cell (id or record), see computeCellSpecs()
+        specs(cellOrId) {
+            const cell = typeof cellOrId === 'object' && cellOrId !== null ? cellOrId : this.get(cellOrId);
+            if (!cell) throw new Error(notFoundMessage(TABLES.cellModels));
+            return computeCellSpecs(cell);
+        },
+
+        // Form factors measured by diameter × height ('18650', ..., 'cylindrical')
+        isCylindrical(formFactor) {
+            return CYLINDRICAL_FORM_FACTORS.includes(formFactor);
+        },
+
+        // Standard { diameterMm, heightMm } of a named cylindrical format ('21700'), null otherwise
+        standardSize(formFactor) {
+            return CYLINDRICAL_FORMATS[formFactor] ? { ...CYLINDRICAL_FORMATS[formFactor] } : null;
+        }
+    };
+
+    /**
+     * moduleModels table: modules of seriesCount × parallelCount cells of a cell model.
+     * Deleting one used by battery packs needs onDelete 'cascade' (their composition rows are deleted).
+     */
+    const moduleModels = {
+        ...tableOperations(TABLES.moduleModels),
+
+        // Derived specs of a module (id or record), see computeModuleSpecs()
+        specs(moduleOrId) {
+            const module = typeof moduleOrId === 'object' && moduleOrId !== null ? moduleOrId : this.get(moduleOrId);
+            if (!module) throw new Error(notFoundMessage(TABLES.moduleModels));
+            const cell = module.cellModelId ? cellModels.get(module.cellModelId) : null;
+            return computeModuleSpecs(module, cell);
+        }
+    };
+
+    /**
+     * batteryPacks table. Deleting one used by car-battery relations needs onDelete 'cascade'.
+     */
+    const batteryPacks = {
+        ...tableOperations(TABLES.batteryPacks),
+
+        /**
+         * Computed electrical specs of a pack (id or record), see computePackSpecs().
+         * options.tolerance overrides the relative energy tolerance (default 0.05 = 5%)
+         */
+        specs(packOrId, options = {}) {
+            const pack = typeof packOrId === 'object' && packOrId !== null ? packOrId : this.get(packOrId);
+            if (!pack) throw new Error('Battery pack not found');
+            const cell = pack.cellModelId ? cellModels.get(pack.cellModelId) : null;
+            return computePackSpecs(pack, cell, options.tolerance);
+        },
+
+        // Pack → module → cell breakdown of a pack (id or record) and its totals, see computePackComposition()
+        composition(packOrId) {
+            const pack = typeof packOrId === 'object' && packOrId !== null ? packOrId : this.get(packOrId);
+            if (!pack) throw new Error('Battery pack not found');
+            const rows = runQuery(TABLES.batteryPackModules, {
+                where: { batteryPackId: pack.id },
+                include: ['moduleModel.cellModel']
+            });
+            return computePackComposition(pack, rows);
+        }
+    };
+
+    /**
+     * batteryPackModules table: the modules of each battery pack, with their number
+     */
+    const batteryPackModules = {
+        ...tableOperations(TABLES.batteryPackModules),
+
+        getByBatteryPackId(batteryPackId) {
+            return this.query({ where: { batteryPackId } });
+        },
+
+        getByModuleModelId(moduleModelId) {
+            return this.query({ where: { moduleModelId } });
+        },
+
+        /**
+         * Replace the composition of a pack with modules [{ moduleModelId, moduleCount }] as one change:
+         * rows of module models still listed are updated, the others deleted, new ones created
+         */
+        set(batteryPackId, modules) {
+            return recordChange('batteryPackModules.set', () => transaction(() => {
+                const current = this.getByBatteryPackId(batteryPackId);
+                current
+                    .filter(row => !modules.some(module => module.moduleModelId === row.moduleModelId))
+                    .forEach(row => this.remove(row.id));
+                return modules.map(({ moduleModelId, moduleCount }) => {
+                    const existing = current.find(row => row.moduleModelId === moduleModelId);
+                    if (!existing) return this.create({ batteryPackId, moduleModelId, moduleCount });
+                    return existing.moduleCount === moduleCount ? existing : this.update(existing.id, { moduleCount });
+                });
+            }));
+        }
+    };
+
+    /**
+     * cars table. Deleting one used by car-battery relations needs onDelete 'cascade'.
+     */
+    const cars = tableOperations(TABLES.cars);
+
+    /**
+     * carBatteryPacks table (many-to-many relationship between cars and battery packs)
+     */
+    const carBatteryPacks = {
+        ...tableOperations(TABLES.carBatteryPacks),
+
+        // Helper method to get all battery packs for a car
+        getByCarId(carId) {
+            return this.query({ where: { carId } });
+        },
+
+        // Helper method to get all cars for a battery pack
+        getByBatteryPackId(batteryPackId) {
+            return this.query({ where: { batteryPackId } });
+        }
+    };
+
+    /**
+     * AUDIT LOG AND UNDO/REDO
+     * Each call to create(), update(), remove() or import() is one change: saveTable() records
+     * every record it adds, modifies or deletes as an audit log entry
+     * { id, change, action, relatedChange, table, recordId, operation, before, after, timestamp }
+     * - change: number shared by the entries of one call (a cascade delete touches several tables)
+     * - action: 'cars.update', 'import', ... or 'undo' / 'redo' (relatedChange: the change replayed)
+     * - operation: 'create' | 'update' | 'delete'; before/after: the whole record for creates and
+     *   deletes (null when absent), only the changed fields for updates (a field missing on one side
+     *   was added or removed)
+     * The undo and redo stacks hold change numbers; undoing replays a change backwards.
+     * The log keeps the last MAX_HISTORY_CHANGES changes within MAX_AUDIT_LOG_SIZE characters.
+     * Failing to store it (quota exceeded) does not fail the write: the change just cannot be undone.
+     */
+    const AUDIT_LOG_KEY = 'auditLog';
+    const HISTORY_KEY = 'history';          // { undo: [change], redo: [change], lastChange }
+    const MAX_HISTORY_CHANGES = 200;        // Older changes are dropped from the log
+    const MAX_AUDIT_LOG_SIZE = 1000000;     // Characters of JSON; older changes are dropped first
+
+    let currentChange = null;               // { action, relatedChange, entries } while a change is recorded
+    let historySuspended = false;           // Initial data is not recorded
+
+    function readAuditLog() {
+        const data = storage.getItem(AUDIT_LOG_KEY);
+        return data ? JSON.parse(data) : [];
+    }
+
+    function readHistory() {
+        const data = storage.getItem(HISTORY_KEY);
+        return data ? JSON.parse(data) : { undo: [], redo: [], lastChange: 0 };
+    }
+
+    // Helper: Same field values (records are compared as stored, key order aside)
+    function sameRecord(a, b) {
+        if (!a || !b) return a === b;
+        const keys = new Set(Object.keys(a).concat(Object.keys(b)));
+        return Array.from(keys).every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+    }
+
+    // Helper: Changed fields of an updated record: { before, after } with the old and new values
+    function changedFields(oldRecord, newRecord) {
+        const before = {};
+        const after = {};
+        new Set(Object.keys(oldRecord).concat(Object.keys(newRecord))).forEach(key => {
+            if (JSON.stringify(oldRecord[key]) === JSON.stringify(newRecord[key])) return;
+            if (key in oldRecord) before[key] = oldRecord[key];
+            if (key in newRecord) after[key] = newRecord[key];
+        });
+        return { before, after };
+    }
+
+    // Helper: Add the entries turning the before records of a table into the after records
+    function recordDifferences(tableName, before, after) {
+        const previous = new Map(before.map(record => [record.id, record]));
+        const next = new Map(after.map(record => [record.id, record]));
+        const add = (operation, recordId, oldRecord, newRecord) => {
+            currentChange.entries.push({ table: tableName, recordId, operation, before: oldRecord, after: newRecord });
+        };
+        previous.forEach((record, id) => {
+            if (!next.has(id)) {
+                add('delete', id, record, null);
+            } else if (!sameRecord(record, next.get(id))) {
+                const fields = changedFields(record, next.get(id));
+                add('update', id, fields.before, fields.after);
+            }
+        });
+        next.forEach((record, id) => {
+            if (!previous.has(id)) add('create', id, null, record);
+        });
+    }
+
+    /**
+     * Run fn as one change of the history. Writes made by nested calls (resolve() creating a
+     * manufacturer, a cascade delete) belong to the outermost change.
+     */
+    function recordChange(action, fn, relatedChange = null) {
+        if (currentChange || historySuspended) return fn();
+
+        currentChange = { action, relatedChange, entries: [] };
+        try {
+            return fn();
+        } finally {
+            const change = currentChange;
+            currentChange = null;
+            if (change.entries.length > 0) {
+                // The data is already saved: a history that cannot be stored must not fail the write
+                try {
+                    appendChange(change);
+                } catch (error) {
+                    console.error(`Could not record change "${action}" in the history (it cannot be undone):`, error);
+                }
+            }
+        }
+    }
+
+    // Helper: Store the entries of a finished change; edits clear the redo stack
+    function appendChange(change) {
+        const log = readAuditLog();
+        const history = readHistory();
+        const number = history.lastChange + 1;
+        const timestamp = new Date().toISOString();
+        let nextId = log.length > 0 ? log[log.length - 1].id + 1 : 1;
+
+        change.entries.forEach(entry => {
+            log.push({
+                id: nextId++,
+                change: number,
+                action: change.action,
+                relatedChange: change.relatedChange,
+                ...entry,
+                timestamp
+            });
+        });
+        history.lastChange = number;
+        if (change.action !== 'undo' && change.action !== 'redo') {
+            history.undo.push(number);
+            history.redo = [];
+        }
+
+        // Keep the last MAX_HISTORY_CHANGES changes that fit in MAX_AUDIT_LOG_SIZE;
+        // the dropped ones can no longer be undone
+        const sizes = new Map();
+        log.forEach(entry => {
+            sizes.set(entry.change, (sizes.get(entry.change) || 0) + JSON.stringify(entry).length + 1);
+        });
+        const kept = new Set();
+        let size = 2;
+        Array.from(sizes.keys()).reverse().slice(0, MAX_HISTORY_CHANGES).every(changeNumber => {
+            size += sizes.get(changeNumber);
+            if (size > MAX_AUDIT_LOG_SIZE) return false;
+            kept.add(changeNumber);
+            return true;
+        });
+        if (!kept.has(number)) {
+            console.warn(`Change "${change.action}" is too large to be kept in the history: it cannot be undone`);
+        }
+        history.undo = history.undo.filter(changeNumber => kept.has(changeNumber));
+        history.redo = history.redo.filter(changeNumber => kept.has(changeNumber));
+
+        storage.setItem(AUDIT_LOG_KEY, JSON.stringify(log.filter(entry => kept.has(entry.change))));
+        storage.setItem(HISTORY_KEY, JSON.stringify(history));
+    }
+
+    // Helper: Throw unless the records touched by an undo/redo respect foreign and unique keys
+    function checkReplayIntegrity(tables, touched, verb) {
+        const read = tableName => tables[tableName] || getTable(tableName);
+        touched.forEach(({ table, id }) => {
+            const record = read(table).find(item => item.id === id);
+            if (record) {
+                Object.entries(FOREIGN_KEYS[table] || {}).forEach(([field, referencedTable]) => {
+                    const value = record[field];
+                    if (value !== null && value !== undefined && !read(referencedTable).some(item => item.id === value)) {
+                        throw new Error(`Cannot ${verb}: ${RECORD_NAMES[table]} #${id} would refer to ${RECORD_NAMES[referencedTable]} #${value}, which no longer exists`);
+                    }
+                });
+                try {
+                    checkUnique(table, record, read(table));
+                } catch (error) {
+                    throw new Error(`Cannot ${verb}: ${error.message}`);
+                }
+                return;
+            }
+            Object.entries(FOREIGN_KEYS).forEach(([dependentTable, fks]) => {
+                Object.entries(fks).forEach(([field, referencedTable]) => {
+                    if (referencedTable === table && read(dependentTable).some(item => item[field] === id)) {
+                        throw new Error(`Cannot ${verb}: ${RECORD_NAMES[table]} #${id} is referenced by ${RECORD_NAMES[dependentTable]}s`);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Replay a change backwards ('undo') or forwards ('redo'). Every record must still be as the
+     * change left it (or found it), and the result must keep foreign and unique keys valid;
+     * otherwise nothing is written.
+     */
+    function replayChange(number, verb) {
+        const entries = readAuditLog().filter(entry => entry.change === number);
+        if (entries.length === 0) throw new Error(`Cannot ${verb}: change #${number} is no longer in the audit log`);
+
+        const steps = (verb === 'undo' ? entries.slice().reverse() : entries).map(entry => ({
+            table: entry.table,
+            id: entry.recordId,
+            operation: entry.operation,
+            expected: verb === 'undo' ? entry.after : entry.before,
+            target: verb === 'undo' ? entry.before : entry.after
+        }));
+
+        const tables = {};
+        steps.forEach(({ table, id, operation, expected, target }) => {
+            const records = tables[table] || (tables[table] = getTable(table));
+            const index = records.findIndex(record => record.id === id);
+            const current = index === -1 ? null : records[index];
+            // Updates hold the changed fields only: those must still have the expected values
+            const unchanged = operation === 'update'
+                ? current !== null && Object.keys({ ...expected, ...target }).every(key =>
+                    JSON.stringify(current[key]) === JSON.stringify(expected[key]))
+                : sameRecord(current, expected);
+            if (!unchanged) {
+                throw new Error(`Cannot ${verb}: ${RECORD_NAMES[table]} #${id} was changed since`);
+            }
+            if (operation === 'update') {
+                const record = { ...current };
+                Object.keys(expected).forEach(key => delete record[key]);
+                records[index] = { ...record, ...target };
+            } else if (target === null) {
+                records.splice(index, 1);
+            } else if (index !== -1) {
+                records[index] = target;
+            } else {
+                // Restored records go back to their place in id order
+                const position = records.findIndex(record => record.id > id);
+                records.splice(position === -1 ? records.length : position, 0, target);
+            }
+        });
+        checkReplayIntegrity(tables, steps, verb);
+
+        recordChange(verb, () => transaction(() => {
+            Object.entries(tables).forEach(([tableName, records]) => {
+                saveTable(tableName, records);
+            });
+        }), number);
+        return describeChange(number, entries);
+    }
+
+    const OPERATION_VERBS = { create: 'Create', update: 'Update', delete: 'Delete' };
+
+    // Helper: Summary of a change for undo/redo buttons: { change, action, timestamp, records, description }
+    function describeChange(number, entries = readAuditLog().filter(entry => entry.change === number)) {
+        const first = entries[0];
+        // Updates only hold the changed fields: the label comes from the stored record when it still exists
+        const record = getTable(first.table).find(item => item.id === first.recordId) || { ...first.before, ...first.after };
+        // Named actions ('import', 'CSV import', ...) are counted; CRUD calls and plain transactions
+        // are described by their first record
+        const named = !/^\w+\.\w+$/.test(first.action) && !['transaction', 'undo', 'redo'].includes(first.action);
+        const description = named
+            ? `${first.action.charAt(0).toUpperCase()}${first.action.slice(1)} (${entries.length} record${entries.length === 1 ? '' : 's'})`
+            : `${OPERATION_VERBS[first.operation]} ${RECORD_NAMES[first.table]} "${recordLabel(first.table, record)}"` +
+              (entries.length > 1 ? ` and ${entries.length - 1} more record${entries.length === 2 ? '' : 's'}` : '');
+        return {
+            change: number,
+            action: first.action,
+            timestamp: first.timestamp,
+            records: entries.length,
+            description
+        };
+    }
+
+    const history = {
+        /**
+         * Audit log entries, newest first. options: table, recordId (entries of one record)
+         */
+        list(options = {}) {
+            return readAuditLog()
+                .filter(entry => (!options.table || entry.table === options.table) &&
+                    (options.recordId === undefined || entry.recordId === options.recordId))
+                .reverse();
+        },
+
+        // Undo the last change; returns its summary, or null when there is nothing to undo
+        undo() {
+            const number = readHistory().undo.slice(-1)[0];
+            if (number === undefined) return null;
+            const summary = replayChange(number, 'undo');
+            const stacks = readHistory();
+            stacks.undo.pop();
+            stacks.redo.push(number);
+            storage.setItem(HISTORY_KEY, JSON.stringify(stacks));
+            return summary;
+        },
+
+        // Redo the last undone change; returns its summary, or null when there is nothing to redo
+        redo() {
+            const number = readHistory().redo.slice(-1)[0];
+            if (number === undefined) return null;
+            const summary = replayChange(number, 'redo');
+            const stacks = readHistory();
+            stacks.redo.pop();
+            stacks.undo.push(number);
+            storage.setItem(HISTORY_KEY, JSON.stringify(stacks));
+            return summary;
+        },
+
+        // What undo() and redo() would replay: { undo: summary | null, redo: summary | null }
+        status() {
+            const stacks = readHistory();
+            const last = numbers => numbers.length > 0 ? describeChange(numbers[numbers.length - 1]) : null;
+            return { undo: last(stacks.undo), redo: last(stacks.redo) };
+        },
+
+        clear() {
+            storage.removeItem(AUDIT_LOG_KEY);
+            storage.removeItem(HISTORY_KEY);
+        }
+    };
+
+    // Every write of the table objects is recorded as one change named after the table and method
+    Object.entries({
+        customFields, manufacturers, chemistries, cellModels, moduleModels, batteryPacks, batteryPackModules, cars, carBatteryPacks
+    }).forEach(([tableName, table]) => {
+        ['create', 'update', 'remove'].forEach(method => {
+            const write = table[method];
+            table[method] = function(...args) {
+                return recordChange(`${tableName}.${method}`, () => write.apply(this, args));
+            };
+        });
+    });
+
+    /**
+     * TRANSACTIONS
+     * transaction(fn) runs fn with every table write staged in memory: reads inside fn see the
+     * staged tables, and the tables are saved once fn returns. If fn throws, the staged writes
+     * are dropped and the error is rethrown. If saving one of the tables fails (e.g. storage quota
+     * exceeded), the tables already saved are restored and the error is rethrown.
+     * Nested calls join the outer transaction.
+     * fn must be synchronous: writes after an await would escape the transaction.
+     */
+    let staged = null;                      // tableName -> JSON string while a transaction is open
+
+    function transaction(fn) {
+        if (staged) return fn();
+
+        staged = new Map();
+        let result;
+        try {
+            result = fn();
+            if (result && typeof result.then === 'function') {
+                throw new Error('DB.transaction() needs a synchronous function');
+            }
+        } catch (error) {
+            staged = null;
+            throw error;
+        }
+
+        const tables = staged;
+        staged = null;
+        const previous = new Map();             // Stored value of each table saved so far
+        const recorded = currentChange ? currentChange.entries.length : 0;
+        try {
+            tables.forEach((data, tableName) => {
+                const value = storage.getItem(tableName);
+                saveTable(tableName, JSON.parse(data));
+                previous.set(tableName, value);
+            });
+        } catch (error) {
+            previous.forEach((value, tableName) => {
+                try {
+                    if (value === null) storage.removeItem(tableName);
+                    else storage.setItem(tableName, value);
+                } catch (restoreError) {
+                    console.error(`Could not restore ${tableName} after a failed transaction:`, restoreError);
+                }
+            });
+            // The history does not list the writes that were rolled back
+            if (currentChange) currentChange.entries.length = recorded;
+            throw error;
+        }
+        return result;
+    }
+
+    // Helper: Field values of an imported record; missing values are null, lists are normalized
+    function importedValues(definitions, record) {
+        const values = {};
+        Object.entries(definitions).forEach(([field, definition]) => {
+            values[field] = normalizeValue(definition, record[field] === undefined ? null : record[field]);
+        });
+        return values;
+    }
+
+    /**
+     * Validate a snapshot (as returned by export()) and build the tables to save.
+     * Nothing is written here: all errors are collected and returned so the
+     * caller can reject the import as a whole.
+     */
+    function prepareImport(snapshot, mode) {
+        const errors = [];
+        const tableNames = Object.values(TABLES);
+
+        if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+            return { errors: ['Snapshot must be an object with one array per table'], tables: null };
+        }
+
+        Object.keys(snapshot).forEach(key => {
+            if (!tableNames.includes(key)) errors.push(`Unknown table "${key}"`);
+        });
+        tableNames.forEach(tableName => {
+            if (!Array.isArray(snapshot[tableName])) errors.push(`Table "${tableName}" is missing or is not an array`);
+        });
+        if (errors.length > 0) return { errors, tables: null };
+
+        // Fields of each table after the import: custom fields come from the snapshot (and the
+        // stored ones when merging)
+        const importedCustomFields = [
+            ...(mode === 'merge' ? getTable(TABLES.customFields) : []),
+            ...snapshot.customFields
+        ];
+        const definitions = {};
+        tableNames.forEach(tableName => {
+            definitions[tableName] = CUSTOM_FIELD_TABLES.includes(tableName)
+                ? schemaFields(tableName, importedCustomFields)
+                : BASE_FIELDS[tableName];
+        });
+
+        // Check records: ids, field values (see SCHEMA), unique ids
+        tableNames.forEach(tableName => {
+            const seen = new Set();
+            snapshot[tableName].forEach((record, index) => {
+                const where = `${tableName}[${index}]`;
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    errors.push(`${where}: record must be an object`);
+                    return;
+                }
+                if (!Number.isInteger(record.id) || record.id < 1) {
+                    errors.push(`${where}: id must be a positive integer`);
+                } else if (seen.has(record.id)) {
+                    errors.push(`${where}: duplicate id ${record.id}`);
+                } else {
+                    seen.add(record.id);
+                }
+                const values = importedValues(definitions[tableName], record);
+                const problems = fieldErrors(definitions[tableName], values);
+                if (tableName === TABLES.customFields) problems.push(...customFieldErrors(values));
+                problems.forEach(({ field, message }) => {
+                    errors.push(`${where}: ${field} ${message}`);
+                });
+            });
+        });
+
+        // Check foreign keys against the ids in the snapshot
+        Object.entries(FOREIGN_KEYS).forEach(([tableName, fks]) => {
+            snapshot[tableName].forEach((record, index) => {
+                if (!record || typeof record !== 'object') return;
+                Object.entries(fks).forEach(([field, referencedTable]) => {
+                    const value = record[field];
+                    if (value === null || value === undefined) return;
+                    if (!snapshot[referencedTable].some(item => item && item.id === value)) {
+                        errors.push(`${tableName}[${index}]: ${field} ${value} does not exist in ${referencedTable}`);
+                    }
+                });
+            });
+        });
+
+        if (errors.length > 0) return { errors, tables: null };
+
+        // Build the resulting tables, remapping ids on merge. Tables are in dependency order
+        // (TABLES), so the ids a foreign key points to are known when its table is built.
+        // A merged record with the same unique values as a stored one (e.g. the default
+        // manufacturers, or a snapshot exported from this database) is that record: its id is
+        // reused and the stored values are kept. Without unique constraints (battery packs),
+        // only a record with the same values in every field matches.
+        const idMaps = {};
+        const tables = {};
+        const matched = {};
+        tableNames.forEach(tableName => {
+            const existing = mode === 'merge' ? getTable(tableName) : [];
+            const fks = FOREIGN_KEYS[tableName] || {};
+            const constraints = UNIQUE_CONSTRAINTS[tableName] || [Object.keys(definitions[tableName])];
+            const existingByKey = constraints.map(fields => new Map(existing.map(item => [uniqueKey(item, fields), item.id])));
+            let nextId = existing.length === 0 ? 1 : Math.max(...existing.map(item => item.id)) + 1;
+            idMaps[tableName] = new Map();
+            tables[tableName] = existing.slice();
+            matched[tableName] = 0;
+
+            snapshot[tableName].forEach(record => {
+                const newItem = { id: record.id, ...importedValues(definitions[tableName], record) };
+                Object.keys(fks).forEach(field => {
+                    if (newItem[field] !== null) newItem[field] = idMaps[fks[field]].get(newItem[field]);
+                });
+                if (mode === 'merge') {
+                    const matchIndex = constraints.findIndex((fields, i) => existingByKey[i].has(uniqueKey(newItem, fields)));
+                    if (matchIndex !== -1) {
+                        idMaps[tableName].set(record.id, existingByKey[matchIndex].get(uniqueKey(newItem, constraints[matchIndex])));
+                        matched[tableName]++;
+                        return;
+                    }
+                    newItem.id = nextId++;
+                }
+                idMaps[tableName].set(record.id, newItem.id);
+                tables[tableName].push(newItem);
+            });
+        });
+
+        // Check unique constraints on the result; duplicates already stored before a merge are left alone
+        tableNames.forEach(tableName => {
+            const incoming = new Set(tables[tableName].slice(mode === 'merge' ? getTable(tableName).length : 0).map(item => item.id));
+            duplicateGroups(tableName, tables[tableName], tables).forEach(group => {
+                if (!group.ids.some(id => incoming.has(id))) return;
+                errors.push(`${tableName}: ${RECORD_NAMES[tableName]} "${group.label}" would be duplicated ` +
+                    `(ids ${group.ids.join(', ')} share ${group.fields.join(', ')})`);
+            });
+        });
+
+        return { errors, tables: errors.length > 0 ? null : tables, matched };
+    }
+
+    /**
+     * Import a snapshot produced by export().
+     * - mode 'replace': the snapshot replaces all tables, ids are kept
+     * - mode 'merge': snapshot records are appended with new ids, FKs are remapped; records
+     *   with the same unique values as a stored record are matched to it instead
+     * The import is rejected as a whole if any record is invalid.
+     */
+    function importSnapshot(snapshot, options = {}) {
+        const mode = options.mode || 'merge';
+        if (mode !== 'replace' && mode !== 'merge') {
+            throw new Error(`Invalid import mode "${mode}": use 'replace' or 'merge'`);
+        }
+
+        // Snapshots exported by older versions are migrated first. Exports made before schema
+        // versioning carry no version: like unversioned stored data, they are version 0
+        if (snapshot && typeof snapshot === 'object' && !Array.isArray(snapshot)) {
+            const { schemaVersion = 0, ...snapshotTables } = snapshot;
+            if (!Number.isInteger(schemaVersion) || schemaVersion < 0) {
+                throw new Error('Import rejected: schemaVersion must be a non-negative integer');
+            }
+            snapshot = runMigrations(snapshotTables, schemaVersion);
+        }
+
+        const { errors, tables, matched } = prepareImport(snapshot, mode);
+        if (errors.length > 0) {
+            const error = new Error(`Import rejected (${errors.length} error${errors.length > 1 ? 's' : ''}): ` +
+                errors.slice(0, 5).join('; ') + (errors.length > 5 ? '; ...' : ''));
+            error.details = errors;
+            throw error;
+        }
+
+        transaction(() => {
+            Object.entries(tables).forEach(([tableName, items]) => {
+                saveTable(tableName, items);
+            });
+        });
+
+        // imported: records added (or replaced), matched: merged records that were already stored
+        const imported = {};
+        Object.values(TABLES).forEach(tableName => {
+            imported[tableName] = snapshot[tableName].length - matched[tableName];
+        });
+        return { mode, imported, matched };
+    }
+
+    /**
+     * Describe a table from its SCHEMA: fields with type, required and nullable flags,
+     * bounds (min/max, null when unbounded), default, accepted values, FK target,
+     * and for custom fields their label (custom: true)
+     */
+    function describeTable(tableName) {
+        if (!SCHEMA[tableName]) throw new Error(`Unknown table "${tableName}"`);
+        syncCustomFields();
+        return {
+            name: tableName,
+            fields: Object.entries(SCHEMA[tableName].fields).map(([field, definition]) => ({
+                name: field,
+                type: definition.type,
+                required: Boolean(definition.required),
+                nullable: definition.type !== 'list' && !definition.required && definition.nullable !== false,
+                min: definition.min !== undefined ? definition.min : null,
+                max: definition.max !== undefined ? definition.max : null,
+                default: defaultValue(definition),
+                values: definition.values ? definition.values.slice() : null,
+                references: definition.references || null,
+                custom: Boolean(definition.custom),
+                label: definition.label || null
+            })),
+            unique: SCHEMA[tableName].unique.map(fields => fields.slice())
+        };
+    }
+
+    // PostgreSQL column types for the field types
+    const SQL_TYPES = {
+        text: 'TEXT',
+        number: 'NUMERIC',
+        integer: 'INTEGER',
+        list: 'TEXT[]',
+        date: 'DATE',
+        url: 'TEXT'
+    };
+
+    // Helper: "nominalCapacityMah" -> "nominal_capacity_mah" (PostgreSQL naming)
+    function toSnakeCase(name) {
+        return name.replace(/[A-Z]/g, char => '_' + char.toLowerCase());
+    }
+
+    // Helper: Format a value as a SQL literal ('Citroën', 'it''s', 3.6, NULL, ARRAY['VW'])
+    function toSQLLiteral(value) {
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (Array.isArray(value)) return value.length > 0 ? `ARRAY[${value.map(toSQLLiteral).join(', ')}]` : "'{}'";
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * Helper: Unique index enforcing a unique constraint the way uniqueKey() compares values:
+     * text ignores case and surrounding or repeated spaces, and empty text equals NULL
+     * (accents are not folded, so "Citroën" and "Citroen" are only rejected by the app).
+     * NULLS NOT DISTINCT (PostgreSQL 15+) makes two missing numbers equal too.
+     */
+    function toSQLUniqueIndex(tableName, fields) {
+        const expressions = fields.map(field => {
+            const column = toSnakeCase(field);
+            if (FIELD_TYPES[tableName][field] !== 'text') return column;
+            return `COALESCE(lower(btrim(regexp_replace(${column}, '\\s+', ' ', 'g'))), '')`;
+        });
+        const name = [tableName, ...fields].map(toSnakeCase).join('_') + '_key';
+        return `CREATE UNIQUE INDEX ${name} ON ${toSnakeCase(tableName)} (${expressions.join(', ')}) NULLS NOT DISTINCT;`;
+    }
+
+    /**
+     * Generate a PostgreSQL script: CREATE TABLE statements (primary keys, NOT NULL for
+     * fields that cannot be null, REFERENCES for the foreign keys checked by validateFK,
+     * CHECK for the accepted values and bounds of the schema, unique indexes for the
+     * unique constraints) followed by
+     * the INSERT statements for every row, in dependency order.
+     * Custom fields are not columns: their values are stored as JSON in custom_values,
+     * so the tables do not change when users add fields. app_metadata holds the schema version.
+     * Ids are kept, so the SERIAL sequences are moved past the highest id at the end.
+     */
+    function toSQL() {
+        const tableNames = Object.values(TABLES);
+        const lines = [
+            '-- EV Battery Database',
+            `-- Generated on ${new Date().toISOString()} (schema version ${SCHEMA_VERSION})`,
+            '',
+            'BEGIN;',
+            ''
+        ];
+
+        tableNames.forEach(tableName => {
+            const columns = ['    id SERIAL PRIMARY KEY'];
+            const description = describeTable(tableName);
+            description.fields.filter(field => !field.custom).forEach(field => {
+                let column = `    ${toSnakeCase(field.name)} ${SQL_TYPES[field.type]}`;
+                if (!field.nullable) column += ' NOT NULL';
+                if (field.references) column += ` REFERENCES ${toSnakeCase(field.references)}(id)`;
+                if (field.values) column += ` CHECK (${toSnakeCase(field.name)} IN (${field.values.map(toSQLLiteral).join(', ')}))`;
+                if (field.min !== null) column += ` CHECK (${toSnakeCase(field.name)} >= ${field.min})`;
+                if (field.max !== null) column += ` CHECK (${toSnakeCase(field.name)} <= ${field.max})`;
+                columns.push(column);
+            });
+            if (CUSTOM_FIELD_TABLES.includes(tableName)) {
+                columns.push(`    ${toSnakeCase(CUSTOM_VALUES_FIELD)} JSONB NOT NULL DEFAULT '{}'`);
+            }
+            lines.push(`CREATE TABLE ${toSnakeCase(tableName)} (`, columns.join(',\n'), ');', '');
+            description.unique.forEach(fields => {
+                lines.push(toSQLUniqueIndex(tableName, fields), '');
+            });
+        });
+
+        // Schema version of the data, read by the remote adapter (remote.js) of new clients
+        lines.push(
+            'CREATE TABLE app_metadata (',
+            '    id SERIAL PRIMARY KEY,',
+            '    key TEXT NOT NULL UNIQUE,',
+            '    value TEXT',
+            ');',
+            '',
+            `INSERT INTO app_metadata (id, key, value) VALUES (1, ${toSQLLiteral(SCHEMA_VERSION_KEY)}, '${SCHEMA_VERSION}');`,
+            ''
+        );
+
+        tableNames.forEach(tableName => {
+            const items = getTable(tableName);
+            if (items.length === 0) return;
+
+            const customNames = describeTable(tableName).fields.filter(field => field.custom).map(field => field.name);
+            const fields = ['id', ...FIELDS[tableName].filter(field => !customNames.includes(field))];
+            if (CUSTOM_FIELD_TABLES.includes(tableName)) fields.push(CUSTOM_VALUES_FIELD);
+            const values = items.map(item => {
+                const customValues = {};
+                customNames.forEach(name => {
+                    customValues[name] = item[name] === undefined ? null : item[name];
+                });
+                const row = { ...item, [CUSTOM_VALUES_FIELD]: JSON.stringify(customValues) };
+                return `    (${fields.map(field => toSQLLiteral(row[field])).join(', ')})`;
+            });
+            lines.push(
+                `INSERT INTO ${toSnakeCase(tableName)} (${fields.map(toSnakeCase).join(', ')}) VALUES`,
+                values.join(',\n') + ';',
+                ''
+            );
+        });
+
+        tableNames.forEach(tableName => {
+            const sqlName = toSnakeCase(tableName);
+            lines.push(`SELECT setval(pg_get_serial_sequence('${sqlName}', 'id'), COALESCE(MAX(id), 0) + 1, false) FROM ${sqlName};`);
+        });
+
+        lines.push('', 'COMMIT;', '');
+        return lines.join('\n');
+    }
+
+    // Helper: Keys owned by the database (tables, schema version, history and backups)
+    function isDatabaseKey(key) {
+        return Object.values(TABLES).includes(key) ||
+            key === SCHEMA_VERSION_KEY ||
+            key === AUDIT_LOG_KEY ||
+            key === HISTORY_KEY ||
+            key.startsWith(BACKUP_KEY_PREFIX);
+    }
+
+    /**
+     * Copy all database keys to another storage adapter and switch to it.
+     * Existing database keys in the target are replaced. The choice is remembered
+     * in localStorage and used on the next load, unless a write failed: then the error
+     * is thrown and the current adapter stays in use.
+     */
+    async function migrateStorage(targetName, options) {
+        if (targetName === storage.name) {
+            throw new Error(`Data is already stored in ${targetName}`);
+        }
+
+        const target = Adapters.create(targetName, options);
+        await target.init();
+
+        target.keys().filter(isDatabaseKey).forEach(key => target.removeItem(key));
+        const keys = storage.keys().filter(isDatabaseKey);
+        try {
+            keys.forEach(key => target.setItem(key, storage.getItem(key)));
+            await target.flush();
+        } catch (error) {
+            // The saved preference is only changed once every write succeeded
+            throw new Error(`Could not copy the data to ${targetName}: ${error.message}. It is still stored in ${storage.name}.`);
+        }
+
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(STORAGE_PREFERENCE_KEY, targetName);
+        }
+        storage = target;
+        return { adapter: targetName, keys: keys.length };
+    }
+
+    // Helper: Run initDB, keeping the error for the UI instead of throwing
+    function startDB() {
+        try {
+            initDB();
+        } catch (error) {
+            initError = error;
+            console.error('Database initialization failed:', error.message);
+        }
+    }
+
+    /**
+     * Initialize database on load.
+     * Synchronous adapters are ready immediately; asynchronous ones (IndexedDB)
+     * resolve `ready` once their data is loaded. If the adapter cannot be opened,
+     * the database falls back to memory so the app still starts and shows the error.
+     */
+    let ready;
+    try {
+        const loading = storage.init();
+        if (loading && typeof loading.then === 'function') {
+            ready = loading.then(startDB, error => {
+                initError = new Error(`Could not open ${storage.name} storage: ${error.message}`);
+                console.error('Database initialization failed:', initError.message);
+                storage = Adapters.create('memory');
+            });
+        } else {
+            startDB();
+            ready = Promise.resolve();
+        }
+    } catch (error) {
+        initError = error;
+        console.error('Database initialization failed:', error.message);
+        storage = Adapters.create('memory');
+        ready = Promise.resolve();
+    }
+
+    // Public API
     return {
+        customFields,
+        manufacturers,
+        chemistries,
         cellModels,
+        moduleModels,
         batteryPacks,
+        batteryPackModules,
         cars,
         carBatteryPacks,
+        history,
         // Utility methods
         reset() {
             Object.values(TABLES).forEach(table => {
-                localStorage.removeItem(table);
+                storage.removeItem(table);
             });
+            storage.removeItem(SCHEMA_VERSION_KEY);
+            history.clear();
             initDB();
+            initError = null;
         },
         export() {
             return {
+                schemaVersion: SCHEMA_VERSION,
+                customFields: customFields.list(),
+                manufacturers: manufacturers.list(),
+                chemistries: chemistries.list(),
                 cellModels: cellModels.list(),
+                moduleModels: moduleModels.list(),
                 batteryPacks: batteryPacks.list(),
+                batteryPackModules: batteryPackModules.list(),
                 cars: cars.list(),
                 carBatteryPacks: carBatteryPacks.list()
             };
+        },
+        import(snapshot, options) {
+            return recordChange('import', () => importSnapshot(snapshot, options));
+        },
+        /**
+         * Run fn as one atomic write: all its writes are saved together, or none if it throws.
+         * options.action names the change in the history ('CSV import'; by default it is
+         * described by its first record)
+         */
+        transaction(fn, options = {}) {
+            return recordChange(options.action || 'transaction', () => transaction(fn));
+        },
+        tables() {
+            return Object.values(TABLES);
+        },
+        describe(tableName) {
+            return describeTable(tableName);
+        },
+        toSQL,
+        findDuplicates,
+        // Human-readable label of a record ("Tesla Model 3 Long Range 2019")
+        label(tableName, record) {
+            return recordLabel(tableName, record);
+        },
+        // Records changed by remove(id, { onDelete }), without deleting anything
+        previewDelete(tableName, id, options = {}) {
+            return planDelete(tableName, id, options.onDelete);
+        },
+        query(tableName, options) {
+            return runQuery(tableName, options);
+        },
+        schemaVersion: SCHEMA_VERSION,
+        get initError() {
+            return initError;
+        },
+        listBackups,
+        restoreBackup,
+        // Storage
+        ready,
+        get storageName() {
+            return storage.name;
+        },
+        migrateStorage,
+        flush() {
+            return storage.flush();
+        },
+        storageStatus() {
+            return storage.status ? storage.status() : null;
+        },
+        onStorageStatus(listener) {
+            if (storage.subscribe) storage.subscribe(listener);
         }
     };
 })();
 
 // Log initial state
-console.log('Database initialized:', DB.export());
+DB.ready.then(() => console.log('Database initialized:', DB.export()));
+
+// Allow use from Node.js (tests, scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DB;
+}
@@ -0,0 +1,390 @@
+/**
+ * importer.js - Flat Data Importer
+ *
+ * Imports the denormalized rows used by cars_data.json and cells_data.json
+ * into the normalized tables:
+ * - Cell rows: { manufacturer, model, chemistry, nominalVoltage, nominalCapacityMah }
+ * - Car rows:  { brand, model, trim, yearStart, yearEnd, totalCapacityKwh, cellManufacturer, cellModel }
+ *
+ * The chemistry text of cell rows is matched against the chemistries table (DB.chemistries.match()).
+ * Brands and cell manufacturers are matched against the manufacturers table by name or alias
+ * (DB.manufacturers.match()); unknown ones are created.
+ *
+ * Importing is done in two steps:
+ * - plan(rows) resolves every row against the current database without writing
+ * - commit(plan) creates the records marked as 'create' in the plan, all or none
+ *
+ * Deduplication keys (case-, accent- and whitespace-insensitive, same as the
+ * unique constraints of db.js where the table has one):
+ * - manufacturers:   matched manufacturer, or the name of a new one
+ * - cellModels:      manufacturer + model
+ * - batteryPacks:    totalCapacityKwh + cell model
+ * - cars:            manufacturer + model + trim + yearStart
+ * - carBatteryPacks: car + battery pack
+ */
+
+const Importer = (function() {
+    'use strict';
+
+    // Helper: Normalize a text value for key comparison ("Citroën" == "citroen ")
+    function normalizeText(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .trim()
+            .replace(/\s+/g, ' ')
+            .toLowerCase();
+    }
+
+    // Helper: Build a dedup key from several values
+    function makeKey(...values) {
+        return values.map(normalizeText).join('|');
+    }
+
+    // Helper: Convert empty strings to null and numeric strings to numbers
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const num = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+        return isNaN(num) ? null : num;
+    }
+
+    function toText(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        return text === '' ? null : text;
+    }
+
+    // Helper: Human-readable labels used in the import preview (brand = manufacturer name)
+    function carLabel(brand, car) {
+        const trim = car.trim ? ` (${car.trim})` : '';
+        return `${brand} ${car.model}${trim} ${car.yearStart || '?'}-${car.yearEnd || 'Present'}`;
+    }
+
+    function cellLabel(manufacturer, cell) {
+        return `${manufacturer} ${cell.model}`;
+    }
+
+    // Helper: Name of a stored manufacturer
+    function manufacturerName(id) {
+        const manufacturer = DB.manufacturers.get(id);
+        return manufacturer ? manufacturer.name : '#' + id;
+    }
+
+    function isCarRow(row) {
+        return row && row.brand !== undefined;
+    }
+
+    function isCellRow(row) {
+        return row && row.manufacturer !== undefined && row.brand === undefined;
+    }
+
+    /**
+     * Resolve flat rows against the current database.
+     * Cell rows are processed before car rows so that car rows can match
+     * cells declared in the same import.
+     */
+    function plan(rows) {
+        if (!Array.isArray(rows)) {
+            throw new Error('Invalid import file: expected a JSON array of rows');
+        }
+
+        const result = {
+            manufacturers: [],
+            cellModels: [],
+            batteryPacks: [],
+            cars: [],
+            carBatteryPacks: [],
+            warnings: [],
+            errors: []
+        };
+
+        // Index existing records by dedup key
+        const manufacturerIndex = new Map();
+        DB.manufacturers.list().forEach(manufacturer => {
+            const key = makeKey(manufacturer.name);
+            if (!manufacturerIndex.has(key)) {
+                manufacturerIndex.set(key, { action: 'match', key, id: manufacturer.id, data: { ...manufacturer }, label: manufacturer.name });
+            }
+        });
+
+        const cellIndex = new Map();
+        DB.cellModels.list().forEach(cell => {
+            const key = makeKey('id:' + cell.manufacturerId, cell.model);
+            if (!cellIndex.has(key)) {
+                cellIndex.set(key, { action: 'match', key, id: cell.id, data: cell, label: cellLabel(manufacturerName(cell.manufacturerId), cell) });
+            }
+        });
+
+        const packIndex = new Map();
+        DB.batteryPacks.list().forEach(pack => {
+            const key = makeKey(pack.totalCapacityKwh, pack.cellModelId ? 'id:' + pack.cellModelId : '');
+            if (!packIndex.has(key)) {
+                packIndex.set(key, { action: 'match', key, id: pack.id, data: pack, label: pack.name });
+            }
+        });
+
+        const carIndex = new Map();
+        DB.cars.list().forEach(car => {
+            const key = makeKey('id:' + car.manufacturerId, car.model, car.trim, car.yearStart);
+            if (!carIndex.has(key)) {
+                carIndex.set(key, { action: 'match', key, id: car.id, data: car, label: carLabel(manufacturerName(car.manufacturerId), car) });
+            }
+        });
+
+        const relationIndex = new Map();
+        DB.carBatteryPacks.list().forEach(rel => {
+            const key = makeKey('id:' + rel.carId, 'id:' + rel.batteryPackId);
+            if (!relationIndex.has(key)) {
+                relationIndex.set(key, { action: 'match', key, id: rel.id, data: rel, label: null });
+            }
+        });
+
+        // Helper: Register an entry in the plan the first time its key is seen
+        function resolve(tableName, index, key, data, label) {
+            let entry = index.get(key);
+            if (!entry) {
+                entry = { action: 'create', key, id: null, data, label };
+                index.set(key, entry);
+            } else if (!entry.label) {
+                entry.label = label;
+            }
+            if (!result[tableName].includes(entry)) {
+                result[tableName].push(entry);
+            }
+            return entry;
+        }
+
+        // FK values of planned entries are either existing ids or keys of planned entries
+        function refOf(entry) {
+            return entry.action === 'match' ? 'id:' + entry.id : 'new:' + entry.key;
+        }
+
+        // Helper: Plan entry of the manufacturer of a brand (type 'vehicle') or cell maker (type 'cell');
+        // its type becomes 'both' when it is used for the other kind too
+        function resolveManufacturer(name, type) {
+            const existing = DB.manufacturers.match(name);
+            const entry = resolve('manufacturers', manufacturerIndex, makeKey(existing ? existing.name : name), {
+                name,
+                aliases: [],
+                type,
+                logo: null
+            }, name);
+            if (entry.data.type !== type && entry.data.type !== 'both') {
+                entry.data.type = 'both';
+            }
+            return entry;
+        }
+
+        const cellRows = [];
+        const carRows = [];
+        rows.forEach((row, i) => {
+            const rowNumber = i + 1;
+            if (isCarRow(row)) {
+                carRows.push({ row, rowNumber });
+            } else if (isCellRow(row)) {
+                cellRows.push({ row, rowNumber });
+            } else {
+                result.errors.push(`Row ${rowNumber}: not a car row (brand) nor a cell row (manufacturer)`);
+            }
+        });
+
+        cellRows.forEach(({ row, rowNumber }) => {
+            const manufacturer = toText(row.manufacturer);
+            const model = toText(row.model);
+            if (!manufacturer || !model) {
+                result.errors.push(`Row ${rowNumber}: cell row needs both manufacturer and model`);
+                return;
+            }
+            const chemistryText = toText(row.chemistry);
+            const chemistry = chemistryText ? DB.chemistries.match(chemistryText) : null;
+            if (chemistryText && !chemistry) {
+                result.warnings.push(`Row ${rowNumber}: unknown chemistry "${chemistryText}", cell will have no chemistry (add it in the Chemistries tab first)`);
+            }
+            const manufacturerEntry = resolveManufacturer(manufacturer, 'cell');
+            const manufacturerRef = refOf(manufacturerEntry);
+            resolve('cellModels', cellIndex, makeKey(manufacturerRef, model), {
+                manufacturerId: manufacturerRef,
+                model,
+                chemistryId: chemistry ? chemistry.id : null,
+                nominalVoltage: toNumber(row.nominalVoltage),
+                nominalCapacityMah: toNumber(row.nominalCapacityMah)
+            }, cellLabel(manufacturerEntry.label, { model }));
+        });
+
+        carRows.forEach(({ row, rowNumber }) => {
+            const brand = toText(row.brand);
+            const model = toText(row.model);
+            if (!brand || !model) {
+                result.errors.push(`Row ${rowNumber}: car row needs both brand and model`);
+                return;
+            }
+
+            const trim = toText(row.trim);
+            const yearStart = toNumber(row.yearStart);
+            const yearEnd = toNumber(row.yearEnd);
+            const capacity = toNumber(row.totalCapacityKwh);
+            const cellManufacturer = toText(row.cellManufacturer);
+            const cellModelName = toText(row.cellModel);
+
+            // Cell model (optional)
+            let cellEntry = null;
+            if (cellManufacturer && cellModelName) {
+                const manufacturerEntry = resolveManufacturer(cellManufacturer, 'cell');
+                const manufacturerRef = refOf(manufacturerEntry);
+                cellEntry = resolve('cellModels', cellIndex, makeKey(manufacturerRef, cellModelName), {
+                    manufacturerId: manufacturerRef,
+                    model: cellModelName,
+                    chemistryId: null,
+                    nominalVoltage: null,
+                    nominalCapacityMah: null
+                }, cellLabel(manufacturerEntry.label, { model: cellModelName }));
+            } else if (cellManufacturer || cellModelName) {
+                result.warnings.push(`Row ${rowNumber}: incomplete cell reference "${[cellManufacturer, cellModelName].filter(Boolean).join(' ')}", pack will have no cell model`);
+            }
+
+            // Battery pack (only when the row declares a capacity)
+            let packEntry = null;
+            if (capacity !== null) {
+                const cellRef = cellEntry ? refOf(cellEntry) : '';
+                const name = `${brand} ${model} ${capacity}kWh` + (cellModelName ? ` (${cellModelName})` : '');
+                packEntry = resolve('batteryPacks', packIndex, makeKey(capacity, cellRef), {
+                    name,
+                    totalCapacityKwh: capacity,
+                    seriesCount: null,
+                    parallelCount: null,
+                    cellCount: null,
+                    cellModelId: cellRef || null
+                }, name);
+            } else {
+                result.warnings.push(`Row ${rowNumber}: no totalCapacityKwh, car will not be linked to a battery pack`);
+            }
+
+            const brandEntry = resolveManufacturer(brand, 'vehicle');
+            const brandRef = refOf(brandEntry);
+            const carData = { manufacturerId: brandRef, model, trim, yearStart, yearEnd };
+            const carEntry = resolve('cars', carIndex, makeKey(brandRef, model, trim, yearStart), carData, carLabel(brandEntry.label, carData));
+
+            if (packEntry) {
+                const carRef = refOf(carEntry);
+                const packRef = refOf(packEntry);
+                resolve('carBatteryPacks', relationIndex, makeKey(carRef, packRef), {
+                    carId: carRef,
+                    batteryPackId: packRef
+                }, `${carEntry.label} ↔ ${packEntry.label}`);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Summarize a plan as { tableName: { create, match } } counts
+     */
+    function summarize(importPlan) {
+        const summary = {};
+        ['manufacturers', 'cellModels', 'batteryPacks', 'cars', 'carBatteryPacks'].forEach(tableName => {
+            const entries = importPlan[tableName];
+            summary[tableName] = {
+                create: entries.filter(entry => entry.action === 'create').length,
+                match: entries.filter(entry => entry.action === 'match').length
+            };
+        });
+        return summary;
+    }
+
+    /**
+     * Create every 'create' entry of a plan, resolving references between
+     * planned records. Returns the created counts per table.
+     * Runs as one transaction: if a record cannot be created, nothing is.
+     */
+    function commit(importPlan) {
+        if (importPlan.errors.length > 0) {
+            throw new Error('Cannot import: the file contains errors');
+        }
+        return DB.transaction(() => createPlanned(importPlan), { action: 'flat data import' });
+    }
+
+    // Helper: Write the records of a plan (see commit())
+    function createPlanned(importPlan) {
+        // Map of plan references ('id:3' or 'new:<key>') to real ids, per table
+        const ids = {
+            manufacturers: new Map(),
+            cellModels: new Map(),
+            batteryPacks: new Map(),
+            cars: new Map()
+        };
+
+        function lookup(tableName, ref) {
+            if (!ref) return null;
+            if (ref.startsWith('id:')) return parseInt(ref.slice(3));
+            const id = ids[tableName].get(ref);
+            if (id === undefined) throw new Error(`Unresolved reference ${ref} in ${tableName}`);
+            return id;
+        }
+
+        const created = { manufacturers: 0, cellModels: 0, batteryPacks: 0, cars: 0, carBatteryPacks: 0 };
+
+        // Matched manufacturers may have to become 'both' (a cell maker now used as car brand)
+        importPlan.manufacturers.forEach(entry => {
+            if (entry.action === 'match') {
+                if (DB.manufacturers.get(entry.id).type !== entry.data.type) {
+                    DB.manufacturers.update(entry.id, { type: entry.data.type });
+                }
+                return;
+            }
+            const record = DB.manufacturers.create(entry.data);
+            ids.manufacturers.set('new:' + entry.key, record.id);
+            created.manufacturers++;
+        });
+
+        importPlan.cellModels.forEach(entry => {
+            if (entry.action !== 'create') return;
+            const record = DB.cellModels.create({
+                ...entry.data,
+                manufacturerId: lookup('manufacturers', entry.data.manufacturerId)
+            });
+            ids.cellModels.set('new:' + entry.key, record.id);
+            created.cellModels++;
+        });
+
+        importPlan.batteryPacks.forEach(entry => {
+            if (entry.action !== 'create') return;
+            const record = DB.batteryPacks.create({
+                ...entry.data,
+                cellModelId: lookup('cellModels', entry.data.cellModelId)
+            });
+            ids.batteryPacks.set('new:' + entry.key, record.id);
+            created.batteryPacks++;
+        });
+
+        importPlan.cars.forEach(entry => {
+            if (entry.action !== 'create') return;
+            const record = DB.cars.create({
+                ...entry.data,
+                manufacturerId: lookup('manufacturers', entry.data.manufacturerId)
+            });
+            ids.cars.set('new:' + entry.key, record.id);
+            created.cars++;
+        });
+
+        importPlan.carBatteryPacks.forEach(entry => {
+            if (entry.action !== 'create') return;
+            DB.carBatteryPacks.create({
+                carId: lookup('cars', entry.data.carId),
+                batteryPackId: lookup('batteryPacks', entry.data.batteryPackId)
+            });
+            created.carBatteryPacks++;
+        });
+
+        return created;
+    }
+
+    // Public API
+    return {
+        plan,
+        summarize,
+        commit,
+        normalizeText
+    };
+})();
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+/**
+ * mock-postgrest.js - Local PostgREST Mock Server
+ *
+ * A small, dependency-free stand-in for a Supabase/PostgREST API, used to try the
+ * remote backend (remote.js) without a live project. Data is kept in memory.
+ *
+ * Usage:
+ *   node mock-postgrest.js [--port 3001] [--key secret] [--data snapshot.json] [--schema script.sql]
+ *
+ * Supported subset of PostgREST:
+ * - GET    /table?col=eq.value&order=col.asc|desc&select=*
+ * - POST   /table           (object or array; id assigned when missing, 409 on duplicate id)
+ * - PATCH  /table?col=eq.value
+ * - DELETE /table?col=eq.value
+ * - Filters: eq, neq, gt, gte, lt, lte, is.null
+ * - "Prefer: return=representation" returns the affected rows
+ * - When --key is given, requests must send it as "apikey" header (401 otherwise)
+ *
+ * Tables and columns are those of the CREATE TABLE statements of DB.toSQL() (or of --schema):
+ * unknown tables answer 404 and unknown columns 400, like PostgREST.
+ * Constraints other than the primary key are not enforced.
+ * --data loads a DB.export() snapshot (camelCase tables/fields are converted to snake_case).
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Helper: Read "--name value" command line options
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+// Helper: "cellModels" -> "cell_models"
+function toSnakeCase(name) {
+    return name.replace(/[A-Z]/g, char => '_' + char.toLowerCase());
+}
+
+/**
+ * Columns of the CREATE TABLE statements of a SQL script: { table_name: ['id', ...] }
+ */
+function schemaFromSQL(sql) {
+    const schema = {};
+    const statement = /CREATE TABLE (\w+) \(([\s\S]*?)\n\);/g;
+    let match;
+    while ((match = statement.exec(sql)) !== null) {
+        schema[match[1]] = match[2].split(',\n')
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(column => !['UNIQUE', 'PRIMARY', 'FOREIGN', 'CHECK', 'CONSTRAINT'].includes(column));
+    }
+    return schema;
+}
+
+/**
+ * Schema generated by DB.toSQL(). db.js is run in its own context (memory storage)
+ * so it does not share the module cache with callers that load db.js themselves.
+ */
+function defaultSchema() {
+    const source = ['storage.js', 'db.js']
+        .map(file => fs.readFileSync(path.join(__dirname, file), 'utf8'))
+        .join('\n') + '\nDB.toSQL();';
+    const quiet = { log() {}, warn() {}, error() {} };
+    return schemaFromSQL(vm.runInNewContext(source, {
+        console: quiet,
+        DB_CONFIG: { storage: 'memory' },
+        setTimeout,
+        clearTimeout
+    }, { filename: 'db.js' }));
+}
+
+/**
+ * Create the mock server (not listening yet).
+ * Options: apiKey, tables ({ table_name: [rows] }), schema ({ table_name: [columns] }, defaults to DB.toSQL())
+ */
+function createServer(options = {}) {
+    const schema = options.schema || defaultSchema();
+    const tables = new Map(Object.keys(schema).map(name => [name, []]));
+    Object.entries(options.tables || {}).forEach(([name, rows]) => {
+        if (tables.has(name)) tables.set(name, rows);
+    });
+
+    function getTable(name) {
+        if (!tables.has(name)) {
+            throw Object.assign(new Error(`relation "public.${name}" does not exist`), { status: 404 });
+        }
+        return tables.get(name);
+    }
+
+    // Helper: Throw like PostgREST when a column is not in the schema
+    function checkColumns(tableName, columns) {
+        const unknown = columns.find(column => !schema[tableName].includes(column));
+        if (unknown !== undefined) {
+            throw Object.assign(new Error(`Could not find the '${unknown}' column of '${tableName}' in the schema cache`), { status: 400 });
+        }
+    }
+
+    // Helper: Compare a stored value with a filter operand (query strings are text)
+    function compare(value, operand) {
+        if (typeof value === 'number') return value - Number(operand);
+        return String(value).localeCompare(operand);
+    }
+
+    const OPERATORS = {
+        eq: (value, operand) => value !== null && compare(value, operand) === 0,
+        neq: (value, operand) => value === null || compare(value, operand) !== 0,
+        gt: (value, operand) => value !== null && compare(value, operand) > 0,
+        gte: (value, operand) => value !== null && compare(value, operand) >= 0,
+        lt: (value, operand) => value !== null && compare(value, operand) < 0,
+        lte: (value, operand) => value !== null && compare(value, operand) <= 0,
+        is: (value, operand) => operand === 'null' ? value === null || value === undefined : String(value) === operand
+    };
+
+    // Helper: Build a row predicate from the query string filters
+    function buildFilter(tableName, params) {
+        const filters = [];
+        params.forEach((expression, column) => {
+            if (column === 'select' || column === 'order') return;
+            checkColumns(tableName, [column]);
+            const dot = expression.indexOf('.');
+            const operator = OPERATORS[expression.slice(0, dot)];
+            if (dot === -1 || !operator) {
+                throw Object.assign(new Error(`Unsupported filter "${column}=${expression}"`), { status: 400 });
+            }
+            const operand = expression.slice(dot + 1);
+            filters.push(row => operator(row[column] === undefined ? null : row[column], operand));
+        });
+        return row => filters.every(filter => filter(row));
+    }
+
+    // Helper: Sort rows by "col.asc,col2.desc"
+    function sortRows(rows, order) {
+        if (!order) return rows;
+        const keys = order.split(',').map(part => {
+            const [column, direction] = part.split('.');
+            return { column, sign: direction === 'desc' ? -1 : 1 };
+        });
+        return rows.slice().sort((a, b) => {
+            for (const { column, sign } of keys) {
+                if (a[column] === b[column]) continue;
+                if (a[column] === null || a[column] === undefined) return sign;
+                if (b[column] === null || b[column] === undefined) return -sign;
+                return (a[column] < b[column] ? -1 : 1) * sign;
+            }
+            return 0;
+        });
+    }
+
+    function handle(method, tableName, params, body) {
+        const table = getTable(tableName);
+        const matches = buildFilter(tableName, params);
+
+        switch (method) {
+            case 'GET':
+                return { status: 200, rows: sortRows(table.filter(matches), params.get('order')) };
+
+            case 'POST': {
+                const records = Array.isArray(body) ? body : [body];
+                let nextId = table.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+                const created = records.map(record => {
+                    checkColumns(tableName, Object.keys(record));
+                    const row = { ...record, id: record.id !== undefined && record.id !== null ? record.id : nextId++ };
+                    if (table.some(existing => existing.id === row.id)) {
+                        throw Object.assign(new Error(`duplicate key value violates unique constraint "${tableName}_pkey"`), { status: 409 });
+                    }
+                    nextId = Math.max(nextId, row.id + 1);
+                    return row;
+                });
+                table.push(...created);
+                return { status: 201, rows: created };
+            }
+
+            case 'PATCH': {
+                checkColumns(tableName, Object.keys(body));
+                const updated = [];
+                table.forEach((row, index) => {
+                    if (!matches(row)) return;
+                    table[index] = { ...row, ...body, id: row.id };
+                    updated.push(table[index]);
+                });
+                return { status: 200, rows: updated };
+            }
+
+            case 'DELETE': {
+                const removed = table.filter(matches);
+                tables.set(tableName, table.filter(row => !matches(row)));
+                return { status: 200, rows: removed };
+            }
+
+            default:
+                throw Object.assign(new Error(`Method ${method} not allowed`), { status: 405 });
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        const headers = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'apikey, authorization, content-type, prefer, accept',
+            'Content-Type': 'application/json'
+        };
+
+        const send = (status, data) => {
+            res.writeHead(status, headers);
+            res.end(data === undefined ? '' : JSON.stringify(data));
+        };
+
+        if (req.method === 'OPTIONS') {
+            send(204);
+            return;
+        }
+        if (options.apiKey && req.headers['apikey'] !== options.apiKey) {
+            send(401, { message: 'Invalid API key' });
+            return;
+        }
+
+        let text = '';
+        req.on('data', chunk => {
+            text += chunk;
+        });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const tableName = url.pathname.replace(/^\/+|\/+$/g, '');
+            try {
+                if (!tableName || tableName.includes('/')) {
+                    throw Object.assign(new Error(`Unknown path ${url.pathname}`), { status: 404 });
+                }
+                const body = text ? JSON.parse(text) : {};
+                const result = handle(req.method, tableName, url.searchParams, body);
+                const representation = req.method === 'GET' || /return=representation/.test(req.headers['prefer'] || '');
+                send(representation ? result.status : 204, representation ? result.rows : undefined);
+            } catch (error) {
+                send(error.status || 400, { message: error.message });
+            }
+        });
+    });
+
+    server.tables = tables;
+    return server;
+}
+
+// Helper: Convert a DB.export() snapshot to server tables (custom field values go to custom_values and the
+// schema version to app_metadata, as remote.js does)
+function snapshotToTables(snapshot) {
+    const tables = {};
+    const customFields = Array.isArray(snapshot.customFields) ? snapshot.customFields : [];
+    Object.entries(snapshot).forEach(([tableName, rows]) => {
+        if (!Array.isArray(rows)) return;
+        const customNames = customFields.filter(field => field.tableName === tableName).map(field => field.name);
+        const hasCustomValues = ['cars', 'batteryPacks', 'cellModels'].includes(tableName);
+        tables[toSnakeCase(tableName)] = rows.map(row => {
+            const converted = hasCustomValues ? { custom_values: {} } : {};
+            Object.entries(row).forEach(([key, value]) => {
+                if (customNames.includes(key)) converted.custom_values[key] = value;
+                else converted[toSnakeCase(key)] = value;
+            });
+            return converted;
+        });
+    });
+    if (snapshot.schemaVersion !== undefined) {
+        tables.app_metadata = [{ id: 1, key: 'schemaVersion', value: String(snapshot.schemaVersion) }];
+    }
+    return tables;
+}
+
+if (require.main === module) {
+    const port = parseInt(readOption('port', process.env.PORT || '3001'));
+    const dataFile = readOption('data', null);
+    const schemaFile = readOption('schema', null);
+    const server = createServer({
+        apiKey: readOption('key', null),
+        tables: dataFile ? snapshotToTables(JSON.parse(fs.readFileSync(dataFile, 'utf8'))) : {},
+        schema: schemaFile ? schemaFromSQL(fs.readFileSync(schemaFile, 'utf8')) : null
+    });
+    server.listen(port, () => {
+        console.log(`Mock PostgREST server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createServer, snapshotToTables, schemaFromSQL };
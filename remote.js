@@ -0,0 +1,489 @@
+/**
+ * remote.js - Supabase/PostgREST Remote Backend
+ *
+ * Talks to a PostgREST-compatible HTTP API (Supabase, plain PostgREST, or the local
+ * mock-postgrest.js server) using the SQL schema documented in README.md:
+ * - Tables and columns are snake_case on the server (cell_models.nominal_voltage)
+ *   and camelCase in the app (cellModels.nominalVoltage)
+ * - list/get/create/update/remove map to GET, GET ?id=eq.N, POST, PATCH ?id=eq.N, DELETE ?id=eq.N
+ *
+ * createClient(options) is the plain HTTP client.
+ * The 'remote' storage adapter (registered in StorageAdapters) keeps the db.js API
+ * synchronous: tables are loaded at startup, every saved table is diffed against the
+ * previous version and the changed rows are queued as HTTP operations. The queue and a
+ * copy of the data are kept in localStorage so the app keeps working while the server
+ * is unreachable; queued operations are sent when it comes back.
+ * Custom field values are sent in the custom_values JSON column: PostgREST rejects
+ * columns that do not exist, and users add custom fields without changing the tables.
+ * The schema version is stored on the server (app_metadata table) so a new client knows the
+ * shape of the data it loads; backups and history stay in the local copy.
+ */
+
+const Remote = (function() {
+    'use strict';
+
+    const Adapters = typeof StorageAdapters !== 'undefined' ? StorageAdapters : require('./storage.js');
+
+    // App table name -> server table name, in dependency order (referenced tables first)
+    const DEFAULT_TABLES = {
+        customFields: 'custom_fields',
+        manufacturers: 'manufacturers',
+        chemistries: 'chemistries',
+        cellModels: 'cell_models',
+        moduleModels: 'module_models',
+        batteryPacks: 'battery_packs',
+        batteryPackModules: 'battery_pack_modules',
+        cars: 'cars',
+        carBatteryPacks: 'car_battery_packs'
+    };
+
+    // Tables with custom fields, and the field holding their values on the server (see db.js toSQL)
+    const CUSTOM_FIELD_TABLES = ['cars', 'batteryPacks', 'cellModels'];
+    const CUSTOM_VALUES_FIELD = 'customValues';
+
+    // Server table holding { id, key, value } rows, and the keys stored there (id = position + 1)
+    const METADATA_TABLE = 'app_metadata';
+    const METADATA_KEYS = ['schemaVersion'];
+    const METADATA = '$metadata';   // Table name of the metadata operations in the queue
+
+    // Prefix of the keys used for the offline copy and the queue
+    const LOCAL_PREFIX = 'remote:';
+    const QUEUE_KEY = 'queue';
+
+    // Delay before retrying to send queued operations while offline (ms)
+    const RETRY_DELAY = 30000;
+
+    // Helper: "nominalCapacityMah" -> "nominal_capacity_mah"
+    function toSnakeCase(name) {
+        return name.replace(/[A-Z]/g, char => '_' + char.toLowerCase());
+    }
+
+    // Helper: "nominal_capacity_mah" -> "nominalCapacityMah"
+    function toCamelCase(name) {
+        return name.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+    }
+
+    // Helper: Convert the keys of a row
+    function mapKeys(row, convert) {
+        const mapped = {};
+        Object.entries(row).forEach(([key, value]) => {
+            mapped[convert(key)] = value;
+        });
+        return mapped;
+    }
+
+    /**
+     * PostgREST HTTP client.
+     * Options: url (API root, e.g. https://xyz.supabase.co/rest/v1), apiKey, fetch (defaults to the global one)
+     * Errors have a `status` (HTTP status) and/or `offline: true` when the request can be retried:
+     * the server could not be reached, answered with a server error (5xx) or with a body that is
+     * not JSON (e.g. the HTML error page of a proxy).
+     */
+    function createClient(options = {}) {
+        if (!options.url) throw new Error('Remote backend URL is required');
+        const baseUrl = options.url.replace(/\/+$/, '');
+        const fetchFn = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+        if (!fetchFn) throw new Error('fetch is not available in this environment');
+
+        // Helper: Send a request and parse the JSON response
+        async function request(method, path, body) {
+            const headers = {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'Prefer': 'return=representation'
+            };
+            if (options.apiKey) {
+                headers['apikey'] = options.apiKey;
+                headers['Authorization'] = `Bearer ${options.apiKey}`;
+            }
+
+            let response;
+            let text;
+            try {
+                response = await fetchFn(baseUrl + path, {
+                    method,
+                    headers,
+                    body: body === undefined ? undefined : JSON.stringify(body)
+                });
+                text = await response.text();
+            } catch (error) {
+                const offline = new Error(`Remote backend unreachable: ${error.message}`);
+                offline.offline = true;
+                throw offline;
+            }
+
+            let data = null;
+            let parsed = true;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (error) {
+                parsed = false;
+            }
+            if (!response.ok || !parsed) {
+                const message = !parsed ? 'response is not JSON' : data && (data.message || data.error) || response.statusText;
+                const error = new Error(`${method} ${path} failed (${response.status}): ${message}`);
+                error.status = response.status;
+                // Not an answer from PostgREST (gateway error, proxy page): send again later
+                if (response.status >= 500 || !parsed) error.offline = true;
+                throw error;
+            }
+            return data;
+        }
+
+        /**
+         * Table accessor: from('cars') or from('carBatteryPacks') (converted to car_battery_packs)
+         */
+        function from(tableName) {
+            const path = '/' + toSnakeCase(tableName);
+            const fromRow = row => mapKeys(row, toCamelCase);
+            const toRow = data => mapKeys(data, toSnakeCase);
+
+            return {
+                async list() {
+                    const rows = await request('GET', `${path}?select=*&order=id.asc`);
+                    return rows.map(fromRow);
+                },
+                async get(id) {
+                    const rows = await request('GET', `${path}?id=eq.${encodeURIComponent(id)}&select=*`);
+                    return rows.length > 0 ? fromRow(rows[0]) : undefined;
+                },
+                async create(data) {
+                    const rows = await request('POST', path, toRow(data));
+                    return fromRow(rows[0]);
+                },
+                async update(id, data) {
+                    const rows = await request('PATCH', `${path}?id=eq.${encodeURIComponent(id)}`, toRow(data));
+                    if (rows.length === 0) throw new Error(`Record with id ${id} not found in ${tableName}`);
+                    return fromRow(rows[0]);
+                },
+                async remove(id) {
+                    await request('DELETE', `${path}?id=eq.${encodeURIComponent(id)}`);
+                    return true;
+                }
+            };
+        }
+
+        return { from };
+    }
+
+    /**
+     * Remote storage adapter.
+     * Options: url, apiKey, fetch, tables ({ appName: serverName } in dependency order),
+     * metadataTable (server table of the schema version, defaults to app_metadata),
+     * local (adapter holding the offline copy and queue, defaults to localStorage)
+     */
+    function createRemoteAdapter(options = {}) {
+        const client = createClient(options);
+        const tables = options.tables || DEFAULT_TABLES;
+        const tableNames = Object.keys(tables);
+        const metadataTable = options.metadataTable || METADATA_TABLE;
+        const local = options.local ||
+            Adapters.create(typeof localStorage !== 'undefined' ? 'localStorage' : 'memory');
+
+        const cache = new Map();
+        let queue = [];           // [{ table, id, type: 'insert' | 'update' | 'delete', row }]
+        let online = true;
+        let flushing = null;
+        let sending = null;       // Operation currently sent to the server
+        let retryTimer = null;
+        const errors = [];        // Operations rejected by the server
+        const listeners = [];
+
+        // Helper: Offline copy and queue are namespaced in the local adapter
+        function readLocal(key) {
+            return local.getItem(LOCAL_PREFIX + key);
+        }
+
+        function writeLocal(key, value) {
+            local.setItem(LOCAL_PREFIX + key, value);
+        }
+
+        function saveQueue() {
+            writeLocal(QUEUE_KEY, JSON.stringify(queue));
+        }
+
+        // Helper: Metadata keys as server rows
+        function metadataRows() {
+            return METADATA_KEYS
+                .filter(key => cache.has(key))
+                .map(key => ({ id: METADATA_KEYS.indexOf(key) + 1, key, value: cache.get(key) }));
+        }
+
+        // Helper: Names of the custom fields of a table, from the customFields table
+        function customFieldNames(table) {
+            const customFields = cache.has('customFields') ? JSON.parse(cache.get('customFields')) : [];
+            return customFields.filter(field => field.tableName === table).map(field => field.name);
+        }
+
+        // Helper: App record -> server row, custom field values moved to customValues
+        function toServerRow(table, record) {
+            if (!CUSTOM_FIELD_TABLES.includes(table)) return record;
+            const names = customFieldNames(table);
+            const row = { [CUSTOM_VALUES_FIELD]: {} };
+            Object.entries(record).forEach(([key, value]) => {
+                if (names.includes(key)) row[CUSTOM_VALUES_FIELD][key] = value;
+                else row[key] = value;
+            });
+            return row;
+        }
+
+        // Helper: Server row -> app record, customValues spread back into the record
+        function fromServerRow(table, row) {
+            if (!CUSTOM_FIELD_TABLES.includes(table)) return row;
+            const { [CUSTOM_VALUES_FIELD]: customValues, ...record } = row;
+            return { ...record, ...customValues };
+        }
+
+        function status() {
+            return {
+                adapter: 'remote',
+                url: options.url,
+                online,
+                pending: queue.length,
+                errors: errors.slice()
+            };
+        }
+
+        function notify() {
+            const current = status();
+            listeners.forEach(listener => listener(current));
+        }
+
+        /**
+         * Queue an operation, merging it with a queued operation on the same row
+         * so the queue only holds the net change per row.
+         */
+        function enqueue(table, id, type, row) {
+            const index = queue.findIndex(op => op !== sending && op.table === table && op.id === id);
+            if (index === -1) {
+                queue.push({ table, id, type, row });
+                return;
+            }
+
+            const previous = queue[index];
+            if (previous.type === 'insert' && type === 'delete') {
+                queue.splice(index, 1); // Never reached the server
+            } else if (previous.type === 'insert') {
+                queue[index] = { table, id, type: 'insert', row };
+            } else if (previous.type === 'delete' && type === 'insert') {
+                queue[index] = { table, id, type: 'update', row };
+            } else {
+                queue[index] = { table, id, type, row };
+            }
+        }
+
+        /**
+         * Diff two versions of a table and queue the row changes
+         */
+        function queueChanges(table, oldRows, newRows) {
+            const oldById = new Map(oldRows.map(row => [row.id, row]));
+            const newById = new Map(newRows.map(row => [row.id, row]));
+
+            newRows.forEach(row => {
+                const previous = oldById.get(row.id);
+                if (!previous) {
+                    enqueue(table, row.id, 'insert', row);
+                } else if (JSON.stringify(previous) !== JSON.stringify(row)) {
+                    enqueue(table, row.id, 'update', row);
+                }
+            });
+            oldRows.forEach(row => {
+                if (!newById.has(row.id)) enqueue(table, row.id, 'delete', null);
+            });
+        }
+
+        // Helper: Send order that keeps foreign keys valid on the server:
+        // inserts (referenced tables first), updates, then deletes (referencing tables first);
+        // metadata comes after the tables it describes
+        function sendOrder(op) {
+            const position = op.table === METADATA ? tableNames.length : tableNames.indexOf(op.table);
+            if (op.type === 'insert') return position;
+            if (op.type === 'update') return tableNames.length + position;
+            return 3 * tableNames.length - position;
+        }
+
+        async function send(op) {
+            const api = client.from(op.table === METADATA ? metadataTable : tables[op.table]);
+            if (op.type === 'insert') return api.create(toServerRow(op.table, op.row));
+            if (op.type === 'update') return api.update(op.id, toServerRow(op.table, op.row));
+            return api.remove(op.id);
+        }
+
+        function scheduleRetry() {
+            if (retryTimer) return;
+            retryTimer = setTimeout(() => {
+                retryTimer = null;
+                flush();
+            }, RETRY_DELAY);
+            if (retryTimer.unref) retryTimer.unref(); // Do not keep Node.js processes alive
+        }
+
+        /**
+         * Send queued operations one by one. Stops (and retries later) when the server
+         * is unreachable; operations rejected by the server are dropped and reported.
+         */
+        function flush() {
+            if (flushing) return flushing;
+
+            flushing = (async () => {
+                while (queue.length > 0) {
+                    const op = queue.slice().sort((a, b) => sendOrder(a) - sendOrder(b))[0];
+                    sending = op;
+                    try {
+                        await send(op);
+                        online = true;
+                    } catch (error) {
+                        if (error.offline) {
+                            online = false;
+                            scheduleRetry();
+                            break;
+                        }
+                        errors.push({ ...op, message: error.message });
+                        console.error('Remote operation rejected:', error.message);
+                    } finally {
+                        sending = null;
+                    }
+                    queue.splice(queue.indexOf(op), 1);
+                    saveQueue();
+                    notify();
+                }
+            })().finally(() => {
+                flushing = null;
+                notify();
+            });
+
+            return flushing;
+        }
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', () => flush());
+        }
+
+        return {
+            name: 'remote',
+
+            /**
+             * Send pending operations, then load every table from the server.
+             * Falls back to the offline copy when the server is unreachable.
+             */
+            async init() {
+                await local.init();
+                queue = JSON.parse(readLocal(QUEUE_KEY) || '[]');
+
+                // Offline copy: tables, schema version, and the keys that only live locally (backups, history)
+                local.keys()
+                    .filter(key => key.startsWith(LOCAL_PREFIX) && key !== LOCAL_PREFIX + QUEUE_KEY)
+                    .forEach(key => cache.set(key.slice(LOCAL_PREFIX.length), local.getItem(key)));
+
+                await flush();
+
+                let remoteTables = null;
+                let remoteMetadata = null;
+                if (online) {
+                    try {
+                        remoteTables = await Promise.all(tableNames.map(table => client.from(tables[table]).list()));
+                        remoteMetadata = await client.from(metadataTable).list();
+                    } catch (error) {
+                        if (!error.offline) throw error;
+                        online = false;
+                        scheduleRetry();
+                    }
+                }
+                if (!online) {
+                    if (!cache.has(tableNames[0])) {
+                        throw new Error(`Remote backend ${options.url} is unreachable and no offline copy is available`);
+                    }
+                    console.warn('Remote backend unreachable, working offline on the local copy');
+                    notify();
+                    return;
+                }
+
+                // An empty backend is left without tables so db.js loads the initial data into it
+                const empty = remoteTables.every(rows => rows.length === 0);
+                tableNames.forEach((table, i) => {
+                    if (empty) {
+                        cache.delete(table);
+                        local.removeItem(LOCAL_PREFIX + table);
+                    } else {
+                        const value = JSON.stringify(remoteTables[i].map(row => fromServerRow(table, row)));
+                        cache.set(table, value);
+                        writeLocal(table, value);
+                    }
+                });
+                // The schema version of the server data replaces the local one (db.js migrates from it).
+                // Without a version on the server (data sent by older clients) the local one is kept.
+                METADATA_KEYS.forEach(key => {
+                    const row = empty ? null : remoteMetadata.find(item => item.key === key);
+                    if (row) {
+                        cache.set(key, String(row.value));
+                        writeLocal(key, String(row.value));
+                    } else if (empty) {
+                        cache.delete(key);
+                        local.removeItem(LOCAL_PREFIX + key);
+                    }
+                });
+                notify();
+            },
+            getItem(key) {
+                return cache.has(key) ? cache.get(key) : null;
+            },
+            setItem(key, value) {
+                value = String(value);
+                if (tables[key]) {
+                    const previous = cache.has(key) ? JSON.parse(cache.get(key)) : [];
+                    queueChanges(key, previous, JSON.parse(value));
+                    saveQueue();
+                    flush();
+                }
+                const previousMetadata = metadataRows();
+                cache.set(key, value);
+                writeLocal(key, value);
+                if (METADATA_KEYS.includes(key)) {
+                    queueChanges(METADATA, previousMetadata, metadataRows());
+                    saveQueue();
+                    flush();
+                }
+            },
+            removeItem(key) {
+                if (tables[key] && cache.has(key)) {
+                    queueChanges(key, JSON.parse(cache.get(key)), []);
+                    saveQueue();
+                    flush();
+                }
+                const previousMetadata = metadataRows();
+                cache.delete(key);
+                local.removeItem(LOCAL_PREFIX + key);
+                if (METADATA_KEYS.includes(key)) {
+                    queueChanges(METADATA, previousMetadata, metadataRows());
+                    saveQueue();
+                    flush();
+                }
+            },
+            keys() {
+                return Array.from(cache.keys());
+            },
+            flush() {
+                return flush().then(() => local.flush());
+            },
+            status,
+            subscribe(listener) {
+                listeners.push(listener);
+            }
+        };
+    }
+
+    Adapters.register('remote', createRemoteAdapter);
+
+    // Public API
+    return {
+        createClient,
+        createRemoteAdapter,
+        toSnakeCase,
+        toCamelCase
+    };
+})();
+
+// Allow use from Node.js (tests, scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Remote;
+}
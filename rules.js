@@ -0,0 +1,340 @@
+/**
+ * rules.js - Data Consistency Rules
+ *
+ * validateX() in app.js only checks that fields are filled in. The rules below look for
+ * values that contradict each other across fields and tables. Each rule has:
+ * - id, table, severity ('error' | 'warning'), title
+ * - check(): returns the violations as [{ recordId, message }]
+ *
+ * run() evaluates every rule and returns a flat list of issues:
+ * [{ rule, severity, title, table, recordId, label, message }]
+ */
+
+const Rules = (function() {
+    'use strict';
+
+    // Voltage of one Ni-MH cell when the chemistry has none, and the range of a Li-ion cell (V)
+    const NIMH_CELL_VOLTAGE = 1.2;
+    const LI_ION_CELL_VOLTAGE_RANGE = [3.0, 4.3];
+
+    // Relative tolerance between the declared and the computed energy of a pack
+    const ENERGY_TOLERANCE = 0.05;
+
+    // Relative tolerance between the declared voltage of a module and series × cell voltage
+    const MODULE_VOLTAGE_TOLERANCE = 0.05;
+
+    // Helper: Labels used in the issue list
+    function manufacturerName(id) {
+        const manufacturer = DB.manufacturers.get(id);
+        return manufacturer ? manufacturer.name : '#' + id;
+    }
+
+    function packLabel(pack) {
+        return pack.name;
+    }
+
+    function carLabel(car) {
+        const trim = car.trim ? ` (${car.trim})` : '';
+        return `${manufacturerName(car.manufacturerId)} ${car.model}${trim}`;
+    }
+
+    function cellLabel(cell) {
+        return `${manufacturerName(cell.manufacturerId)} ${cell.model}`;
+    }
+
+    function packModuleLabel(row) {
+        const pack = DB.batteryPacks.get(row.batteryPackId);
+        const module = DB.moduleModels.get(row.moduleModelId);
+        return `${pack ? packLabel(pack) : '#' + row.batteryPackId}: ${row.moduleCount} × ${module ? module.name : '#' + row.moduleModelId}`;
+    }
+
+    function relationLabel(rel) {
+        const car = DB.cars.get(rel.carId);
+        const pack = DB.batteryPacks.get(rel.batteryPackId);
+        return `${car ? carLabel(car) : '#' + rel.carId} ↔ ${pack ? packLabel(pack) : '#' + rel.batteryPackId}`;
+    }
+
+    const LABELS = {
+        customFields: customField => `${customField.tableName}.${customField.name}`,
+        manufacturers: manufacturer => manufacturer.name,
+        chemistries: chemistry => chemistry.name,
+        batteryPacks: packLabel,
+        cars: carLabel,
+        cellModels: cellLabel,
+        moduleModels: module => module.name,
+        batteryPackModules: packModuleLabel,
+        carBatteryPacks: relationLabel
+    };
+
+    const DUPLICATE_TITLES = {
+        customFields: 'Duplicate custom fields',
+        manufacturers: 'Duplicate manufacturers',
+        chemistries: 'Duplicate chemistries',
+        cellModels: 'Duplicate cell models',
+        moduleModels: 'Duplicate module models',
+        batteryPacks: 'Duplicate battery packs',
+        batteryPackModules: 'Module model listed twice in a pack',
+        cars: 'Duplicate cars',
+        carBatteryPacks: 'Duplicate car-battery relations'
+    };
+
+    // Helper: Battery packs with their cell model and its chemistry
+    function packsWithCells() {
+        return DB.batteryPacks.query({ include: ['cellModel.chemistry'] });
+    }
+
+    const rules = [
+        {
+            id: 'pack-cell-count',
+            table: 'batteryPacks',
+            severity: 'error',
+            title: 'Series × parallel does not match the cell count',
+            check() {
+                return DB.batteryPacks.list()
+                    .filter(pack => pack.seriesCount && pack.parallelCount && pack.cellCount &&
+                        pack.seriesCount * pack.parallelCount !== pack.cellCount)
+                    .map(pack => ({
+                        recordId: pack.id,
+                        message: `${pack.seriesCount}S × ${pack.parallelCount}P = ${pack.seriesCount * pack.parallelCount} cells, but cellCount is ${pack.cellCount}`
+                    }));
+            }
+        },
+        {
+            id: 'pack-energy',
+            table: 'batteryPacks',
+            severity: 'warning',
+            title: 'Declared energy incompatible with the cell model',
+            check() {
+                const issues = [];
+                packsWithCells().forEach(pack => {
+                    const specs = DB.batteryPacks.specs(pack, { tolerance: ENERGY_TOLERANCE });
+                    if (specs.status === 'mismatch') {
+                        issues.push({
+                            recordId: pack.id,
+                            message: `Computed ${specs.energyKwh}kWh (${specs.nominalVoltage}V × ${specs.capacityAh}Ah) vs declared ${specs.declaredKwh}kWh (${specs.deviationPercent > 0 ? '+' : ''}${specs.deviationPercent}%)`
+                        });
+                        return;
+                    }
+
+                    // Without the S/P configuration, the cell count alone gives the energy
+                    const cell = pack.cellModel;
+                    if (specs.status === 'unknown' && pack.cellCount && pack.totalCapacityKwh &&
+                        cell && cell.nominalVoltage && cell.nominalCapacityMah) {
+                        const energyKwh = pack.cellCount * cell.nominalVoltage * cell.nominalCapacityMah / 1e6;
+                        const deviation = (energyKwh - pack.totalCapacityKwh) / pack.totalCapacityKwh;
+                        if (Math.abs(deviation) > ENERGY_TOLERANCE) {
+                            issues.push({
+                                recordId: pack.id,
+                                message: `${pack.cellCount} × ${cellLabel(cell)} store ${Math.round(energyKwh * 100) / 100}kWh vs declared ${pack.totalCapacityKwh}kWh (${deviation > 0 ? '+' : ''}${Math.round(deviation * 1000) / 10}%)`
+                            });
+                        }
+                    }
+                });
+                return issues;
+            }
+        },
+        {
+            id: 'pack-chemistry-voltage',
+            table: 'batteryPacks',
+            severity: 'warning',
+            title: 'Ni-MH cells in a pack whose voltage implies Li-ion',
+            check() {
+                // The declared energy and the capacity give the pack voltage; divided by the number of
+                // 1.2V Ni-MH cells in series, it should be close to 1.2V, not in the Li-ion range
+                return packsWithCells()
+                    .filter(pack => pack.cellModel && pack.cellModel.chemistry && pack.cellModel.chemistry.family === 'Ni-MH')
+                    .map(pack => {
+                        const cell = pack.cellModel;
+                        const nimhCellVoltage = cell.chemistry.nominalVoltage || NIMH_CELL_VOLTAGE;
+                        if (!pack.seriesCount || !pack.parallelCount || !pack.totalCapacityKwh ||
+                            !cell.nominalVoltage || !cell.nominalCapacityMah) {
+                            return null;
+                        }
+                        const packVoltage = pack.totalCapacityKwh * 1e6 / (pack.parallelCount * cell.nominalCapacityMah);
+                        const cellsPerModule = Math.max(1, Math.round(cell.nominalVoltage / nimhCellVoltage));
+                        const voltagePerCell = packVoltage / (pack.seriesCount * cellsPerModule);
+                        if (voltagePerCell < LI_ION_CELL_VOLTAGE_RANGE[0] || voltagePerCell > LI_ION_CELL_VOLTAGE_RANGE[1]) {
+                            return null;
+                        }
+                        return {
+                            recordId: pack.id,
+                            message: `Declared energy implies ${Math.round(packVoltage)}V, ${voltagePerCell.toFixed(2)}V per cell (Li-ion range), but ${cellLabel(cell)} is Ni-MH (${nimhCellVoltage}V per cell)`
+                        };
+                    })
+                    .filter(Boolean);
+            }
+        },
+        {
+            id: 'pack-module-cells',
+            table: 'batteryPacks',
+            severity: 'error',
+            title: 'Modules do not add up to the cell count',
+            check() {
+                return DB.batteryPacks.list()
+                    .map(pack => ({ pack, composition: DB.batteryPacks.composition(pack) }))
+                    .filter(({ pack, composition }) => pack.cellCount && composition.cellCount !== null &&
+                        composition.cellCount !== pack.cellCount)
+                    .map(({ pack, composition }) => ({
+                        recordId: pack.id,
+                        message: `${composition.moduleCount} modules hold ${composition.cellCount} cells, but cellCount is ${pack.cellCount}`
+                    }));
+            }
+        },
+        {
+            id: 'pack-module-cell-model',
+            table: 'batteryPacks',
+            severity: 'warning',
+            title: 'Module cells differ from the pack cell model',
+            check() {
+                const issues = [];
+                DB.batteryPacks.list().filter(pack => pack.cellModelId).forEach(pack => {
+                    DB.batteryPacks.composition(pack).modules
+                        .filter(row => row.moduleModel && row.moduleModel.cellModelId &&
+                            row.moduleModel.cellModelId !== pack.cellModelId)
+                        .forEach(row => {
+                            const cell = DB.cellModels.get(pack.cellModelId);
+                            issues.push({
+                                recordId: pack.id,
+                                message: `Module "${row.moduleModel.name}" uses ${cellLabel(row.moduleModel.cellModel)}, the pack ${cell ? cellLabel(cell) : '#' + pack.cellModelId}`
+                            });
+                        });
+                });
+                return issues;
+            }
+        },
+        {
+            id: 'module-voltage',
+            table: 'moduleModels',
+            severity: 'warning',
+            title: 'Module voltage incompatible with its cells in series',
+            check() {
+                return DB.moduleModels.list()
+                    .filter(module => module.nominalVoltage)
+                    .map(module => ({ module, specs: DB.moduleModels.specs(module) }))
+                    .filter(({ module, specs }) => specs.computedVoltage !== null &&
+                        Math.abs(specs.computedVoltage - module.nominalVoltage) / module.nominalVoltage > MODULE_VOLTAGE_TOLERANCE)
+                    .map(({ module, specs }) => ({
+                        recordId: module.id,
+                        message: `${module.seriesCount} cells in series give ${specs.computedVoltage}V, but the module is declared at ${module.nominalVoltage}V`
+                    }));
+            }
+        },
+        {
+            id: 'cell-voltage-window',
+            table: 'cellModels',
+            severity: 'error',
+            title: 'Nominal voltage outside the voltage window',
+            check() {
+                return DB.cellModels.list()
+                    .map(cell => {
+                        const { minVoltage, maxVoltage, nominalVoltage } = cell;
+                        if (minVoltage && maxVoltage && minVoltage >= maxVoltage) {
+                            return { recordId: cell.id, message: `minVoltage ${minVoltage}V is not below maxVoltage ${maxVoltage}V` };
+                        }
+                        if (nominalVoltage && ((minVoltage && nominalVoltage < minVoltage) || (maxVoltage && nominalVoltage > maxVoltage))) {
+                            return {
+                                recordId: cell.id,
+                                message: `Nominal ${nominalVoltage}V is outside the ${minVoltage || '?'}V - ${maxVoltage || '?'}V window`
+                            };
+                        }
+                        return null;
+                    })
+                    .filter(Boolean);
+            }
+        },
+        {
+            id: 'car-years',
+            table: 'cars',
+            severity: 'error',
+            title: 'Production ends before it starts',
+            check() {
+                return DB.cars.list()
+                    .filter(car => car.yearStart && car.yearEnd && car.yearEnd < car.yearStart)
+                    .map(car => ({
+                        recordId: car.id,
+                        message: `yearEnd ${car.yearEnd} is before yearStart ${car.yearStart}`
+                    }));
+            }
+        },
+        {
+            id: 'car-without-pack',
+            table: 'cars',
+            severity: 'warning',
+            title: 'Car without battery pack',
+            check() {
+                const linked = new Set(DB.carBatteryPacks.list().map(rel => rel.carId));
+                return DB.cars.list()
+                    .filter(car => !linked.has(car.id))
+                    .map(car => ({
+                        recordId: car.id,
+                        message: 'No car-battery relation links this car to a battery pack'
+                    }));
+            }
+        }
+    ];
+
+    // Unique constraints are enforced on create/update, but records stored before they
+    // existed may still collide: one rule per constrained table lists them
+    DB.tables()
+        .filter(tableName => DB.describe(tableName).unique.length > 0)
+        .forEach(tableName => {
+            rules.push({
+                id: `duplicate-${tableName}`,
+                table: tableName,
+                severity: 'error',
+                title: DUPLICATE_TITLES[tableName] || `Duplicates in ${tableName}`,
+                check() {
+                    return DB.findDuplicates(tableName).flatMap(group =>
+                        group.ids.slice(1).map(recordId => ({
+                            recordId,
+                            message: `Same ${group.fields.join(', ')} as #${group.ids[0]} "${group.label}"`
+                        }))
+                    );
+                }
+            });
+        });
+
+    /**
+     * Evaluate every rule (or the rules with the given ids)
+     */
+    function run(ruleIds = null) {
+        const issues = [];
+        rules
+            .filter(rule => !ruleIds || ruleIds.includes(rule.id))
+            .forEach(rule => {
+                const table = DB[rule.table];
+                rule.check().forEach(({ recordId, message }) => {
+                    const record = table.get(recordId);
+                    issues.push({
+                        rule: rule.id,
+                        severity: rule.severity,
+                        title: rule.title,
+                        table: rule.table,
+                        recordId,
+                        label: record && LABELS[rule.table] ? LABELS[rule.table](record) : `#${recordId}`,
+                        message
+                    });
+                });
+            });
+        return issues;
+    }
+
+    /**
+     * Add a rule: { id, table, severity, title, check() }
+     */
+    function register(rule) {
+        if (rules.some(existing => existing.id === rule.id)) {
+            throw new Error(`Rule "${rule.id}" is already registered`);
+        }
+        rules.push(rule);
+    }
+
+    // Public API
+    return {
+        run,
+        register,
+        list() {
+            return rules.map(({ id, table, severity, title }) => ({ id, table, severity, title }));
+        }
+    };
+})();
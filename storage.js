@@ -0,0 +1,202 @@
+/**
+ * storage.js - Storage Adapters
+ *
+ * db.js keeps each table as a JSON string under a key. Where those strings live is
+ * decided by a storage adapter, so the database can run on:
+ * - localStorage: the original behaviour (synchronous, ~5 MB limit)
+ * - IndexedDB: for large datasets; writes happen in the background
+ * - memory: nothing persisted, for tests and Node.js
+ *
+ * Adapter interface (all adapters):
+ * - name                     adapter name
+ * - init()                   undefined when ready immediately, or a Promise resolved once loaded
+ * - getItem(key)             string or null (synchronous)
+ * - setItem(key, value)      store a string
+ * - removeItem(key)
+ * - keys()                   all stored keys
+ * - flush()                  Promise resolved when pending writes are persisted
+ *
+ * Asynchronous stores (IndexedDB) load everything into memory in init() and write
+ * through to the store, which keeps the db.js API synchronous.
+ */
+
+const StorageAdapters = (function() {
+    'use strict';
+
+    /**
+     * localStorage adapter (default in browsers)
+     */
+    function createLocalStorageAdapter(options = {}) {
+        const storage = options.storage || localStorage;
+        return {
+            name: 'localStorage',
+            init() {},
+            getItem(key) {
+                return storage.getItem(key);
+            },
+            setItem(key, value) {
+                storage.setItem(key, value);
+            },
+            removeItem(key) {
+                storage.removeItem(key);
+            },
+            keys() {
+                const keys = [];
+                for (let i = 0; i < storage.length; i++) {
+                    keys.push(storage.key(i));
+                }
+                return keys;
+            },
+            flush() {
+                return Promise.resolve();
+            }
+        };
+    }
+
+    /**
+     * In-memory adapter (tests, Node.js); options.initial is an optional { key: string } content
+     */
+    function createMemoryAdapter(options = {}) {
+        const data = new Map(Object.entries(options.initial || {}));
+        return {
+            name: 'memory',
+            init() {},
+            getItem(key) {
+                return data.has(key) ? data.get(key) : null;
+            },
+            setItem(key, value) {
+                data.set(key, String(value));
+            },
+            removeItem(key) {
+                data.delete(key);
+            },
+            keys() {
+                return Array.from(data.keys());
+            },
+            flush() {
+                return Promise.resolve();
+            }
+        };
+    }
+
+    /**
+     * IndexedDB adapter: one object store of key -> string.
+     * Everything is read into memory by init(); writes are queued to IndexedDB.
+     * A failed write (e.g. quota exceeded) makes the next flush() reject.
+     * Options: databaseName, indexedDB (factory, defaults to the global one)
+     */
+    function createIndexedDBAdapter(options = {}) {
+        const STORE = 'keyValue';
+        const databaseName = options.databaseName || 'ev-battery-database';
+        const idb = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        const cache = new Map();
+        let db = null;
+        let pending = Promise.resolve();
+        let writeError = null;   // First write that failed since the last flush()
+
+        // Helper: Wrap an IDBRequest in a Promise
+        function request(req) {
+            return new Promise((resolve, reject) => {
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+
+        // Helper: Run a write transaction after the previous ones (keeps writes ordered)
+        function write(operation) {
+            pending = pending.then(() => new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, 'readwrite');
+                operation(tx.objectStore(STORE));
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+            })).catch(error => {
+                console.error('IndexedDB write failed:', error);
+                writeError = writeError || error;
+            });
+        }
+
+        return {
+            name: 'indexedDB',
+            async init() {
+                if (!idb) throw new Error('IndexedDB is not available in this environment');
+
+                const open = idb.open(databaseName, 1);
+                open.onupgradeneeded = () => {
+                    open.result.createObjectStore(STORE);
+                };
+                db = await request(open);
+
+                const tx = db.transaction(STORE, 'readonly');
+                const store = tx.objectStore(STORE);
+                const [keys, values] = await Promise.all([
+                    request(store.getAllKeys()),
+                    request(store.getAll())
+                ]);
+                keys.forEach((key, i) => cache.set(key, values[i]));
+            },
+            getItem(key) {
+                return cache.has(key) ? cache.get(key) : null;
+            },
+            setItem(key, value) {
+                cache.set(key, String(value));
+                write(store => store.put(String(value), key));
+            },
+            removeItem(key) {
+                cache.delete(key);
+                write(store => store.delete(key));
+            },
+            keys() {
+                return Array.from(cache.keys());
+            },
+            flush() {
+                return pending.then(() => {
+                    if (!writeError) return;
+                    const error = writeError;
+                    writeError = null;
+                    throw new Error(`IndexedDB write failed: ${error && error.message ? error.message : error}`);
+                });
+            }
+        };
+    }
+
+    // Adapter factories by name
+    const factories = {
+        localStorage: createLocalStorageAdapter,
+        indexedDB: createIndexedDBAdapter,
+        memory: createMemoryAdapter
+    };
+
+    /**
+     * Create an adapter by name ('localStorage', 'indexedDB' or 'memory') with optional options
+     */
+    function create(name, options) {
+        const factory = factories[name];
+        if (!factory) throw new Error(`Unknown storage adapter "${name}"`);
+        return factory(options || {});
+    }
+
+    /**
+     * Register an additional adapter factory (e.g. a remote backend)
+     */
+    function register(name, factory) {
+        factories[name] = factory;
+    }
+
+    // Public API
+    return {
+        create,
+        register,
+        names() {
+            return Object.keys(factories);
+        },
+        createLocalStorageAdapter,
+        createIndexedDBAdapter,
+        createMemoryAdapter
+    };
+})();
+
+// Allow use from Node.js (tests, scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapters;
+}
@@ -0,0 +1,296 @@
+/**
+ * xlsx.js - Excel Workbook Import
+ *
+ * Reads .xlsx workbooks (zipped SpreadsheetML) entirely in the browser, without a server
+ * or third-party library:
+ * - ZIP entries are located through the central directory and inflated with DecompressionStream
+ * - XML parts are read with DOMParser (workbook, relationships, shared strings, worksheets)
+ *
+ * readWorkbook(arrayBuffer) returns { sheets: [{ name, headers, rows, rowNumbers }] } where the
+ * first non-empty row of each sheet is used as the header row and rowNumbers holds the Excel
+ * row number of each data row (for error reports).
+ * buildSnapshot(workbook, mappings) turns mapped sheets into a snapshot for DB.import().
+ */
+
+const XLSXImport = (function() {
+    'use strict';
+
+    const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+    const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+    const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+    /**
+     * List the entries of a ZIP archive: Map of path -> { method, offset, compressedSize }
+     */
+    function readZipDirectory(buffer) {
+        const view = new DataView(buffer);
+
+        // The end of central directory record is at the end, followed by an optional comment (max 64 KB)
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Not an .xlsx file (ZIP directory not found)');
+        }
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let pointer = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const entries = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+                throw new Error('Corrupted .xlsx file (invalid ZIP directory entry)');
+            }
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const offset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+
+            entries.set(name, { method, offset, compressedSize });
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Read and decompress one ZIP entry as text
+     */
+    async function readZipText(buffer, entries, path) {
+        const entry = entries.get(path);
+        if (!entry) return null;
+
+        const view = new DataView(buffer);
+        if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupted .xlsx file (invalid header for ${path})`);
+        }
+        const nameLength = view.getUint16(entry.offset + 26, true);
+        const extraLength = view.getUint16(entry.offset + 28, true);
+        const start = entry.offset + 30 + nameLength + extraLength;
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+        let bytes;
+        if (entry.method === 0) {
+            bytes = data;
+        } else if (entry.method === 8) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress .xlsx files (DecompressionStream is not supported)');
+            }
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else {
+            throw new Error(`Unsupported compression method ${entry.method} in ${path}`);
+        }
+
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    // Helper: Parse an XML part, failing loudly on malformed XML
+    function parseXML(text, path) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`Corrupted .xlsx file (invalid XML in ${path})`);
+        }
+        return doc;
+    }
+
+    // Helper: Namespace-agnostic element lookup (some writers prefix SpreadsheetML tags)
+    function elements(node, localName) {
+        return Array.from(node.getElementsByTagNameNS('*', localName));
+    }
+
+    // Helper: Concatenate all <t> texts below a node (plain and rich text runs)
+    function textContent(node) {
+        return elements(node, 't').map(t => t.textContent).join('');
+    }
+
+    // Helper: Resolve a relationship target relative to the xl/ folder
+    function resolveTarget(target) {
+        if (target.startsWith('/')) return target.slice(1);
+        const parts = ('xl/' + target).split('/');
+        const resolved = [];
+        parts.forEach(part => {
+            if (part === '..') resolved.pop();
+            else if (part !== '.') resolved.push(part);
+        });
+        return resolved.join('/');
+    }
+
+    // Helper: "AB12" -> 27 (zero-based column index)
+    function columnIndex(reference) {
+        const letters = reference.replace(/[0-9]/g, '');
+        let index = 0;
+        for (let i = 0; i < letters.length; i++) {
+            index = index * 26 + (letters.charCodeAt(i) - 64);
+        }
+        return index - 1;
+    }
+
+    /**
+     * Read the cell values of a worksheet as an array of rows (arrays of strings)
+     */
+    function readSheetRows(doc, sharedStrings) {
+        const rows = [];
+
+        elements(doc, 'row').forEach(rowNode => {
+            const row = [];
+            let nextColumn = 0;
+
+            elements(rowNode, 'c').forEach(cell => {
+                const reference = cell.getAttribute('r');
+                const index = reference ? columnIndex(reference) : nextColumn;
+                nextColumn = index + 1;
+
+                const type = cell.getAttribute('t');
+                const valueNode = elements(cell, 'v')[0];
+                const raw = valueNode ? valueNode.textContent : '';
+                let value;
+
+                switch (type) {
+                    case 's':
+                        value = sharedStrings[parseInt(raw)] || '';
+                        break;
+                    case 'inlineStr':
+                        value = textContent(cell);
+                        break;
+                    case 'b':
+                        value = raw === '1' ? 'TRUE' : 'FALSE';
+                        break;
+                    case 'e':
+                        value = '';
+                        break;
+                    default:
+                        value = raw;
+                }
+
+                while (row.length < index) row.push('');
+                row[index] = value;
+            });
+
+            const rowNumber = parseInt(rowNode.getAttribute('r')) || rows.length + 1;
+            while (rows.length < rowNumber - 1) rows.push([]);
+            rows.push(row);
+        });
+
+        return rows;
+    }
+
+    /**
+     * Read a workbook from an ArrayBuffer
+     */
+    async function readWorkbook(buffer) {
+        const entries = readZipDirectory(buffer);
+
+        const workbookXML = await readZipText(buffer, entries, 'xl/workbook.xml');
+        if (!workbookXML) {
+            throw new Error('Not an Excel workbook (xl/workbook.xml is missing)');
+        }
+        const workbook = parseXML(workbookXML, 'xl/workbook.xml');
+
+        // Relationship id -> worksheet path
+        const targets = {};
+        const relsXML = await readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels');
+        if (relsXML) {
+            elements(parseXML(relsXML, 'xl/_rels/workbook.xml.rels'), 'Relationship').forEach(rel => {
+                targets[rel.getAttribute('Id')] = resolveTarget(rel.getAttribute('Target'));
+            });
+        }
+
+        let sharedStrings = [];
+        const sharedXML = await readZipText(buffer, entries, 'xl/sharedStrings.xml');
+        if (sharedXML) {
+            sharedStrings = elements(parseXML(sharedXML, 'xl/sharedStrings.xml'), 'si').map(textContent);
+        }
+
+        const sheets = [];
+        const sheetNodes = elements(workbook, 'sheet');
+        for (let i = 0; i < sheetNodes.length; i++) {
+            const node = sheetNodes[i];
+            const relId = node.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') ||
+                node.getAttribute('r:id');
+            const path = targets[relId] || `xl/worksheets/sheet${i + 1}.xml`;
+            const sheetXML = await readZipText(buffer, entries, path);
+            if (!sheetXML) continue;
+
+            // Skip empty rows but remember the Excel row numbers
+            const numbered = readSheetRows(parseXML(sheetXML, path), sharedStrings)
+                .map((row, index) => ({ row, number: index + 1 }))
+                .filter(({ row }) => row.some(value => String(value).trim() !== ''));
+
+            sheets.push({
+                name: node.getAttribute('name'),
+                headers: numbered.length > 0 ? numbered[0].row.map(header => String(header).trim()) : [],
+                rows: numbered.slice(1).map(({ row }) => row),
+                rowNumbers: numbered.slice(1).map(({ number }) => number)
+            });
+        }
+
+        if (sheets.length === 0) {
+            throw new Error('The workbook does not contain any worksheet');
+        }
+
+        return { sheets };
+    }
+
+    /**
+     * Build a DB.import() snapshot from mapped sheets.
+     * mappings: { tableName: { sheet: sheetName, mapping: { columnIndex: fieldName | 'id' } } }
+     * Rows without a mapped id get their row position (1, 2, ...) as id, so foreign key
+     * columns can refer to rows of the referenced sheet (not to the records already stored).
+     * The snapshot has the current schema version (sheets are mapped to the current fields).
+     * Returns { snapshot, errors: [{ sheet, row, messages }] }.
+     */
+    function buildSnapshot(workbook, mappings) {
+        const snapshot = { schemaVersion: DB.schemaVersion };
+        const errors = [];
+
+        Object.entries(mappings).forEach(([tableName, { sheet: sheetName, mapping }]) => {
+            const sheet = workbook.sheets.find(s => s.name === sheetName);
+            if (!sheet) throw new Error(`Sheet "${sheetName}" not found in workbook`);
+
+            const idColumn = Object.keys(mapping).find(index => mapping[index] === 'id');
+            const fieldMapping = {};
+            Object.entries(mapping).forEach(([index, field]) => {
+                if (field !== 'id') fieldMapping[index] = field;
+            });
+
+            snapshot[tableName] = [];
+            sheet.rows.forEach((row, i) => {
+                const rowNumber = sheet.rowNumbers[i];
+                const { data, errors: rowErrors } = CSV.coerceRow(tableName, row, fieldMapping);
+
+                let id = i + 1;
+                if (idColumn !== undefined) {
+                    const result = CSV.coerceValue(row[idColumn], 'integer');
+                    if (result.error || result.value === null) {
+                        rowErrors.push(`id: ${result.error || 'value is required'}`);
+                    } else {
+                        id = result.value;
+                    }
+                }
+
+                if (rowErrors.length > 0) {
+                    errors.push({ sheet: sheetName, row: rowNumber, messages: rowErrors });
+                    return;
+                }
+                snapshot[tableName].push({ id, ...data });
+            });
+        });
+
+        return { snapshot, errors };
+    }
+
+    // Public API
+    return {
+        readWorkbook,
+        buildSnapshot
+    };
+})();